@@ -0,0 +1,12 @@
+// Business details printed on invoices and packing slips
+const { SELLER_GSTIN, SELLER_STATE } = require('./tax');
+
+module.exports = {
+  name: process.env.COMPANY_NAME || 'Shree Graphics Design',
+  address: process.env.COMPANY_ADDRESS || '',
+  state: SELLER_STATE,
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || process.env.ADMIN_EMAIL || '',
+  website: process.env.COMPANY_WEBSITE || 'https://shreegraphicsdesign.com',
+  gstin: SELLER_GSTIN
+};
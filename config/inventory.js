@@ -0,0 +1,14 @@
+// Inventory of blanks and raw materials (see utils/inventory.js)
+
+const ITEM_CATEGORIES = ['blank', 'thread', 'backing', 'packaging', 'other'];
+
+const UNITS = ['pcs', 'cone', 'metre', 'sheet', 'kg'];
+
+// Who is emailed when an item falls to its reorder level
+const LOW_STOCK_ALERT_EMAIL = process.env.LOW_STOCK_ALERT_EMAIL || process.env.ADMIN_EMAIL || '';
+
+module.exports = {
+  ITEM_CATEGORIES,
+  UNITS,
+  LOW_STOCK_ALERT_EMAIL
+};
@@ -0,0 +1,55 @@
+// Document number formats.
+// Tokens: {YYYY} year, {YY} two-digit year, {MM} month, {FY} Indian financial
+// year ("2026-27"), {SEQ:n} the sequence zero-padded to n digits.
+// Everything around {SEQ} forms the counter key, so a format with {FY} starts
+// again from 1 every April and one with {YYYY} every January.
+//
+// `model`/`field` tell the counter service where existing numbers live, so a
+// new counter continues after numbers issued before it existed.
+
+const NUMBERING = {
+  order: {
+    format: process.env.ORDER_NUMBER_FORMAT || 'SGD{YYYY}{SEQ:4}',
+    model: 'Order',
+    field: 'orderNumber'
+  },
+  customDesignOrder: {
+    format: process.env.CUSTOM_ORDER_NUMBER_FORMAT || 'CDO-{FY}-{SEQ:4}',
+    model: 'CustomDesignOrder',
+    field: 'orderNumber'
+  },
+  invoice: {
+    format: process.env.INVOICE_NUMBER_FORMAT || `${process.env.INVOICE_PREFIX || 'INV'}/{FY}/{SEQ:4}`,
+    model: 'Order',
+    field: 'invoice.number'
+  },
+  returnRequest: {
+    format: process.env.RETURN_NUMBER_FORMAT || 'RMA-{FY}-{SEQ:4}',
+    model: 'ReturnRequest',
+    field: 'returnNumber'
+  },
+  refund: {
+    format: process.env.REFUND_NUMBER_FORMAT || 'RF/{FY}/{SEQ:4}',
+    model: 'Refund',
+    field: 'refundNumber'
+  },
+  logoRequest: {
+    format: process.env.LOGO_REQUEST_NUMBER_FORMAT || 'LOGO-{FY}-{SEQ:4}',
+    model: 'CustomLogoRequest',
+    field: 'requestNumber'
+  },
+  embroideryRequest: {
+    format: process.env.EMBROIDERY_REQUEST_NUMBER_FORMAT || 'EMB-{FY}-{SEQ:4}',
+    model: 'CustomEmbroideryRequest',
+    field: 'requestNumber'
+  },
+  purchaseOrder: {
+    format: process.env.PURCHASE_ORDER_NUMBER_FORMAT || 'PO-{FY}-{SEQ:4}',
+    model: 'PurchaseOrder',
+    field: 'poNumber'
+  }
+};
+
+module.exports = {
+  NUMBERING
+};
@@ -0,0 +1,38 @@
+// Online payment gateways (see utils/payments). Manual UPI and COD orders
+// don't use a gateway.
+
+// Gateway used for new online payments: razorpay | phonepe | fake
+// The fake provider settles nothing and exists for local development and tests.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'fake';
+
+const CURRENCY = 'INR';
+
+const RAZORPAY = {
+  keyId: process.env.RAZORPAY_KEY_ID || '',
+  keySecret: process.env.RAZORPAY_KEY_SECRET || '',
+  webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || '',
+  baseUrl: process.env.RAZORPAY_BASE_URL || 'https://api.razorpay.com/v1'
+};
+
+const PHONEPE = {
+  merchantId: process.env.PHONEPE_MERCHANT_ID || '',
+  saltKey: process.env.PHONEPE_SALT_KEY || '',
+  saltIndex: process.env.PHONEPE_SALT_INDEX || '1',
+  baseUrl: process.env.PHONEPE_BASE_URL || 'https://api-preprod.phonepe.com/apis/pg-sandbox',
+  // Where PhonePe sends the customer, and its server-to-server callback
+  redirectUrl: process.env.PHONEPE_REDIRECT_URL || `${process.env.FRONTEND_URL}/payment/status`,
+  callbackUrl: process.env.PHONEPE_CALLBACK_URL || ''
+};
+
+// The fake gateway only runs outside production, and only with a secret set
+const FAKE = {
+  secret: process.env.FAKE_PAYMENT_SECRET || ''
+};
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  CURRENCY,
+  RAZORPAY,
+  PHONEPE,
+  FAKE
+};
@@ -0,0 +1,103 @@
+// Role-based permission matrix.
+// Permissions are "resource:action" strings checked with the `can()` middleware
+// in middleware/auth.js. Admin holds the wildcard; customers ("user") get
+// nothing here because their access is ownership-based.
+
+const ROLES = ['user', 'admin', 'designer', 'production', 'support', 'accountant'];
+
+// Roles that belong to shop staff rather than customers
+const STAFF_ROLES = ROLES.filter(role => role !== 'user');
+
+const PERMISSIONS = {
+  user: [],
+
+  admin: ['*'],
+
+  // Designers only work on custom logo/embroidery requests assigned to them
+  designer: [
+    'custom-requests:read-assigned',
+    'custom-requests:update-status',
+    'custom-requests:upload-designs',
+    'products:read-admin'
+  ],
+
+  // Production staff run the shop floor: orders, custom design orders and inventory
+  production: [
+    'orders:read-all',
+    'orders:update-status',
+    'orders:communicate',
+    'design-orders:read-all',
+    'design-orders:update-status',
+    'custom-requests:read-all',
+    'products:read-admin',
+    'inventory:read',
+    'inventory:manage',
+    'purchasing:read',
+    'purchasing:receive',
+    'shipping:read',
+    'shipping:manage'
+  ],
+
+  // Support answers customers and looks things up on their behalf
+  support: [
+    'orders:read-all',
+    'orders:communicate',
+    'orders:cancel',
+    'returns:read',
+    'returns:manage',
+    'users:read',
+    'clients:read',
+    'organizations:read',
+    'contact:read',
+    'contact:manage',
+    'custom-requests:read-all',
+    'design-orders:read-all',
+    'shipping:read',
+    'reviews:moderate'
+  ],
+
+  // Accountants see money: orders, revenue and clients
+  accountant: [
+    'orders:read-all',
+    'orders:export',
+    'orders:stats',
+    'clients:read',
+    'clients:update-spent',
+    'organizations:read',
+    'coupons:read',
+    'returns:read',
+    'refunds:read',
+    'refunds:issue',
+    'payments:reconcile',
+    'design-orders:read-all',
+    'inventory:read',
+    'purchasing:read',
+    'analytics:read'
+  ]
+};
+
+// Member roles inside a customer organization (school, company, ...):
+//   buyer    - places orders for the organization
+//   approver - places orders and sees every member's orders
+//   owner    - everything above, plus managing members, addresses and details
+const ORGANIZATION_ROLES = ['buyer', 'approver', 'owner'];
+
+// Check whether a role holds a permission ("orders:*" style wildcards allowed)
+const hasPermission = (role, permission) => {
+  const granted = PERMISSIONS[role] || [];
+
+  return granted.some(entry => {
+    if (entry === '*' || entry === permission) {
+      return true;
+    }
+    return entry.endsWith(':*') && permission.startsWith(entry.slice(0, -1));
+  });
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  ORGANIZATION_ROLES,
+  hasPermission
+};
@@ -0,0 +1,15 @@
+// Return (RMA) policy
+
+// Days after delivery during which a return can be requested
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 7;
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong-item', 'not-as-described', 'size-issue', 'quality-issue', 'other'];
+
+// Most photos a customer can attach to one return request
+const MAX_RETURN_PHOTOS = 5;
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  RETURN_REASONS,
+  MAX_RETURN_PHOTOS
+};
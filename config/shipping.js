@@ -0,0 +1,64 @@
+// Shipping rates and carriers (see utils/shipping).
+// Rates are charged per started slab of weight, by zone. The zone is worked
+// out from the destination pincode against the pincode we ship from.
+
+// Pincode parcels are sent from; without it everything is "national"
+const ORIGIN_PINCODE = process.env.SHIPPING_ORIGIN_PINCODE || '';
+
+// Pincode prefixes couriers charge extra for: Jammu & Kashmir and Ladakh,
+// the North East, Andaman & Nicobar
+const REMOTE_PINCODE_PREFIXES = ['18', '19', '78', '79', '744'];
+
+const SLAB_GRAMS = 500;
+
+// Weight assumed for products without a shippingWeight
+const DEFAULT_ITEM_WEIGHT_GRAMS = 300;
+
+// Zones, most local first:
+//   local    - same sorting district (first 3 pincode digits)
+//   regional - same postal circle (first 2 digits)
+//   national - anywhere else
+//   remote   - REMOTE_PINCODE_PREFIXES
+// firstSlab is the charge for the first SLAB_GRAMS, additionalSlab for each
+// one after it; transitDays is the usual time in transit.
+const RATE_TABLE = {
+  local: { firstSlab: 40, additionalSlab: 30, transitDays: 2 },
+  regional: { firstSlab: 55, additionalSlab: 40, transitDays: 3 },
+  national: { firstSlab: 75, additionalSlab: 60, transitDays: 5 },
+  remote: { firstSlab: 110, additionalSlab: 90, transitDays: 8 }
+};
+
+// Carrier used for new shipments
+const SHIPPING_CARRIER = process.env.SHIPPING_CARRIER || 'local';
+
+// The local carrier: parcels we hand over or deliver ourselves, tracked by hand
+const LOCAL_CARRIER = {
+  webhookSecret: process.env.LOCAL_CARRIER_WEBHOOK_SECRET || ''
+};
+
+// Shipment statuses, in the order a parcel normally goes through them
+const TRACKING_STATUSES = [
+  'created',
+  'picked-up',
+  'in-transit',
+  'out-for-delivery',
+  'delivery-failed',
+  'delivered',
+  'returned',
+  'cancelled'
+];
+
+// Nothing moves a shipment on from these
+const FINAL_TRACKING_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+module.exports = {
+  ORIGIN_PINCODE,
+  REMOTE_PINCODE_PREFIXES,
+  SLAB_GRAMS,
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  RATE_TABLE,
+  SHIPPING_CARRIER,
+  LOCAL_CARRIER,
+  TRACKING_STATUSES,
+  FINAL_TRACKING_STATUSES
+};
@@ -0,0 +1,101 @@
+// GST configuration.
+// Rates are looked up per product: the product's own hsnCode/gstRate override
+// wins, then its subcategory, then its category, then DEFAULT_RULE. A rule's
+// slabs are checked in order against the per-unit taxable value, so garments
+// can be taxed lower below a price threshold.
+
+// State the business is registered in; sales to this state are intra-state (CGST + SGST)
+const SELLER_STATE = process.env.GST_SELLER_STATE || '';
+const SELLER_GSTIN = process.env.GST_SELLER_GSTIN || '';
+
+// true when catalog prices already include GST
+const PRICES_INCLUDE_TAX = process.env.GST_PRICES_INCLUDE_TAX === 'true';
+
+const GARMENT_SLABS = [
+  { upTo: 2500, rate: 5 },
+  { rate: 18 }
+];
+
+const CATEGORY_RULES = {
+  apparels: { hsnCode: '6205', description: 'Garments', slabs: GARMENT_SLABS },
+  uniforms: { hsnCode: '6203', description: 'Uniforms', slabs: GARMENT_SLABS },
+  travels: { hsnCode: '4202', description: 'Bags and travel goods', slabs: [{ rate: 18 }] },
+  leather: { hsnCode: '4202', description: 'Leather goods', slabs: [{ rate: 18 }] },
+  embroidery: { hsnCode: '5810', description: 'Embroidery', slabs: [{ rate: 5 }] },
+  'design-services': { hsnCode: '998391', description: 'Specialty design services', isService: true, slabs: [{ rate: 18 }] }
+};
+
+// Subcategories that differ from their category
+const SUBCATEGORY_RULES = {
+  cap: { hsnCode: '6505', description: 'Caps and headgear', slabs: [{ rate: 5 }] },
+  'custom-patches': { hsnCode: '5810', description: 'Embroidered badges and patches', slabs: [{ rate: 5 }] },
+  'badge-embroidery': { hsnCode: '5810', description: 'Embroidered badges and patches', slabs: [{ rate: 5 }] },
+  'website-design': { hsnCode: '998314', description: 'IT design and development services', isService: true, slabs: [{ rate: 18 }] }
+};
+
+const DEFAULT_RULE = { hsnCode: '', description: 'Other goods', slabs: [{ rate: 18 }] };
+
+// GST state codes (first two digits of a GSTIN), used for place of supply
+const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  punjab: '03',
+  chandigarh: '04',
+  uttarakhand: '05',
+  haryana: '06',
+  delhi: '07',
+  rajasthan: '08',
+  'uttar pradesh': '09',
+  bihar: '10',
+  sikkim: '11',
+  'arunachal pradesh': '12',
+  nagaland: '13',
+  manipur: '14',
+  mizoram: '15',
+  tripura: '16',
+  meghalaya: '17',
+  assam: '18',
+  'west bengal': '19',
+  jharkhand: '20',
+  odisha: '21',
+  chhattisgarh: '22',
+  'madhya pradesh': '23',
+  gujarat: '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  maharashtra: '27',
+  karnataka: '29',
+  goa: '30',
+  lakshadweep: '31',
+  kerala: '32',
+  'tamil nadu': '33',
+  puducherry: '34',
+  'andaman and nicobar islands': '35',
+  telangana: '36',
+  'andhra pradesh': '37',
+  ladakh: '38'
+};
+
+// Common alternative spellings
+const STATE_ALIASES = {
+  orissa: 'odisha',
+  pondicherry: 'puducherry',
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  'j&k': 'jammu and kashmir',
+  'jammu & kashmir': 'jammu and kashmir',
+  uttaranchal: 'uttarakhand',
+  'andaman & nicobar islands': 'andaman and nicobar islands',
+  'daman and diu': 'dadra and nagar haveli and daman and diu',
+  'dadra and nagar haveli': 'dadra and nagar haveli and daman and diu'
+};
+
+module.exports = {
+  SELLER_STATE,
+  SELLER_GSTIN,
+  PRICES_INCLUDE_TAX,
+  CATEGORY_RULES,
+  SUBCATEGORY_RULES,
+  DEFAULT_RULE,
+  STATE_CODES,
+  STATE_ALIASES
+};
@@ -4,6 +4,7 @@ const Product = require("../models/Product");
 const CustomLogoRequest = require("../models/CustomLogoRequest");
 const CustomEmbroideryRequest = require("../models/CustomEmbroideryRequest");
 const CustomDesignOrder = require("../models/CustomDesignOrder");
+const Refund = require("../models/Refund");
 
 exports.getAnalyticsData = async (req, res) => {
   try {
@@ -197,6 +198,28 @@ exports.getAnalyticsData = async (req, res) => {
 
     const totalRevenue = revenueAgg[0]?.total || 0;
 
+    // ===========================
+    // 📌 11. REFUNDS (from the refunds ledger)
+    // ===========================
+    const refundsDaily = await Refund.aggregate([
+      {
+        $group: {
+          _id: {
+            $dateToString: { format: "%Y-%m-%d", date: "$createdAt" }
+          },
+          amount: { $sum: "$amount" },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const refundAgg = await Refund.aggregate([
+      { $group: { _id: "$type", amount: { $sum: "$amount" }, count: { $sum: 1 } } }
+    ]);
+
+    const totalRefunded = refundAgg.reduce((sum, row) => sum + row.amount, 0);
+
     // ===========================
     // 📌 FINAL RESPONSE
     // ===========================
@@ -206,12 +229,16 @@ exports.getAnalyticsData = async (req, res) => {
         ordersDaily,
         revenueDaily,
         usersDaily,
-        revenueMonthly
+        revenueMonthly,
+        refundsDaily
       },
       stats: {
         totalUsers,
         totalOrders,
         totalRevenue,
+        totalRefunded,
+        netRevenue: totalRevenue - totalRefunded,
+        refundsByType: refundAgg,
         orderStatusStats,
         productCategories,
         topProducts,
@@ -194,7 +194,6 @@ const deleteReview = async (req, res) => {
   try {
     const { reviewId } = req.params;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     const review = await Review.findById(reviewId);
     if (!review) {
@@ -204,8 +203,8 @@ const deleteReview = async (req, res) => {
       });
     }
 
-    // Check if user owns the review or is admin
-    if (review.user.toString() !== userId && userRole !== 'admin') {
+    // Check if user owns the review or can moderate reviews
+    if (review.user.toString() !== userId && !req.user.can('reviews:moderate')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this review'
@@ -1,5 +1,72 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { verifyAccessToken } = require('../utils/jwt');
+const { getLimiterStore } = require('../utils/rateLimitStore');
+
+// How often a session's lastActivity is written back
+const SESSION_ACTIVITY_INTERVAL = 60 * 1000; // 1 minute
+
+// Routes an account can still reach while it owes two-factor enrollment
+const TWO_FACTOR_SETUP_ROUTES = ['/api/auth/2fa', '/api/auth/me', '/api/auth/sessions'];
+
+// Look up the live session behind an access token and record activity
+const findActiveSession = async (decoded, user) => {
+  if (!decoded.sid) {
+    return null;
+  }
+  
+  const session = await Session.findOne({ _id: decoded.sid, user: user._id });
+  
+  if (!session || !session.isActive) {
+    return null;
+  }
+  
+  if (Date.now() - session.lastActivity.getTime() > SESSION_ACTIVITY_INTERVAL) {
+    session.lastActivity = new Date();
+    await Session.updateOne({ _id: session._id }, { $set: { lastActivity: session.lastActivity } });
+  }
+  
+  return session;
+};
+
+// Methods an impersonation token may use; impersonation is view-only
+const IMPERSONATION_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Load the staff member behind an impersonation token, if any.
+// Returns null for normal tokens and false if the impersonator is no longer allowed.
+const loadImpersonator = async (decoded) => {
+  if (!decoded.impersonatorId) {
+    return null;
+  }
+  
+  const impersonator = await User.findById(decoded.impersonatorId).select('-password');
+  
+  if (!impersonator || !impersonator.isActive || !impersonator.can('users:impersonate')) {
+    return false;
+  }
+  
+  return impersonator;
+};
+
+// Record an impersonated request in the audit log once the response is sent
+const auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    AuditLog.create({
+      actor: req.impersonator._id,
+      action: 'impersonated-request',
+      targetUser: req.user._id,
+      impersonationId: req.impersonationId,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => {
+      console.error('Impersonation audit log error:', error);
+    });
+  });
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -25,10 +92,10 @@ const protect = async (req, res, next) => {
     
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
       
       // Get user from token
-      const user = await User.findById(decoded.id).select('-password');
+      const user = await User.findById(decoded.userId).select('-password');
       
       if (!user) {
         return res.status(401).json({
@@ -44,7 +111,65 @@ const protect = async (req, res, next) => {
         });
       }
       
+      // Tokens issued before a password change or reset are no longer valid
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently. Please login again.'
+        });
+      }
+      
+      // Impersonation tokens stay valid only while the staff member may impersonate
+      const impersonator = await loadImpersonator(decoded);
+      
+      if (impersonator === false) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation is no longer valid'
+        });
+      }
+      
+      // The device session the token belongs to must still be live
+      // (for impersonation, the staff member's own session)
+      const session = await findActiveSession(decoded, impersonator || user);
+      
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please login again.'
+        });
+      }
+      
+      // Enforce the two-factor policy (e.g. mandatory for admins)
+      if (user.requiresTwoFactor() && !user.twoFactor.enabled &&
+          !TWO_FACTOR_SETUP_ROUTES.some(route => req.originalUrl.startsWith(route))) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Two-factor authentication must be enabled for this account.'
+        });
+      }
+      
+      if (impersonator) {
+        if (!IMPERSONATION_SAFE_METHODS.includes(req.method)) {
+          return res.status(403).json({
+            success: false,
+            code: 'IMPERSONATION_READ_ONLY',
+            message: 'This action is not available while viewing as a customer.'
+          });
+        }
+        
+        req.impersonator = impersonator;
+        req.impersonationId = decoded.jti;
+      }
+      
       req.user = user;
+      req.authSession = session;
+      
+      if (req.impersonator) {
+        auditImpersonatedRequest(req, res);
+      }
+      
       next();
     } catch (error) {
       return res.status(401).json({
@@ -82,6 +207,90 @@ const authorize = (...roles) => {
   };
 };
 
+// Grant access to users whose role holds all of the given permissions
+// (see config/permissions.js), e.g. can('orders:update-status')
+const can = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Please login first.'
+      });
+    }
+    
+    const missing = permissions.find(permission => !req.user.can(permission));
+    
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Role '${req.user.role}' lacks the '${missing}' permission.`
+      });
+    }
+    
+    next();
+  };
+};
+
+// Grant access to users whose role holds at least one of the given permissions
+const canAny = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Please login first.'
+      });
+    }
+    
+    if (!permissions.some(permission => req.user.can(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Role '${req.user.role}' is not authorized to access this resource.`
+      });
+    }
+    
+    next();
+  };
+};
+
+// Block a route for impersonation tokens, even read-only ones
+// (account security pages, personal data downloads)
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_FORBIDDEN',
+      message: 'This action is not available while viewing as a customer.'
+    });
+  }
+  
+  next();
+};
+
+// Require a verified email before placing orders or submitting requests.
+// Enforced only when REQUIRE_EMAIL_VERIFICATION=true; staff accounts are exempt.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+  
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. Please login first.'
+    });
+  }
+  
+  if (req.user.role === 'user' && !req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address before continuing.'
+    });
+  }
+  
+  next();
+};
+
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -97,11 +306,32 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const decoded = verifyAccessToken(token);
+        const user = await User.findById(decoded.userId).select('-password');
         
-        if (user && user.isActive) {
-          req.user = user;
+        const impersonator = await loadImpersonator(decoded);
+        
+        if (user && user.isActive && !user.changedPasswordAfter(decoded.iat) && impersonator !== false) {
+          const session = await findActiveSession(decoded, impersonator || user);
+          
+          if (session) {
+            if (impersonator && !IMPERSONATION_SAFE_METHODS.includes(req.method)) {
+              return res.status(403).json({
+                success: false,
+                code: 'IMPERSONATION_READ_ONLY',
+                message: 'This action is not available while viewing as a customer.'
+              });
+            }
+            
+            req.user = user;
+            req.authSession = session;
+            
+            if (impersonator) {
+              req.impersonator = impersonator;
+              req.impersonationId = decoded.jti;
+              auditImpersonatedRequest(req, res);
+            }
+          }
         }
       } catch (error) {
         // Token is invalid, but we don't fail the request
@@ -116,8 +346,9 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Check if user owns the resource
-const checkOwnership = (resourceModel, resourceIdParam = 'id') => {
+// Check if user owns the resource. Staff holding `permission` (e.g.
+// 'orders:read-all') may access any of them.
+const checkOwnership = (resourceModel, permission, resourceIdParam = 'id') => {
   return async (req, res, next) => {
     try {
       const resourceId = req.params[resourceIdParam];
@@ -130,8 +361,7 @@ const checkOwnership = (resourceModel, resourceIdParam = 'id') => {
         });
       }
       
-      // Admin can access any resource
-      if (req.user.role === 'admin') {
+      if (permission && req.user.can(permission)) {
         req.resource = resource;
         return next();
       }
@@ -158,30 +388,32 @@ const checkOwnership = (resourceModel, resourceIdParam = 'id') => {
   };
 };
 
-// Rate limiting for sensitive operations
-const sensitiveOpLimit = (windowMs = 15 * 60 * 1000, max = 5) => {
-  const attempts = new Map();
-  
-  return (req, res, next) => {
-    const key = req.ip + (req.user ? req.user._id : '');
-    const now = Date.now();
-    const windowStart = now - windowMs;
-    
-    // Clean old attempts
-    const userAttempts = attempts.get(key) || [];
-    const recentAttempts = userAttempts.filter(time => time > windowStart);
+// Rate limiting for sensitive operations. Attempts are counted in the shared
+// limiter store (memory, Redis or Mongo; see utils/rateLimitStore.js), so limits
+// hold across restarts and instances when a persistent store is configured.
+const sensitiveOpLimit = (windowMs = 15 * 60 * 1000, max = 5, options = {}) => {
+  return async (req, res, next) => {
+    const store = options.store || getLimiterStore();
+    const scope = options.name || `${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    const key = `${scope}:${req.ip}${req.user ? ':' + req.user._id : ''}`;
     
-    if (recentAttempts.length >= max) {
-      return res.status(429).json({
-        success: false,
-        message: 'Too many attempts. Please try again later.',
-        retryAfter: Math.ceil((recentAttempts[0] + windowMs - now) / 1000)
-      });
+    try {
+      const { count, resetAt } = await store.increment(key, windowMs);
+      
+      if (count > max) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many attempts. Please try again later.',
+          retryAfter
+        });
+      }
+    } catch (error) {
+      // Don't lock everyone out if the store is unavailable
+      console.error('Rate limit store error:', error.message);
     }
     
-    recentAttempts.push(now);
-    attempts.set(key, recentAttempts);
-    
     next();
   };
 };
@@ -189,6 +421,10 @@ const sensitiveOpLimit = (windowMs = 15 * 60 * 1000, max = 5) => {
 module.exports = {
   protect,
   authorize,
+  can,
+  canAny,
+  denyImpersonation,
+  requireVerifiedEmail,
   optionalAuth,
   checkOwnership,
   sensitiveOpLimit
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Idempotency-Key support for mutating routes. A client that may retry
+// (flaky mobile connections) sends a unique key with the request; a retry with
+// the same key and payload gets the original response replayed instead of
+// running the handler again, and reusing a key for a different payload is
+// rejected with 409. Requests without the header run normally.
+//
+// Place it after auth and any multer upload so the body is parsed:
+//   router.post('/', protect, upload.array('images'), idempotent(), handler)
+
+// How long a response is remembered
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// A key still "in-progress" after this long is assumed abandoned (crashed request)
+const LOCK_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so property order doesn't change the hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => {
+  const files = [].concat(req.file || [], req.files ? Object.values(req.files).flat() : [])
+    .map(file => ({ field: file.fieldname, name: file.originalname, size: file.size }));
+
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ method: req.method, path: req.originalUrl, body: req.body || {}, files }))
+    .digest('hex');
+};
+
+// Uploads of a request that won't be handled would otherwise stay on disk
+const discardUploads = (req) => {
+  [].concat(req.file || [], req.files ? Object.values(req.files).flat() : [])
+    .filter(file => file.path)
+    .forEach(file => fs.unlink(file.path, () => {}));
+};
+
+// Take the key for this request. Returns { record } when the handler should
+// run, or { existing } when another request already holds the key.
+const claimKey = async ({ scope, key, requestHash, method, path, ttlMs }) => {
+  const now = new Date();
+  const fields = {
+    key,
+    scope,
+    method,
+    path,
+    requestHash,
+    status: 'in-progress',
+    lockedAt: now,
+    response: undefined,
+    expiresAt: new Date(now.getTime() + ttlMs)
+  };
+
+  try {
+    return { record: await IdempotencyKey.create(fields) };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Expired keys (MongoDB purges them lazily) and abandoned locks can be reused
+  const record = await IdempotencyKey.findOneAndUpdate(
+    {
+      scope,
+      key,
+      $or: [
+        { expiresAt: { $lte: now } },
+        { status: 'in-progress', requestHash, lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT) } }
+      ]
+    },
+    { $set: fields },
+    { new: true }
+  );
+
+  if (record) {
+    return { record };
+  }
+
+  return { existing: await IdempotencyKey.findOne({ scope, key }) };
+};
+
+const idempotent = (options = {}) => {
+  const ttlMs = (options.ttlHours || IDEMPOTENCY_TTL_HOURS) * 60 * 60 * 1000;
+
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const scope = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+    const requestHash = hashRequest(req);
+    let claim;
+
+    try {
+      claim = await claimKey({ scope, key, requestHash, method: req.method, path: req.originalUrl, ttlMs });
+    } catch (error) {
+      // Better a possible duplicate than refusing every request
+      console.error('Idempotency store error:', error.message);
+      return next();
+    }
+
+    const { record, existing } = claim;
+
+    if (existing) {
+      discardUploads(req);
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(JSON.parse(existing.response.body));
+    }
+
+    // Remember the response before it is sent, so an immediate retry replays it.
+    // Server errors aren't remembered: the key is released and can be retried.
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      res.json = originalJson;
+      const statusCode = res.statusCode;
+      const text = JSON.stringify(body === undefined ? null : body);
+
+      const store = statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', response: { statusCode, body: text } } }
+        );
+
+      store
+        .catch(error => console.error('Idempotency store error:', error.message))
+        .then(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action (for impersonation, the staff member)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['impersonation-start', 'impersonated-request']
+  },
+  // Whose account the action touched
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Groups every request made with one impersonation token
+  impersonationId: String,
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  ipAddress: String,
+  userAgent: String,
+  expiresAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ impersonationId: 1, createdAt: 1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
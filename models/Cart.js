@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Guest carts are dropped after this long without changes
+const GUEST_CART_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Product.variants _id, for products sold in variants
+  variant: mongoose.Schema.Types.ObjectId,
+  packageType: {
+    type: String,
+    enum: ['base', 'premium', 'enterprise'],
+    default: 'base'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  customizations: [{
+    _id: false,
+    optionName: String,
+    selectedValue: String
+  }],
+  requirements: {
+    type: String,
+    maxlength: 2000
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Prices are not stored: the cart is repriced from the current Product on every read
+const cartSchema = new mongoose.Schema({
+  // Signed-in owner; guest carts use guestId instead
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestId: String,
+  items: [cartItemSchema],
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// One cart per user / guest
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+cartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $type: 'string' } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Key identifying "the same" line: product, variant, tier and chosen customizations
+const lineKey = (item) => {
+  const customizations = (item.customizations || [])
+    .map(entry => `${entry.optionName}=${entry.selectedValue}`)
+    .sort()
+    .join('|');
+  return `${item.product._id || item.product}:${item.variant || ''}:${item.packageType}:${customizations}`;
+};
+
+// Add an item, bumping the quantity of an identical line instead of duplicating it
+cartSchema.methods.addItem = function (item) {
+  const key = lineKey(item);
+  const existing = this.items.find(line => lineKey(line) === key);
+
+  if (existing) {
+    existing.quantity += item.quantity;
+    if (item.requirements) existing.requirements = item.requirements;
+    return existing;
+  }
+
+  this.items.push(item);
+  return this.items[this.items.length - 1];
+};
+
+// Keep guest carts alive while they're in use
+cartSchema.pre('save', function (next) {
+  if (!this.user) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL);
+  }
+  next();
+});
+
+// Fold a guest cart into the user's cart (called on login) and delete it
+cartSchema.statics.mergeGuestCart = async function (guestId, userId) {
+  const guestCart = await this.findOne({ guestId, user: null });
+
+  if (!guestCart) {
+    return null;
+  }
+
+  let cart = await this.findOne({ user: userId });
+
+  if (!cart) {
+    // Adopt the guest cart as-is
+    guestCart.user = userId;
+    guestCart.guestId = undefined;
+    guestCart.expiresAt = undefined;
+    return guestCart.save();
+  }
+
+  guestCart.items.forEach(item => {
+    cart.addItem({
+      product: item.product,
+      variant: item.variant,
+      packageType: item.packageType,
+      quantity: item.quantity,
+      customizations: item.customizations,
+      requirements: item.requirements
+    });
+  });
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -112,6 +112,11 @@ const clientSchema = new mongoose.Schema({
     instagram: String,
     twitter: String
   },
+  // Corporate/school account this client record belongs to
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -128,6 +133,7 @@ const clientSchema = new mongoose.Schema({
 // Indexes
 clientSchema.index({ email: 1 });
 clientSchema.index({ company: 1 });
+clientSchema.index({ organization: 1 });
 clientSchema.index({ clientType: 1 });
 clientSchema.index({ status: 1 });
 clientSchema.index({ industry: 1 });
@@ -162,11 +168,12 @@ clientSchema.virtual('projectCount').get(function() {
   return this.projects ? this.projects.length : 0;
 });
 
-// Method to update total spent
+// Method to update total spent (all organization orders when linked to one)
 clientSchema.methods.updateTotalSpent = async function() {
   const Order = mongoose.model('Order');
+  const owner = this.organization ? { organization: this.organization } : { customer: this._id };
   const result = await Order.aggregate([
-    { $match: { customer: this._id, 'paymentInfo.paymentStatus': 'completed' } },
+    { $match: { ...owner, 'paymentInfo.paymentStatus': 'completed' } },
     { $group: { _id: null, total: { $sum: '$pricing.total' } } }
   ]);
   
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-readable document numbers (see utils/counters.js).
+// _id is the counter key, e.g. "order:SGD2026" or "invoice:INV/2026-27/".
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
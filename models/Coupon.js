@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code may only contain letters, numbers, dashes and underscores (3-30 characters)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters']
+  },
+  // Festival / campaign name for reporting (e.g. "Diwali 2026")
+  campaign: {
+    type: String,
+    trim: true
+  },
+  // percentage: `value`% off eligible items (optionally capped by maxDiscount)
+  // flat:       `value` off the eligible items
+  // buy-x-get-y: for every buyQuantity + getQuantity eligible units, the
+  //             getQuantity cheapest ones are free
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'buy-x-get-y'],
+    required: true
+  },
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  // Empty lists mean the coupon applies to every product
+  scope: {
+    categories: [String],
+    subcategories: [String],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Total redemptions allowed (unlimited when unset)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponSchema.index({ isActive: 1, endsAt: 1 });
+couponSchema.index({ campaign: 1 });
+
+couponSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be between 0 and 100');
+  }
+  if (this.type === 'flat' && this.value <= 0) {
+    this.invalidate('value', 'Flat discount must be greater than 0');
+  }
+  if (this.type === 'buy-x-get-y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy and get quantities are required for buy-x-get-y coupons');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Whether the coupon can be used right now (ignoring per-order rules)
+couponSchema.methods.isRedeemable = function (now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && now < this.startsAt) return false;
+  if (this.endsAt && now > this.endsAt) return false;
+  if (this.usageLimit && this.usedCount >= this.usageLimit) return false;
+  return true;
+};
+
+// Whether a product falls inside the coupon's scope
+couponSchema.methods.appliesTo = function (product) {
+  const { categories = [], subcategories = [], products = [] } = this.scope || {};
+
+  if (categories.length === 0 && subcategories.length === 0 && products.length === 0) {
+    return true;
+  }
+
+  return categories.includes(product.category)
+    || subcategories.includes(product.subcategory)
+    || products.some(id => id.toString() === product._id.toString());
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
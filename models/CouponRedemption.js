@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One row per order that used a coupon; drives per-user limits and campaign reports
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Which of the user's uses this is, for coupons with a per-user limit
+  // (0 .. perUserLimit - 1); unique per coupon and user
+  slot: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ order: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
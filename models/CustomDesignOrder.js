@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { generateNumber } = require('../utils/counters');
+const { statusMachine, emailStatusUpdate } = require('../utils/statusMachine');
 
 const customDesignOrderSchema = new mongoose.Schema({
   // Order Information
@@ -233,11 +235,32 @@ const customDesignOrderSchema = new mongoose.Schema({
       url: String,
       description: String,
       stage: String // 'in-progress', 'completed', 'quality-check'
+    }],
+    // Blanks and materials taken from inventory when production started
+    // (see utils/inventory.js)
+    materialsConsumedAt: Date,
+    materials: [{
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InventoryItem'
+      },
+      sku: String,
+      name: String,
+      warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Warehouse'
+      },
+      quantity: Number,
+      _id: false
     }]
   },
   
-  // Shipping
+  // Shipping (filled from the order's shipment, see utils/shipping)
   shipping: {
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shipment'
+    },
     trackingNumber: String,
     carrier: String,
     shippedAt: Date,
@@ -251,6 +274,46 @@ const customDesignOrderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Allowed status changes; anything else is rejected on save
+customDesignOrderSchema.plugin(statusMachine, {
+  transitions: {
+    pending: ['design-review', 'approved', 'cancelled'],
+    'design-review': ['approved', 'pending', 'cancelled'],
+    approved: ['in-production', 'cancelled'],
+    'in-production': ['quality-check'],
+    'quality-check': ['shipped', 'in-production'],
+    // Back to quality check only when its shipment is cancelled
+    shipped: ['delivered', 'quality-check'],
+    delivered: [],
+    cancelled: []
+  },
+  guards: {
+    'quality-check': (order) => (order.status === 'shipped' && order.shipping.shipment
+      ? 'Cancel the shipment before sending the order back to quality check'
+      : null)
+  },
+  effects: {
+    approved: (order, { actor }) => {
+      order.designApproval.isApproved = true;
+      order.designApproval.approvedAt = new Date();
+      if (actor) order.designApproval.approvedBy = actor;
+    },
+    'in-production': (order) => {
+      order.production.startedAt = order.production.startedAt || new Date();
+    },
+    'quality-check': (order) => {
+      order.production.completedAt = new Date();
+    },
+    shipped: (order) => {
+      order.shipping.shippedAt = new Date();
+    },
+    delivered: (order) => {
+      order.shipping.deliveredAt = new Date();
+    }
+  },
+  notify: emailStatusUpdate({ userField: 'customer', numberField: 'orderNumber' })
+});
+
 // Indexes for better performance
 customDesignOrderSchema.index({ customer: 1, createdAt: -1 });
 // customDesignOrderSchema.index({ orderNumber: 1 });
@@ -258,11 +321,15 @@ customDesignOrderSchema.index({ status: 1 });
 customDesignOrderSchema.index({ product: 1 });
 customDesignOrderSchema.index({ designType: 1 });
 
-// Pre-save middleware to generate order number
-customDesignOrderSchema.pre('save', async function(next) {
+// Assign the order number before validation, as it is required
+customDesignOrderSchema.pre('validate', async function(next) {
   if (!this.orderNumber) {
-    const count = await this.constructor.countDocuments();
-    this.orderNumber = `CDO-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+    try {
+      const { number } = await generateNumber('customDesignOrder');
+      this.orderNumber = number;
+    } catch (error) {
+      return next(error);
+    }
   }
   next();
 });
@@ -281,32 +348,18 @@ customDesignOrderSchema.methods.calculateTotalPrice = function() {
 
 // Method to update status with timestamp
 customDesignOrderSchema.methods.updateStatus = function(newStatus, userId = null) {
-  this.status = newStatus;
-  
+  const change = this.transitionTo(newStatus, { actor: userId });
+
   // Add status change message
-  this.messages.push({
-    sender: 'admin',
-    message: `Order status updated to: ${newStatus}`,
-    timestamp: new Date()
-  });
-  
-  // Update specific timestamps based on status
-  switch(newStatus) {
-    case 'approved':
-      this.designApproval.isApproved = true;
-      this.designApproval.approvedAt = new Date();
-      if (userId) this.designApproval.approvedBy = userId;
-      break;
-    case 'in-production':
-      this.production.startedAt = new Date();
-      break;
-    case 'shipped':
-      this.shipping.shippedAt = new Date();
-      break;
-    case 'delivered':
-      this.shipping.deliveredAt = new Date();
-      break;
+  if (change) {
+    this.messages.push({
+      sender: 'admin',
+      message: `Order status updated to: ${newStatus}`,
+      timestamp: new Date()
+    });
   }
+
+  return change;
 };
 
 customDesignOrderSchema.set('toJSON', { virtuals: true });
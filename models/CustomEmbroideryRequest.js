@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
+const { generateNumber } = require('../utils/counters');
+const { statusMachine, emailStatusUpdate } = require('../utils/statusMachine');
 
 const customEmbroideryRequestSchema = new mongoose.Schema({
+  // Ticket number shown to the customer, assigned on creation
+  requestNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
   // User Information
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -239,6 +248,31 @@ const customEmbroideryRequestSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Allowed status changes; anything else is rejected on save
+customEmbroideryRequestSchema.plugin(statusMachine, {
+  transitions: {
+    pending: ['in-review', 'in-progress', 'cancelled'],
+    'in-review': ['in-progress', 'cancelled'],
+    'in-progress': ['completed', 'revision-requested', 'cancelled'],
+    'revision-requested': ['in-progress', 'completed', 'cancelled'],
+    completed: ['revision-requested'],
+    cancelled: []
+  },
+  effects: {
+    'in-progress': (request) => {
+      if (!request.estimatedDelivery) {
+        request.calculateEstimatedDelivery();
+      }
+    },
+    completed: (request) => {
+      if (!request.actualDelivery) {
+        request.actualDelivery = new Date();
+      }
+    }
+  },
+  notify: emailStatusUpdate({ userField: 'user', numberField: 'requestNumber' })
+});
+
 // Indexes for better query performance
 customEmbroideryRequestSchema.index({ user: 1 });
 customEmbroideryRequestSchema.index({ status: 1 });
@@ -303,17 +337,18 @@ customEmbroideryRequestSchema.methods.addRevisionRequest = function(message, use
     requestedBy: userId,
     requestedAt: new Date()
   });
-  this.status = 'revision-requested';
-};
 
-// Method to update status with automatic delivery calculation
-customEmbroideryRequestSchema.methods.updateStatus = function(newStatus) {
-  this.status = newStatus;
-  if (newStatus === 'in-progress' && !this.estimatedDelivery) {
-    this.calculateEstimatedDelivery();
+  // Revisions only reopen work that has started
+  if (this.canTransitionTo('revision-requested')) {
+    this.transitionTo('revision-requested', { actor: userId, note: message });
   }
 };
 
+// Method to update status (throws if the transition isn't allowed)
+customEmbroideryRequestSchema.methods.updateStatus = function(newStatus, actor = null) {
+  return this.transitionTo(newStatus, { actor });
+};
+
 // Pre-save middleware to calculate estimated delivery
 customEmbroideryRequestSchema.pre('save', function(next) {
   if (this.isNew || this.isModified('selectedPackage') || this.isModified('pricing.rushDelivery.selected')) {
@@ -330,4 +365,17 @@ customEmbroideryRequestSchema.pre('save', function(next) {
   next();
 });
 
+// Assign the ticket number (format in config/numbering.js)
+customEmbroideryRequestSchema.pre('save', async function(next) {
+  if (this.isNew && !this.requestNumber) {
+    try {
+      const { number } = await generateNumber('embroideryRequest');
+      this.requestNumber = number;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
 module.exports = mongoose.model('CustomEmbroideryRequest', customEmbroideryRequestSchema);
\ No newline at end of file
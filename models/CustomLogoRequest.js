@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
+const { generateNumber } = require('../utils/counters');
+const { statusMachine, emailStatusUpdate } = require('../utils/statusMachine');
 
 const customLogoRequestSchema = new mongoose.Schema({
+  // Ticket number shown to the customer, assigned on creation
+  requestNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
   // User Information
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -194,6 +203,26 @@ const customLogoRequestSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Allowed status changes; anything else is rejected on save
+customLogoRequestSchema.plugin(statusMachine, {
+  transitions: {
+    pending: ['in-review', 'in-progress', 'cancelled'],
+    'in-review': ['in-progress', 'cancelled'],
+    'in-progress': ['completed', 'revision-requested', 'cancelled'],
+    'revision-requested': ['in-progress', 'completed', 'cancelled'],
+    completed: ['revision-requested'],
+    cancelled: []
+  },
+  effects: {
+    completed: (request) => {
+      if (!request.actualDelivery) {
+        request.actualDelivery = new Date();
+      }
+    }
+  },
+  notify: emailStatusUpdate({ userField: 'user', numberField: 'requestNumber' })
+});
+
 // Indexes
 customLogoRequestSchema.index({ user: 1 });
 customLogoRequestSchema.index({ status: 1 });
@@ -259,17 +288,13 @@ customLogoRequestSchema.methods.addRevisionRequest = function(message, userId) {
   });
   
   if (this.status === 'completed') {
-    this.status = 'revision-requested';
+    this.transitionTo('revision-requested', { actor: userId, note: message });
   }
 };
 
-// Method to update status
-customLogoRequestSchema.methods.updateStatus = function(newStatus) {
-  this.status = newStatus;
-  
-  if (newStatus === 'completed' && !this.actualDelivery) {
-    this.actualDelivery = new Date();
-  }
+// Method to update status (throws if the transition isn't allowed)
+customLogoRequestSchema.methods.updateStatus = function(newStatus, actor = null) {
+  return this.transitionTo(newStatus, { actor });
 };
 
 // Pre-save middleware
@@ -287,4 +312,17 @@ customLogoRequestSchema.pre('save', function(next) {
   next();
 });
 
+// Assign the ticket number (format in config/numbering.js)
+customLogoRequestSchema.pre('save', async function(next) {
+  if (this.isNew && !this.requestNumber) {
+    try {
+      const { number } = await generateNumber('logoRequest');
+      this.requestNumber = number;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
 module.exports = mongoose.model('CustomLogoRequest', customLogoRequestSchema);
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Responses remembered for Idempotency-Key headers (see middleware/idempotency.js)
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Who sent it: "user:<id>" or "ip:<address>", so keys can't collide across clients
+  scope: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // sha256 of the method, path, body and uploaded file names/sizes
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in-progress', 'completed'],
+    default: 'in-progress'
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  response: {
+    statusCode: Number,
+    // JSON text of the original response body
+    body: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Let MongoDB purge keys once they have expired
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
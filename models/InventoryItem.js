@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { ITEM_CATEGORIES, UNITS } = require('../config/inventory');
+
+// When a custom design order uses this item, and how much of it per unit
+// ordered. Every field that is set must match the order; e.g. a black L cap
+// blank is { product: <cap>, color: 'Black', size: 'L', quantityPerUnit: 1 }
+// and embroidery backing is { designTypes: ['embroidery'], quantityPerUnit: 1 }.
+const usageSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productCategory: String,
+  productSubcategory: String,
+  designTypes: [String],
+  // Matched against the order's productOptions, ignoring case
+  color: String,
+  size: String,
+  material: String,
+  style: String,
+  quantityPerUnit: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity per unit must be positive']
+  }
+});
+
+usageSchema.path('quantityPerUnit').validate(function () {
+  return !!(this.product || this.productCategory || this.productSubcategory || (this.designTypes && this.designTypes.length));
+}, 'A usage rule needs a product, category, subcategory or design type');
+
+// On-hand quantity at one warehouse
+const stockLevelSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// A blank garment or raw material production uses. Stock is only changed
+// through utils/inventory.js, which records every change as a StockMovement.
+const inventoryItemSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{2,40}$/, 'SKU may only contain letters, numbers, dashes and underscores (2-40 characters)']
+  },
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true,
+    maxlength: [150, 'Name cannot be more than 150 characters']
+  },
+  category: {
+    type: String,
+    enum: ITEM_CATEGORIES,
+    required: true
+  },
+  unit: {
+    type: String,
+    enum: UNITS,
+    default: 'pcs'
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Last purchase cost per unit
+  unitCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  usage: [usageSchema],
+  stock: [stockLevelSchema],
+  // Sum of `stock`, kept alongside it for reorder checks
+  quantityOnHand: {
+    type: Number,
+    default: 0
+  },
+  // Alert (and suggest reordering reorderQuantity) at or below this level
+  reorderLevel: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  reorderQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Set when a low-stock alert went out; cleared once restocked above the level
+  lowStockAlertedAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+inventoryItemSchema.virtual('isLowStock').get(function () {
+  return this.reorderLevel > 0 && this.quantityOnHand <= this.reorderLevel;
+});
+
+inventoryItemSchema.set('toJSON', { virtuals: true });
+
+inventoryItemSchema.index({ category: 1, isActive: 1 });
+inventoryItemSchema.index({ 'usage.product': 1 });
+
+module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
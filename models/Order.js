@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { generateNumber } = require('../utils/counters');
+const { statusMachine, emailStatusUpdate } = require('../utils/statusMachine');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -11,12 +13,26 @@ const orderSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when the customer ordered on behalf of an organization
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: true
     },
+    // Product.variants _id, with the SKU and attributes as ordered
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    variantAttributes: {
+      type: Map,
+      of: String
+    },
+    // Units taken from stock for this line (see utils/stock.js)
+    stockReserved: Number,
     packageType: {
       type: String,
       enum: ['base', 'premium', 'enterprise'],
@@ -33,6 +49,8 @@ const orderSchema = new mongoose.Schema({
       required: true,
       min: 0
     },
+    // Quantity break (its minQuantity) that set the unit price, if any
+    quantityBreak: Number,
     customizations: [{
       optionName: String,
       selectedValue: String,
@@ -45,6 +63,17 @@ const orderSchema = new mongoose.Schema({
       type: String,
       maxlength: 2000
     },
+    // GST for this line, worked out at checkout
+    tax: {
+      hsnCode: String,
+      rate: Number,
+      discount: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number
+    },
     deliverables: [{
       fileName: String,
       fileUrl: String,
@@ -91,12 +120,50 @@ const orderSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Shipping charged at checkout from the rate table (see utils/shipping)
+    shipping: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     total: {
       type: Number,
       required: true,
       min: 0
+    },
+    // GST split; per-line figures are on items[].tax
+    taxBreakdown: {
+      taxableValue: Number,
+      cgst: {
+        type: Number,
+        default: 0
+      },
+      sgst: {
+        type: Number,
+        default: 0
+      },
+      igst: {
+        type: Number,
+        default: 0
+      },
+      isInterState: Boolean,
+      pricesIncludeTax: Boolean,
+      placeOfSupply: String
     }
   },
+  // GST invoice, numbered per financial year when first generated
+  invoice: {
+    number: String,
+    financialYear: String,
+    sequence: Number,
+    issuedAt: Date
+  },
+  // Coupon applied at checkout; its amount is in pricing.discount
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
   shippingAddress: {
     fullName: {
       type: String,
@@ -140,10 +207,27 @@ const orderSchema = new mongoose.Schema({
       default: 'India'
     }
   },
+  // Filled from the order's shipment (see utils/shipping)
+  shipping: {
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shipment'
+    },
+    trackingNumber: String,
+    carrier: String,
+    shippedAt: Date,
+    deliveredAt: Date,
+    // What the booked shipment costs us (the customer's charge is pricing.shipping)
+    shippingCost: {
+      type: Number,
+      default: 0
+    }
+  },
   paymentInfo: {
     method: {
       type: String,
-      enum: ['upi', 'cod'],
+      // online = paid through a payment gateway (see utils/payments)
+      enum: ['upi', 'cod', 'online'],
       required: true
     },
 
@@ -174,9 +258,44 @@ const orderSchema = new mongoose.Schema({
     refundAmount: {
       type: Number,
       default: 0
+    },
+
+    // Set when the payment was confirmed from an imported bank statement
+    reconciliation: {
+      statementImport: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StatementImport'
+      },
+      reference: String,
+      amount: Number,
+      reconciledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reconciledAt: Date
+    },
+
+    // Online payments: the gateway order and payment behind this order
+    gateway: {
+      provider: String,
+      // Current gateway order; customers get a new one when they retry checkout
+      providerOrderId: String,
+      providerPaymentId: String,
+      // Last state reported by the gateway (created, authorized, captured, failed)
+      status: String,
+      updatedAt: Date,
+      // Every gateway order created for this order, so late events still match
+      attempts: [{
+        _id: false,
+        providerOrderId: String,
+        createdAt: Date
+      }]
     }
   },
 
+  // Set once reserved stock has been given back (order cancelled)
+  stockReleasedAt: Date,
+
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'refunded'],
@@ -243,40 +362,49 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Allowed status changes; anything else is rejected on save
+orderSchema.plugin(statusMachine, {
+  transitions: {
+    pending: ['confirmed', 'in-progress', 'cancelled'],
+    confirmed: ['in-progress', 'completed', 'cancelled'],
+    'in-progress': ['completed', 'cancelled'],
+    completed: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+  },
+  guards: {
+    refunded: (order) => (['completed', 'refunded'].includes(order.paymentInfo.paymentStatus)
+      ? null
+      : 'Only paid orders can be refunded')
+  },
+  effects: {
+    completed: (order) => {
+      if (!order.actualDelivery) {
+        order.actualDelivery = new Date();
+      }
+    }
+  },
+  notify: emailStatusUpdate({ userField: 'customer', numberField: 'orderNumber' })
+});
+
 // Indexes for better query performance
 orderSchema.index({ customer: 1, createdAt: -1 });
+orderSchema.index({ organization: 1, createdAt: -1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } });
 // orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'paymentInfo.paymentStatus': 1 });
+orderSchema.index({ 'paymentInfo.manualTransactionId': 1 });
+orderSchema.index({ 'paymentInfo.gateway.attempts.providerOrderId': 1 });
 orderSchema.index({ estimatedDelivery: 1 });
 orderSchema.index({ priority: 1, status: 1 });
 
-// Pre-save middleware to generate order number
+// Assign the order number (format in config/numbering.js)
 orderSchema.pre('save', async function (next) {
   if (this.isNew && !this.orderNumber) {
     try {
-      // Find the last order with SGD2025 prefix
-      const lastOrder = await this.constructor.findOne({
-        orderNumber: { $regex: '^SGD2025' }
-      }).sort({ orderNumber: -1 }).lean();
-
-      let sequence = 1;
-      if (lastOrder) {
-        // Extract sequence number from orderNumber like SGD20250001
-        const lastSequence = parseInt(lastOrder.orderNumber.replace('SGD2025', ''));
-        sequence = lastSequence + 1;
-      }
-
-      // Generate order number in format SGD2025XXXX
-      this.orderNumber = `SGD2025${sequence.toString().padStart(4, '0')}`;
-      console.log('Generated orderNumber:', this.orderNumber);
-
-      // Validate that orderNumber was generated
-      if (!this.orderNumber) {
-        const error = new Error('Failed to generate orderNumber');
-        console.error('OrderNumber generation failed');
-        return next(error);
-      }
+      const { number } = await generateNumber('order', this.createdAt || new Date());
+      this.orderNumber = number;
     } catch (error) {
       console.error('Error generating orderNumber:', error);
       return next(error);
@@ -302,21 +430,17 @@ orderSchema.methods.calculateEstimatedDelivery = function () {
 };
 
 // Method to update order status
-orderSchema.methods.updateStatus = function (newStatus, note = '') {
-  this.status = newStatus;
+orderSchema.methods.updateStatus = function (newStatus, note = '', actor = null) {
+  this.transitionTo(newStatus, { actor, note });
 
   if (note) {
     this.communication.push({
       type: 'message',
       content: `Status updated to ${newStatus}. ${note}`,
-      sender: this.customer // This should be updated to actual user making the change
+      sender: actor || this.customer
     });
   }
 
-  if (newStatus === 'completed') {
-    this.actualDelivery = new Date();
-  }
-
   return this.save();
 };
 
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'buyer'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Delivery addresses any member can ship an order to
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Address label is required'],
+    trim: true,
+    maxlength: [50, 'Label cannot be more than 50 characters']
+  },
+  fullName: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  street: {
+    type: String,
+    required: [true, 'Street is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    required: [true, 'Pincode is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'India'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [150, 'Organization name cannot be more than 150 characters']
+  },
+  type: {
+    type: String,
+    enum: ['school', 'company', 'non-profit', 'government', 'other'],
+    default: 'company'
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid GSTIN']
+  },
+  members: [memberSchema],
+  addresses: [addressSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ name: 1 });
+
+// Find the membership entry for a user
+organizationSchema.methods.getMember = function (userId) {
+  const id = userId.toString();
+  return this.members.find(member => (member.user._id || member.user).toString() === id);
+};
+
+// Check whether a user is a member with one of the given roles (any role if omitted)
+organizationSchema.methods.hasRole = function (userId, roles = ORGANIZATION_ROLES) {
+  const member = this.getMember(userId);
+  return !!member && roles.includes(member.role);
+};
+
+// Owners and approvers see every order placed for the organization
+organizationSchema.methods.canViewAllOrders = function (userId) {
+  return this.hasRole(userId, ['approver', 'owner']);
+};
+
+organizationSchema.methods.ownerCount = function () {
+  return this.members.filter(member => member.role === 'owner').length;
+};
+
+// Organizations a user belongs to
+organizationSchema.statics.findForUser = function (userId) {
+  return this.find({ 'members.user': userId, isActive: true });
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
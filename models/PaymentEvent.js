@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Payment gateway events (webhooks and checkout callbacks) already handled.
+// Gateways retry deliveries, so each event is recorded once by its id and
+// a repeat delivery is acknowledged without being applied again.
+const EVENT_STATUSES = [
+  'processing', // claimed by a delivery that is applying it
+  'processed', // applied (or deliberately ignored) - repeats are skipped
+  'failed' // applying it threw; the next delivery retries
+];
+
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  source: {
+    type: String,
+    enum: ['webhook', 'callback'],
+    default: 'webhook'
+  },
+  providerOrderId: String,
+  providerPaymentId: String,
+  amount: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  status: {
+    type: String,
+    enum: EVENT_STATUSES,
+    default: 'processing'
+  },
+  // What the event did, e.g. "payment completed" or "ignored: already paid"
+  result: String,
+  error: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ order: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
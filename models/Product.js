@@ -1,5 +1,54 @@
 const mongoose = require('mongoose');
 
+// A sellable version of a product, e.g. size M in navy. Order and cart lines
+// of a product with variants must pick one.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot be more than 64 characters']
+  },
+  // e.g. { size: 'M', color: 'Navy' }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Added to the tier price; negative for cheaper variants
+  priceDelta: {
+    type: Number,
+    default: 0
+  },
+  images: [{
+    _id: false,
+    url: {
+      type: String,
+      required: true
+    },
+    alt: {
+      type: String,
+      default: ''
+    }
+  }],
+  // Units on hand; left unset for made-to-order variants that never run out
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Attribute values in a stable order, e.g. "color=navy|size=m"
+const attributeKey = (variant) => [...(variant.attributes || new Map()).entries()]
+  .map(([name, value]) => `${name.toLowerCase()}=${String(value).toLowerCase()}`)
+  .sort()
+  .join('|');
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -97,6 +146,52 @@ const productSchema = new mongoose.Schema({
       min: [0, 'Enterprise price cannot be negative']
     }
   },
+  // Volume pricing. Each break sets per-tier unit prices from minQuantity
+  // units up (counted across all lines of this product in an order); a tier
+  // left out of a break keeps its price from the previous break or price above.
+  quantityBreaks: {
+    type: [{
+      _id: false,
+      minQuantity: {
+        type: Number,
+        required: [true, 'Break quantity is required'],
+        min: [2, 'Break quantity must be at least 2']
+      },
+      price: {
+        base: {
+          type: Number,
+          min: [0, 'Price cannot be negative']
+        },
+        premium: {
+          type: Number,
+          min: [0, 'Premium price cannot be negative']
+        },
+        enterprise: {
+          type: Number,
+          min: [0, 'Enterprise price cannot be negative']
+        }
+      }
+    }],
+    validate: {
+      validator: (breaks) => new Set(breaks.map(entry => entry.minQuantity)).size === breaks.length,
+      message: 'Each quantity break needs a different quantity'
+    }
+  },
+  variants: {
+    type: [variantSchema],
+    validate: [{
+      validator: (variants) => new Set(variants.map(variant => variant.sku)).size === variants.length,
+      message: 'Each variant needs a different SKU'
+    }, {
+      validator: (variants) => new Set(variants.map(attributeKey)).size === variants.length,
+      message: 'Each variant needs a different combination of attributes'
+    }]
+  },
+  // Fewest units of this product an order may contain; unset means no minimum
+  minimumOrderQuantity: {
+    type: Number,
+    min: [1, 'Minimum order quantity must be at least 1']
+  },
   images: [{
     url: {
       type: String,
@@ -154,6 +249,35 @@ const productSchema = new mongoose.Schema({
       default: false
     }
   }],
+  // GST overrides; when unset the category rule in config/tax.js applies
+  tax: {
+    hsnCode: {
+      type: String,
+      trim: true
+    },
+    gstRate: {
+      type: Number,
+      enum: [0, 0.25, 3, 5, 12, 18, 28]
+    }
+  },
+  // Embroidered and personalised goods are made to order and can't be returned
+  isReturnable: {
+    type: Boolean,
+    default: function () {
+      return this.category !== 'embroidery';
+    }
+  },
+  // Units on hand; left unset for made-to-order products that aren't stock-tracked.
+  // Products with variants keep stock on each variant instead.
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative']
+  },
+  // Packed weight of one unit in grams, for shipping rates
+  shippingWeight: {
+    type: Number,
+    min: [1, 'Shipping weight must be at least 1 gram']
+  },
   deliveryTime: {
     base: {
       type: Number, // in days
@@ -229,12 +353,21 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Keep quantity breaks in ascending order
+productSchema.pre('validate', function (next) {
+  if (this.isModified('quantityBreaks')) {
+    this.quantityBreaks.sort((a, b) => a.minQuantity - b.minQuantity);
+  }
+  next();
+});
+
 // Indexes for better query performance
 productSchema.index({ category: 1, isActive: 1 });
 productSchema.index({ tags: 1 });
 productSchema.index({ 'price.base': 1 });
 productSchema.index({ 'rating.average': -1 });
 productSchema.index({ isFeatured: 1, isActive: 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
 productSchema.index({ createdAt: -1 });
 
 // Text index for search functionality
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const { generateNumber } = require('../utils/counters');
+const { statusMachine } = require('../utils/statusMachine');
+
+// A line is either a product we sell (optionally one variant) or an
+// inventory item production uses. Receiving it raises that stock.
+const purchaseItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Product.variants _id when the line is for a variant
+  variant: mongoose.Schema.Types.ObjectId,
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem'
+  },
+  sku: String,
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be positive']
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  lineTotal: {
+    type: Number,
+    required: true
+  },
+  // When this line is due, if not with the rest of the order
+  expectedDate: Date
+});
+
+purchaseItemSchema.path('receivedQuantity').validate(function (value) {
+  return value <= this.quantity;
+}, 'Cannot receive more than was ordered');
+
+// One delivery against the order
+const receiptSchema = new mongoose.Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Supplier's invoice or delivery challan number
+  reference: String,
+  note: String,
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  items: [{
+    // _id of the line in purchaseOrder.items
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true
+    },
+    _id: false
+  }]
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially-received', 'closed', 'cancelled'],
+    default: 'draft'
+  },
+  items: {
+    type: [purchaseItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  // Where inventory item lines are received into (default warehouse if unset)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  expectedDate: Date,
+  pricing: {
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    shippingCost: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  receipts: [receiptSchema],
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  sentAt: Date,
+  closedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  // Receipts change quantities in place; concurrent ones must not overwrite each other
+  optimisticConcurrency: true
+});
+
+// Allowed status changes; anything else is rejected on save
+purchaseOrderSchema.plugin(statusMachine, {
+  transitions: {
+    draft: ['sent', 'cancelled'],
+    sent: ['partially-received', 'closed', 'cancelled'],
+    'partially-received': ['closed'],
+    closed: [],
+    cancelled: []
+  },
+  guards: {
+    cancelled: (order) => (order.receipts.length > 0 ? 'A purchase order with receipts cannot be cancelled' : null)
+  },
+  effects: {
+    sent: (order) => {
+      order.sentAt = new Date();
+    },
+    closed: (order) => {
+      order.closedAt = new Date();
+    }
+  }
+});
+
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1, expectedDate: 1 });
+purchaseOrderSchema.index({ 'items.product': 1 });
+
+// Units still to come across all lines
+purchaseOrderSchema.virtual('outstandingQuantity').get(function () {
+  return this.items.reduce((sum, item) => sum + Math.max(item.quantity - item.receivedQuantity, 0), 0);
+});
+
+purchaseOrderSchema.virtual('isOverdue').get(function () {
+  return !!this.expectedDate && ['sent', 'partially-received'].includes(this.status) && this.expectedDate < new Date();
+});
+
+// Assign the PO number before validation, as it is unique
+purchaseOrderSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.poNumber) {
+    try {
+      const { number } = await generateNumber('purchaseOrder');
+      this.poNumber = number;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
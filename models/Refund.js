@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { generateNumber } = require('../utils/counters');
+
+// Refunds ledger: one immutable row per refund paid out against an order
+const refundSchema = new mongoose.Schema({
+  refundNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be positive']
+  },
+  // Full refunds bring the order's refunded total up to its order total
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  // Payout reference, e.g. the UTR of the UPI transfer back to the customer
+  reference: {
+    type: String,
+    trim: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: Number,
+    amount: Number
+  }],
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+refundSchema.index({ order: 1 });
+refundSchema.index({ createdAt: -1 });
+
+// Assign the refund number before validation, as it is unique
+refundSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.refundNumber) {
+    try {
+      const { number } = await generateNumber('refund');
+      this.refundNumber = number;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { generateNumber } = require('../utils/counters');
+const { statusMachine, emailStatusUpdate } = require('../utils/statusMachine');
+const { RETURN_REASONS } = require('../config/returns');
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in order.items
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  // Product.variants _id when the order line was for a variant
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // What the customer paid per unit, after discount and including tax
+  unitRefund: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'Return reason is required']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  }
+});
+
+// A customer's request to return line items of a delivered order (RMA)
+const returnRequestSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  photos: [{
+    url: String,
+    fileName: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'refunded', 'cancelled'],
+    default: 'requested'
+  },
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  refundAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Allowed status changes; anything else is rejected on save
+returnRequestSchema.plugin(statusMachine, {
+  transitions: {
+    requested: ['approved', 'rejected', 'cancelled'],
+    approved: ['refunded'],
+    rejected: [],
+    refunded: [],
+    cancelled: []
+  },
+  effects: {
+    approved: (request, { actor, note }) => {
+      request.review = { reviewedBy: actor, reviewedAt: new Date(), note };
+    },
+    rejected: (request, { actor, note }) => {
+      request.review = { reviewedBy: actor, reviewedAt: new Date(), note };
+    }
+  },
+  notify: emailStatusUpdate({ userField: 'customer', numberField: 'returnNumber' })
+});
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Value of the returned items
+returnRequestSchema.virtual('itemsValue').get(function () {
+  return Math.round(this.items.reduce((sum, item) => sum + item.unitRefund * item.quantity, 0) * 100) / 100;
+});
+
+// Assign the return number before validation, as it is unique
+returnRequestSchema.pre('validate', async function (next) {
+  if (this.isNew && !this.returnNumber) {
+    try {
+      const { number } = await generateNumber('returnRequest');
+      this.returnNumber = number;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+returnRequestSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
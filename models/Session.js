@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+      default: 'unknown'
+    },
+    browser: { type: String, default: 'Unknown' },
+    os: { type: String, default: 'Unknown' },
+    name: { type: String, trim: true, maxlength: 100 }
+  },
+  ipAddress: String,
+  userAgent: String,
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  },
+  lastIp: String,
+  // Pushed forward on every refresh; MongoDB purges the session afterwards
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse-detected', 'password-change', 'account-deleted', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastActivity: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Rough device details from a user agent string
+const parseUserAgent = (userAgent = '') => {
+  const ua = userAgent.toLowerCase();
+
+  let type = 'desktop';
+  if (!ua) type = 'unknown';
+  else if (/ipad|tablet/.test(ua)) type = 'tablet';
+  else if (/mobi|iphone|android/.test(ua)) type = 'mobile';
+
+  let browser = 'Unknown';
+  if (ua.includes('edg/')) browser = 'Edge';
+  else if (ua.includes('opr/') || ua.includes('opera')) browser = 'Opera';
+  else if (ua.includes('chrome/')) browser = 'Chrome';
+  else if (ua.includes('firefox/')) browser = 'Firefox';
+  else if (ua.includes('safari/')) browser = 'Safari';
+
+  let os = 'Unknown';
+  if (ua.includes('windows')) os = 'Windows';
+  else if (/iphone|ipad|ios/.test(ua)) os = 'iOS';
+  else if (ua.includes('android')) os = 'Android';
+  else if (ua.includes('mac os')) os = 'macOS';
+  else if (ua.includes('linux')) os = 'Linux';
+
+  return { type, browser, os };
+};
+
+// Start a session for a login request
+sessionSchema.statics.start = function (user, req, fields = {}) {
+  const userAgent = req.get('user-agent') || '';
+
+  return this.create({
+    ...fields,
+    user: user._id,
+    device: {
+      ...parseUserAgent(userAgent),
+      name: req.body && req.body.deviceName
+    },
+    ipAddress: req.ip,
+    lastIp: req.ip,
+    userAgent
+  });
+};
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
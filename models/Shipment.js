@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { TRACKING_STATUSES } = require('../config/shipping');
+
+const trackingEventSchema = new mongoose.Schema({
+  // Carrier's id for the event, so repeated deliveries are recorded once
+  eventId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: TRACKING_STATUSES,
+    required: true
+  },
+  description: String,
+  location: String,
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['carrier', 'manual'],
+    default: 'carrier'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// A parcel sent for an order or a custom design order (see utils/shipping)
+const shipmentSchema = new mongoose.Schema({
+  orderModel: {
+    type: String,
+    enum: ['Order', 'CustomDesignOrder'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'orderModel',
+    required: true
+  },
+  orderNumber: String,
+  carrier: {
+    type: String,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    required: true
+  },
+  carrierShipmentId: String,
+  labelUrl: String,
+  status: {
+    type: String,
+    enum: TRACKING_STATUSES,
+    default: 'created'
+  },
+  // Until cancelled or returned; an order has one active shipment at a time
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  address: {
+    fullName: String,
+    phone: String,
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
+  zone: String,
+  weightGrams: Number,
+  // What the shipment costs us, from the rate table or the carrier
+  cost: {
+    type: Number,
+    default: 0
+  },
+  estimatedDelivery: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  events: [trackingEventSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+shipmentSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+shipmentSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
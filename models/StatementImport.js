@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Result of matching a statement credit against orders
+const MATCH_STATUSES = [
+  'matched', // reference and amount agree with a pending order
+  'amount-mismatch', // reference found but the amount differs
+  'duplicate', // credit already applied by an earlier import, or a second credit for the same order
+  'already-paid', // order was already marked paid
+  'unmatched', // no order carries any of the references or order numbers
+  'applied' // order marked paid from this entry
+];
+
+const entrySchema = new mongoose.Schema({
+  row: Number,
+  date: Date,
+  amount: Number,
+  reference: String,
+  description: String,
+  references: [String],
+  // Identifies the same credit across imports (date + amount + references)
+  fingerprint: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: MATCH_STATUSES,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  orderTotal: Number,
+  matchedReference: String,
+  note: String
+});
+
+// An uploaded bank/UPI statement and how its credits matched orders.
+// Nothing changes on orders until the import is applied.
+const statementImportSchema = new mongoose.Schema({
+  fileName: String,
+  columns: [String],
+  entries: [entrySchema],
+  summary: {
+    credits: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    alreadyPaid: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    applied: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['pending-review', 'applied'],
+    default: 'pending-review'
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: Date
+}, {
+  timestamps: true
+});
+
+statementImportSchema.index({ createdAt: -1 });
+
+// Recount entry statuses into the summary
+statementImportSchema.methods.summarize = function () {
+  const count = (status) => this.entries.filter(entry => entry.status === status).length;
+
+  this.summary = {
+    credits: this.entries.length,
+    totalAmount: Math.round(this.entries.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100,
+    matched: count('matched'),
+    amountMismatch: count('amount-mismatch'),
+    duplicate: count('duplicate'),
+    alreadyPaid: count('already-paid'),
+    unmatched: count('unmatched'),
+    applied: count('applied')
+  };
+  return this.summary;
+};
+
+module.exports = mongoose.model('StatementImport', statementImportSchema);
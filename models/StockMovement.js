@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'purchase', // bought in
+  'consumption', // used by production (negative), or given back (positive)
+  'adjustment' // stock count corrections, damage, ...
+];
+
+// Ledger of every inventory change (see utils/inventory.js)
+const stockMovementSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed: positive adds stock, negative takes it
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Quantity at the warehouse after this movement
+  balanceAfter: Number,
+  unitCost: Number,
+  // What caused it, e.g. a custom design order going into production or a
+  // purchase order being received
+  reference: {
+    kind: {
+      type: String,
+      enum: ['CustomDesignOrder', 'PurchaseOrder']
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'reference.kind'
+    },
+    number: String
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ item: 1, createdAt: -1 });
+stockMovementSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
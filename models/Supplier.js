@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A vendor we buy blanks, threads and other stock from
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [150, 'Name cannot be more than 150 characters']
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String
+  },
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Days after delivery the supplier expects payment
+  paymentTermsDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Usual days from sending a purchase order to delivery, for expected dates
+  leadTimeDays: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyTOTP, hashBackupCode } = require('../utils/totp');
+const { ROLES, hasPermission } = require('../config/permissions');
+
+// Account lockout policy: after MAX_FAILED_LOGINS bad attempts the account is
+// locked for BASE_LOCK_TIME, doubling with each further lockout up to MAX_LOCK_TIME
+const MAX_FAILED_LOGINS = 5;
+const BASE_LOCK_TIME = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_TIME = 24 * 60 * 60 * 1000; // 24 hours
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -28,7 +37,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   avatar: {
@@ -53,12 +62,53 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Number of lockouts since the last successful login; each one lasts longer
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
+  emailVerificationExpire: Date,
+  emailVerificationSentAt: Date,
   isEmailVerified: {
     type: Boolean,
     default: false
+  },
+  // Set when the account holder deleted their account; PII is scrubbed at the same time
+  deletedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
   }
 }, {
   timestamps: true
@@ -77,6 +127,12 @@ userSchema.pre('save', async function (next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Record when an existing password changes so older tokens stop working.
+    // Backdated by a second so the token issued right after the change stays valid.
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -88,6 +144,91 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if password was changed after the given JWT was issued
+userSchema.methods.changedPasswordAfter = function (jwtIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// Generate a password reset token, storing only its hash on the user
+userSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+  this.resetPasswordExpire = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return resetToken;
+};
+
+// Generate an email verification token, storing only its hash on the user
+userSchema.methods.getEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Check a permission from the role matrix in config/permissions.js
+userSchema.methods.can = function (permission) {
+  return hasPermission(this.role, permission);
+};
+
+// Whether the user may work on a custom logo/embroidery request as staff:
+// either they see every request, or it is assigned to them as designer
+userSchema.methods.canWorkOnRequest = function (request) {
+  if (this.can('custom-requests:read-all')) {
+    return true;
+  }
+
+  const designer = request.assignedDesigner && (request.assignedDesigner._id || request.assignedDesigner);
+  return this.can('custom-requests:read-assigned') &&
+    Boolean(designer) && designer.toString() === this._id.toString();
+};
+
+// Whether the two-factor policy requires this user to enroll
+userSchema.methods.requiresTwoFactor = function () {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && this.role === 'admin';
+};
+
+// Check a TOTP or backup code; requires the twoFactor secret fields to be selected.
+// Marks the code as used and returns 'totp' or 'backup', or null if it didn't match.
+// Callers must save the user afterwards.
+userSchema.methods.verifyTwoFactorCode = function (code, time = Date.now()) {
+  if (!code || !this.twoFactor || !this.twoFactor.secret) {
+    return null;
+  }
+
+  const step = verifyTOTP(code, this.twoFactor.secret, { time });
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep != null && step <= this.twoFactor.lastUsedStep) {
+      return null;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const backupCodes = this.twoFactor.backupCodes || [];
+  const index = backupCodes.indexOf(hashBackupCode(String(code)));
+  if (index !== -1) {
+    backupCodes.splice(index, 1);
+    this.twoFactor.backupCodes = backupCodes;
+    return 'backup';
+  }
+
+  return null;
+};
+
 // Get user without sensitive information
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
@@ -95,12 +236,63 @@ userSchema.methods.toJSON = function () {
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpire;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.backupCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
-// Update last login
+// Update last login (also clears failed attempts and lockout history)
 userSchema.methods.updateLastLogin = function () {
   this.lastLogin = new Date();
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockoutCount = 0;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Check if the account is currently locked out
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Record a failed login, locking the account once the limit is reached.
+// Returns the lock expiry if this attempt triggered a lockout.
+userSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return null;
+  }
+
+  const lockTime = Math.min(BASE_LOCK_TIME * 2 ** updated.lockoutCount, MAX_LOCK_TIME);
+  const lockUntil = new Date(Date.now() + lockTime);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil },
+      $inc: { lockoutCount: 1 }
+    }
+  );
+
+  this.lockUntil = lockUntil;
+  return lockUntil;
+};
+
+// Lift a lockout (admin unlock)
+userSchema.methods.unlockAccount = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockoutCount = 0;
   return this.save({ validateBeforeSave: false });
 };
 
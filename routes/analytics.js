@@ -1,8 +1,8 @@
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/auth");
+const { protect, can } = require("../middleware/auth");
 const { getAnalyticsData } = require("../controllers/adminAnalyticsController");
 
-router.get("/", protect, authorize("admin"), getAnalyticsData);
+router.get("/", protect, can("analytics:read"), getAnalyticsData);
 
 module.exports = router;
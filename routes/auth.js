@@ -1,50 +1,125 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, sensitiveOpLimit } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Cart = require('../models/Cart');
+const { protect, denyImpersonation, sensitiveOpLimit } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/email');
+const {
+  getTokenExpiration,
+  generateTwoFactorToken,
+  verifyTwoFactorToken
+} = require('../utils/jwt');
+const {
+  generateSecret,
+  verifyTOTP,
+  buildOtpAuthUrl,
+  generateBackupCodes
+} = require('../utils/totp');
+const {
+  startSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserTokens
+} = require('../utils/tokenService');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
-  const token = generateToken(user._id);
-  
-  const options = {
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  };
+// Issue a fresh email verification token and email it to the user
+const issueEmailVerification = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
   
+  await sendVerificationEmail(user.email, user.name, verificationToken);
+};
+
+// Cookie options shared by the auth cookies
+const cookieOptions = (expires, path = '/') => ({
+  expires,
+  path,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+});
+
+// Send an issued token pair as cookies and JSON
+const sendTokens = (user, tokens, statusCode, res, message = 'Success') => {
   res.status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', tokens.accessToken, cookieOptions(getTokenExpiration(tokens.accessToken)))
+    .cookie('refreshToken', tokens.refreshToken, cookieOptions(getTokenExpiration(tokens.refreshToken), '/api/auth'))
     .json({
       success: true,
       message,
-      token,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      sessionId: tokens.sessionId,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        permissions: PERMISSIONS[user.role] || [],
         avatar: user.avatar,
-        isEmailVerified: user.isEmailVerified
-      }
+        isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+      },
+      twoFactorSetupRequired: user.requiresTwoFactor() && !(user.twoFactor && user.twoFactor.enabled)
     });
 };
 
+// Start a new device session and send its token pair
+const sendTokenResponse = async (user, statusCode, req, res, message = 'Success') => {
+  const tokens = await startSession(user, req);
+  await mergeGuestCart(user, req);
+  sendTokens(user, tokens, statusCode, res, message);
+};
+
+// Move a guest's cart (X-Cart-Id header or cartId in the body) into the account
+const mergeGuestCart = async (user, req) => {
+  const guestId = req.get('x-cart-id') || (req.body && req.body.cartId);
+  
+  if (!guestId) {
+    return;
+  }
+  
+  try {
+    await Cart.mergeGuestCart(String(guestId), user._id);
+  } catch (error) {
+    // Never block a login over the cart
+    console.error('Guest cart merge error:', error);
+  }
+};
+
+// Respond to a login attempt on a locked account
+const sendLockedResponse = (res, lockUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+  
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: 'Account is temporarily locked due to too many failed login attempts. Please try again later or reset your password.',
+    lockedUntil: lockUntil,
+    retryAfter
+  });
+};
+
+// Read the refresh token from the request body or cookie
+const getRefreshToken = (req) => {
+  return req.body.refreshToken || (req.cookies && req.cookies.refreshToken);
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 router.post('/register', [
+  sensitiveOpLimit(60 * 60 * 1000, 10), // 10 registrations per hour
   body('name')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -93,7 +168,14 @@ router.post('/register', [
       phone
     });
     
-    sendTokenResponse(user, 201, res, 'User registered successfully');
+    // A failed email shouldn't fail the signup; the user can request a resend
+    try {
+      await issueEmailVerification(user);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
+    
+    await sendTokenResponse(user, 201, req, res, 'User registered successfully. Please check your email to verify your account.');
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({
@@ -146,20 +228,39 @@ router.post('/login', [
       });
     }
     
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
+    
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
+      const lockUntil = await user.registerFailedLogin();
+      if (lockUntil) {
+        return sendLockedResponse(res, lockUntil);
+      }
+      
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
+    // Accounts with two-factor enabled finish logging in at /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user._id.toString())
+      });
+    }
+    
     // Update last login
     await user.updateLastLogin();
     
-    sendTokenResponse(user, 200, res, 'Login successful');
+    await sendTokenResponse(user, 200, req, res, 'Login successful');
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -169,19 +270,193 @@ router.post('/login', [
   }
 });
 
-// @desc    Logout user
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires two-factor token from /login)
+router.post('/login/2fa', [
+  sensitiveOpLimit(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    let decoded;
+    try {
+      decoded = verifyTwoFactorToken(req.body.twoFactorToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session expired. Please login again.'
+      });
+    }
+    
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
+    
+    const method = user.verifyTwoFactorCode(req.body.code);
+    
+    if (!method) {
+      const lockUntil = await user.registerFailedLogin();
+      if (lockUntil) {
+        return sendLockedResponse(res, lockUntil);
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    // Persists the consumed code along with the login time
+    await user.updateLastLogin();
+    
+    const message = method === 'backup'
+      ? `Login successful. ${user.twoFactor.backupCodes.length} backup code(s) remaining.`
+      : 'Login successful';
+    
+    await sendTokenResponse(user, 200, req, res, message);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @desc    Logout user (revokes the presented refresh token's family)
 // @route   POST /api/auth/logout
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+    
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken, 'logout');
+    }
+    
+    res.clearCookie('token', { path: '/', httpOnly: true });
+    res.clearCookie('refreshToken', { path: '/api/auth', httpOnly: true });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @desc    List active sessions for the current user
+// @route   GET /api/auth/sessions
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
-  
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.get('/sessions', protect, denyImpersonation, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ipAddress lastIp userAgent lastActivity createdAt expiresAt')
+      .sort({ lastActivity: -1 })
+      .lean();
+    
+    const currentId = req.authSession._id.toString();
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session,
+        isCurrent: session._id.toString() === currentId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @desc    Log out everywhere (revoke all sessions)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revokedCount = await revokeUserTokens(req.user._id, 'logout-all');
+    
+    res.clearCookie('token', { path: '/', httpOnly: true });
+    res.clearCookie('refreshToken', { path: '/api/auth', httpOnly: true });
+    
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${revokedCount} session(s)`
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id, 'logout');
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
 });
 
 // @desc    Get current logged in user
@@ -193,7 +468,11 @@ router.get('/me', protect, async (req, res) => {
     
     res.status(200).json({
       success: true,
-      user
+      user,
+      permissions: PERMISSIONS[user.role] || [],
+      impersonatedBy: req.impersonator
+        ? { id: req.impersonator._id, name: req.impersonator.name, email: req.impersonator.email }
+        : undefined
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -313,30 +592,482 @@ router.put('/change-password', [
       });
     }
     
-    // Update password
+    // Update password (invalidates previously issued tokens)
     user.password = newPassword;
     await user.save();
+    await revokeUserTokens(user._id, 'password-change');
+    
+    await sendTokenResponse(user, 200, req, res, 'Password changed successfully');
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  sensitiveOpLimit(15 * 60 * 1000, 3), // 3 attempts per 15 minutes
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    // Same response whether or not the account exists, so emails can't be probed
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+    
+    const user = await User.findOne({ email: req.body.email });
+    
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+    
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+    
+    try {
+      await sendPasswordResetEmail(user.email, user.name, resetToken);
+    } catch (emailError) {
+      // Logged only: a different response would reveal that the account exists
+      console.error('Password reset email error:', emailError);
+      
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+    
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @desc    Reset password using emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  sensitiveOpLimit(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+    
+    const user = await User.findOne({
+      resetPasswordToken: hashedToken,
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+    
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+    
+    // Setting the password also stamps passwordChangedAt, which invalidates
+    // every token issued before the reset. The reset token is single-use.
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+    await revokeUserTokens(user._id, 'password-change');
+    
+    await sendTokenResponse(user, 200, req, res, 'Password reset successful');
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+router.post('/verify-email/:token', async (req, res) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+    
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+    
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
     
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Email verified successfully'
     });
   } catch (error) {
-    console.error('Change password error:', error);
+    console.error('Verify email error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while changing password'
+      message: 'Server error while verifying email'
     });
   }
 });
 
-// @desc    Refresh token
-// @route   POST /api/auth/refresh
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', [
+  protect,
+  sensitiveOpLimit(60 * 60 * 1000, 5) // 5 attempts per hour
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+    
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const waitMs = lastSent + VERIFICATION_RESEND_COOLDOWN - Date.now();
+    
+    if (waitMs > 0) {
+      return res.status(429).json({
+        success: false,
+        message: 'Verification email was sent recently. Please try again shortly.',
+        retryAfter: Math.ceil(waitMs / 1000)
+      });
+    }
+    
+    await issueEmailVerification(user);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
 // @access  Private
-router.post('/refresh', protect, async (req, res) => {
+router.post('/2fa/setup', protect, async (req, res) => {
   try {
-    sendTokenResponse(req.user, 200, res, 'Token refreshed successfully');
+    const user = await User.findById(req.user.id);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+    
+    // otpauthUrl is the payload to render as a QR code for authenticator apps
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpAuthUrl(secret, user.email)
+    });
   } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting up two-factor authentication'
+    });
+  }
+});
+
+// @desc    Confirm enrollment and enable two-factor
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', [
+  protect,
+  sensitiveOpLimit(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+    
+    const step = verifyTOTP(req.body.code, user.twoFactor.pendingSecret);
+    
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+    
+    // Backup codes are only ever shown here
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Regenerate backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+router.post('/2fa/backup-codes', [
+  protect,
+  sensitiveOpLimit(15 * 60 * 1000, 5), // 5 attempts per 15 minutes
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (user.verifyTwoFactorCode(req.body.code) !== 'totp') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('Backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating backup codes'
+    });
+  }
+});
+
+// @desc    Disable two-factor
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', [
+  protect,
+  sensitiveOpLimit(15 * 60 * 1000, 3), // 3 attempts per 15 minutes
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for this account'
+      });
+    }
+    
+    const isMatch = await user.comparePassword(req.body.password);
+    
+    if (!isMatch || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+    
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+    
+    const { user, tokens } = await rotateRefreshToken(refreshToken, req);
+    
+    sendTokens(user, tokens, 200, res, 'Token refreshed successfully');
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,438 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  TIERS,
+  MAX_LINE_QUANTITY,
+  normalizeCustomizations,
+  validateCustomizations,
+  productVolumes,
+  findNextQuantityBreak,
+  findVariant,
+  priceLine
+} = require('../utils/pricing');
+const { isInStock } = require('../utils/stock');
+const { createOrder } = require('../utils/orderService');
+const { tryStartPayment } = require('../utils/payments');
+
+const router = express.Router();
+
+// Guests identify their cart with the id returned on first add,
+// sent back as an X-Cart-Id header (or cartId in the body/query)
+const getGuestId = (req) => {
+  return req.get('x-cart-id') || (req.body && req.body.cartId) || req.query.cartId || null;
+};
+
+// Find the cart for the current user or guest; optionally start a new one
+const findCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    return cart || (create ? new Cart({ user: req.user._id, items: [] }) : null);
+  }
+
+  const guestId = getGuestId(req);
+  const cart = guestId ? await Cart.findOne({ guestId, user: null }) : null;
+
+  return cart || (create ? new Cart({ guestId: crypto.randomUUID(), items: [] }) : null);
+};
+
+// Reprice a cart from current product data. Lines whose product, variant or
+// tier is no longer available (or out of stock) are flagged rather than
+// dropped, as are products below their minimum order quantity.
+const serializeCart = async (cart) => {
+  if (!cart) {
+    return {
+      id: null,
+      cartId: null,
+      items: [],
+      itemCount: 0,
+      subtotal: 0,
+      hasUnavailableItems: false,
+      hasItemsBelowMinimum: false
+    };
+  }
+
+  const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } })
+    .select('name category subcategory images price quantityBreaks minimumOrderQuantity variants stock customizationOptions isActive');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  const volumes = productVolumes(cart.items);
+
+  let subtotal = 0;
+  let itemCount = 0;
+
+  const items = cart.items.map(item => {
+    const product = byId.get(item.product.toString());
+    const line = {
+      _id: item._id,
+      product: product
+        ? { _id: product._id, name: product.name, category: product.category, images: product.images }
+        : { _id: item.product },
+      packageType: item.packageType,
+      quantity: item.quantity,
+      requirements: item.requirements,
+      available: true
+    };
+
+    if (!product || !product.isActive) {
+      return { ...line, available: false, issue: 'This product is no longer available' };
+    }
+
+    try {
+      const volume = volumes.get(product._id.toString());
+      const variant = findVariant(product, item.variant);
+      const priced = priceLine(product, {
+        packageType: item.packageType,
+        quantity: item.quantity,
+        volume,
+        variant,
+        customizations: normalizeCustomizations(item.customizations)
+      });
+
+      line.variant = variant ? { _id: variant._id, sku: variant.sku, attributes: variant.attributes } : undefined;
+
+      if (!isInStock(variant || product, item.quantity)) {
+        const left = (variant || product).stock;
+        return {
+          ...line,
+          available: false,
+          issue: left > 0 ? `Only ${left} left in stock` : 'Out of stock'
+        };
+      }
+
+      subtotal += priced.lineTotal;
+      itemCount += item.quantity;
+
+      return {
+        ...line,
+        customizations: priced.customizations,
+        listPrice: priced.listPrice,
+        priceDelta: priced.priceDelta,
+        tierPrice: priced.tierPrice,
+        quantityBreak: priced.quantityBreak,
+        nextQuantityBreak: findNextQuantityBreak(product, item.packageType, volume, priced.tierPrice),
+        minimumOrderQuantity: product.minimumOrderQuantity,
+        belowMinimum: !!product.minimumOrderQuantity && volume < product.minimumOrderQuantity,
+        unitPrice: priced.unitPrice,
+        lineTotal: priced.lineTotal
+      };
+    } catch (error) {
+      return { ...line, available: false, issue: error.message };
+    }
+  });
+
+  return {
+    id: cart._id,
+    cartId: cart.user ? null : cart.guestId,
+    items,
+    itemCount,
+    subtotal,
+    hasUnavailableItems: items.some(item => !item.available),
+    hasItemsBelowMinimum: items.some(item => item.belowMinimum)
+  };
+};
+
+// Check a product/variant/tier/customization combination before it goes into the cart
+const loadPurchasableProduct = async (productId, packageType, customizations, variantRef) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { error: 'Invalid product ID' };
+  }
+
+  const product = await Product.findById(productId);
+
+  if (!product || !product.isActive) {
+    return { error: 'Product not found', status: 404 };
+  }
+
+  let variant;
+  try {
+    variant = findVariant(product, variantRef);
+    priceLine(product, { packageType, variant, customizations });
+    validateCustomizations(product, customizations);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (!isInStock(variant || product)) {
+    return { error: `${product.name} is out of stock`, status: 409 };
+  }
+
+  return { product, variant };
+};
+
+const itemValidators = [
+  body('quantity').optional().isInt({ min: 1, max: MAX_LINE_QUANTITY }).withMessage(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`).toInt(),
+  body('packageType').optional().isIn(TIERS).withMessage('Invalid package type'),
+  body('requirements').optional().isLength({ max: 2000 }).withMessage('Requirements cannot be more than 2000 characters')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// @desc    Get current cart with live prices
+// @route   GET /api/cart
+// @access  Public (guest cart via X-Cart-Id) / Private
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    res.status(200).json({
+      success: true,
+      cart: await serializeCart(cart)
+    });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cart'
+    });
+  }
+});
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+// @access  Public (guest cart via X-Cart-Id) / Private
+router.post('/items', [
+  optionalAuth,
+  body('product').notEmpty().withMessage('Product is required'),
+  ...itemValidators
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const packageType = req.body.packageType || req.body.tier || 'base';
+    const customizations = normalizeCustomizations(req.body.customizations || req.body.customization);
+
+    const { product, variant, error, status } = await loadPurchasableProduct(
+      req.body.product,
+      packageType,
+      customizations,
+      req.body.variant || req.body.sku
+    );
+    if (error) {
+      return res.status(status || 400).json({ success: false, message: error });
+    }
+
+    const cart = await findCart(req, { create: true });
+
+    cart.addItem({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      packageType,
+      quantity: req.body.quantity || 1,
+      customizations,
+      requirements: req.body.requirements
+    });
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${product.name} added to cart`,
+      cart: await serializeCart(cart)
+    });
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding to cart'
+    });
+  }
+});
+
+// @desc    Update cart item (quantity, tier, customizations)
+// @route   PUT /api/cart/items/:itemId
+// @access  Public (guest cart via X-Cart-Id) / Private
+router.put('/items/:itemId', [optionalAuth, ...itemValidators], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Cart item not found' });
+    }
+
+    const packageType = req.body.packageType || item.packageType;
+    const customizations = req.body.customizations || req.body.customization
+      ? normalizeCustomizations(req.body.customizations || req.body.customization)
+      : normalizeCustomizations(item.customizations);
+
+    const { variant, error, status } = await loadPurchasableProduct(
+      item.product,
+      packageType,
+      customizations,
+      req.body.variant || req.body.sku || item.variant
+    );
+    if (error) {
+      return res.status(status || 400).json({ success: false, message: error });
+    }
+
+    item.variant = variant ? variant._id : undefined;
+    item.packageType = packageType;
+    item.customizations = customizations;
+    if (req.body.quantity !== undefined) item.quantity = req.body.quantity;
+    if (req.body.requirements !== undefined) item.requirements = req.body.requirements;
+
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart updated',
+      cart: await serializeCart(cart)
+    });
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cart'
+    });
+  }
+});
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Public (guest cart via X-Cart-Id) / Private
+router.delete('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Cart item not found' });
+    }
+
+    cart.items.pull(item._id);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from cart',
+      cart: await serializeCart(cart)
+    });
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing from cart'
+    });
+  }
+});
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Public (guest cart via X-Cart-Id) / Private
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared',
+      cart: await serializeCart(cart)
+    });
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing cart'
+    });
+  }
+});
+
+// @desc    Turn the cart into an order
+// @route   POST /api/cart/checkout
+// @access  Private
+router.post('/checkout', protect, requireVerifiedEmail, idempotent(), async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const summary = await serializeCart(cart);
+
+    if (summary.hasUnavailableItems) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart are no longer available. Please review your cart.',
+        cart: summary
+      });
+    }
+
+    if (summary.hasItemsBelowMinimum) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some products in your cart are below their minimum order quantity.',
+        cart: summary
+      });
+    }
+
+    const order = await createOrder(req.user, {
+      ...req.body,
+      items: cart.items.map(item => ({
+        product: item.product,
+        variant: item.variant,
+        packageType: item.packageType,
+        quantity: item.quantity,
+        customizations: item.customizations,
+        requirements: item.requirements
+      }))
+    }, req);
+
+    cart.items = [];
+    await cart.save();
+
+    // Online orders also get a payment gateway checkout
+    const payment = order.paymentInfo.method === 'online' ? await tryStartPayment(order) : undefined;
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate('customer', 'name email')
+      .populate('items.product', 'name images category');
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      order: populatedOrder,
+      payment
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Cart checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during checkout'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const Client = require('../models/Client');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, can } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 
 // @desc    Get all clients
 // @route   GET /api/clients
-// @access  Private (Admin only)
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (clients:read)
+router.get('/', protect, can('clients:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -60,11 +60,12 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Get single client
 // @route   GET /api/clients/:id
-// @access  Private (Admin only)
-router.get('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (clients:read)
+router.get('/:id', protect, can('clients:read'), async (req, res) => {
   try {
     const client = await Client.findById(req.params.id)
       .populate('createdBy', 'name email')
+      .populate('organization', 'name type')
       .populate({
         path: 'projects',
         select: 'orderNumber status pricing.total createdAt',
@@ -94,13 +95,14 @@ router.get('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Create new client
 // @route   POST /api/clients
-// @access  Private (Admin only)
+// @access  Private (clients:manage)
 router.post('/', [
   protect,
-  authorize('admin'),
+  can('clients:manage'),
   body('name').notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
-  body('phone').notEmpty().withMessage('Phone number is required')
+  body('phone').notEmpty().withMessage('Phone number is required'),
+  body('organization').optional({ values: 'null' }).isMongoId().withMessage('Invalid organization ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -145,13 +147,14 @@ router.post('/', [
 
 // @desc    Update client
 // @route   PUT /api/clients/:id
-// @access  Private (Admin only)
+// @access  Private (clients:manage)
 router.put('/:id', [
   protect,
-  authorize('admin'),
+  can('clients:manage'),
   body('name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
-  body('phone').optional().notEmpty().withMessage('Phone number cannot be empty')
+  body('phone').optional().notEmpty().withMessage('Phone number cannot be empty'),
+  body('organization').optional({ values: 'null' }).isMongoId().withMessage('Invalid organization ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -207,8 +210,8 @@ router.put('/:id', [
 
 // @desc    Delete client
 // @route   DELETE /api/clients/:id
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (clients:manage)
+router.delete('/:id', protect, can('clients:manage'), async (req, res) => {
   try {
     const client = await Client.findById(req.params.id);
     
@@ -245,8 +248,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Update client total spent
 // @route   PUT /api/clients/:id/update-spent
-// @access  Private (Admin only)
-router.put('/:id/update-spent', protect, authorize('admin'), async (req, res) => {
+// @access  Private (clients:update-spent)
+router.put('/:id/update-spent', protect, can('clients:update-spent'), async (req, res) => {
   try {
     const client = await Client.findById(req.params.id);
     
@@ -276,8 +279,8 @@ router.put('/:id/update-spent', protect, authorize('admin'), async (req, res) =>
 
 // @desc    Get client statistics
 // @route   GET /api/clients/stats
-// @access  Private (Admin only)
-router.get('/stats/overview', protect, authorize('admin'), async (req, res) => {
+// @access  Private (clients:read)
+router.get('/stats/overview', protect, can('clients:read'), async (req, res) => {
   try {
     const stats = await Client.aggregate([
       {
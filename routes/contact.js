@@ -2,10 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const ContactMessage = require('../models/ContactMessage');
-const { protect, authorize } = require('../middleware/auth'); // only for admin
+const { protect, can, sensitiveOpLimit } = require('../middleware/auth');
 
-// POST /api/contact - save submission
-router.post('/', async (req, res) => {
+// POST /api/contact - save submission (5 per hour per IP)
+router.post('/', sensitiveOpLimit(60 * 60 * 1000, 5), async (req, res) => {
   try {
     const { name, email, phone, subject, message, projectType } = req.body;
 
@@ -26,7 +26,7 @@ router.post('/', async (req, res) => {
 
 // GET /api/contact - admin: get all messages
 // router.get('/', async (req, res) => {
-router.get('/', protect, authorize('admin'), async (req, res) => {
+router.get('/', protect, can('contact:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, search } = req.query;
     const skip = (page - 1) * limit;
@@ -61,7 +61,7 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 });
 
 // PUT /api/contact/:id/read - mark as read
-router.put('/:id/read', protect, authorize('admin'), async (req, res) => {
+router.put('/:id/read', protect, can('contact:manage'), async (req, res) => {
   try {
     const message = await ContactMessage.findById(req.params.id);
     if (!message) return res.status(404).json({ success: false, message: 'Message not found' });
@@ -76,7 +76,7 @@ router.put('/:id/read', protect, authorize('admin'), async (req, res) => {
 });
 
 // DELETE /api/contact/:id - delete message
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, can('contact:manage'), async (req, res) => {
   try {
     const message = await ContactMessage.findByIdAndDelete(req.params.id);
     if (!message) return res.status(404).json({ success: false, message: 'Message not found' });
@@ -0,0 +1,370 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Cart = require('../models/Cart');
+const { protect, can } = require('../middleware/auth');
+const { priceItems } = require('../utils/pricing');
+const { validateCoupon } = require('../utils/coupons');
+
+const router = express.Router();
+
+const COUPON_FIELDS = [
+  'code', 'description', 'campaign', 'type', 'value', 'maxDiscount', 'buyQuantity', 'getQuantity',
+  'scope', 'minOrderValue', 'usageLimit', 'perUserLimit', 'startsAt', 'endsAt', 'isActive'
+];
+
+const pickCouponFields = (source) => {
+  const data = {};
+  COUPON_FIELDS.forEach(field => {
+    if (source[field] !== undefined) data[field] = source[field];
+  });
+  return data;
+};
+
+const couponValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('code').trim().notEmpty().withMessage('Coupon code is required'),
+    field('type').isIn(['percentage', 'flat', 'buy-x-get-y']).withMessage('Invalid coupon type'),
+    body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+    body('maxDiscount').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Max discount must be a positive number'),
+    body('buyQuantity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+    body('getQuantity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+    body('minOrderValue').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be a positive number'),
+    body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Invalid start date'),
+    body('endsAt').optional({ values: 'null' }).isISO8601().withMessage('Invalid end date')
+  ];
+};
+
+// @desc    Check a coupon against the given items (or the current cart)
+// @route   POST /api/coupons/validate
+// @access  Private
+router.post('/validate', [
+  protect,
+  body('code').trim().notEmpty().withMessage('Coupon code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let items = req.body.items;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      items = cart ? cart.items : [];
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add items to your cart before applying a coupon'
+      });
+    }
+
+    const { lines, subtotal } = await priceItems(items.map(item => ({
+      product: item.product,
+      variant: item.variant || item.sku,
+      packageType: item.tier || item.packageType || 'base',
+      quantity: item.quantity || 1,
+      customizations: item.customizations || item.customization
+    })));
+
+    const { coupon, discount } = await validateCoupon(req.body.code, req.user, lines, subtotal);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      coupon: {
+        code: coupon.code,
+        type: coupon.type,
+        description: coupon.description
+      },
+      subtotal,
+      discount
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while validating coupon'
+    });
+  }
+});
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private (coupons:read)
+router.get('/', protect, can('coupons:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.campaign) {
+      query.campaign = req.query.campaign;
+    }
+
+    if (req.query.search) {
+      query.code = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const coupons = await Coupon.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      coupons
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupons'
+    });
+  }
+});
+
+// @desc    Get single coupon with redemption totals
+// @route   GET /api/coupons/:id
+// @access  Private (coupons:read)
+router.get('/:id', protect, can('coupons:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    }
+
+    const coupon = await Coupon.findById(req.params.id).populate('createdBy', 'name email');
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const [stats] = await CouponRedemption.aggregate([
+      { $match: { coupon: coupon._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$discount' },
+          customers: { $addToSet: '$user' }
+        }
+      },
+      { $project: { _id: 0, redemptions: 1, totalDiscount: 1, uniqueCustomers: { $size: '$customers' } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      coupon,
+      stats: stats || { redemptions: 0, totalDiscount: 0, uniqueCustomers: 0 }
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupon'
+    });
+  }
+});
+
+// @desc    Get orders that used a coupon
+// @route   GET /api/coupons/:id/redemptions
+// @access  Private (coupons:read)
+router.get('/:id/redemptions', protect, can('coupons:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { coupon: req.params.id };
+
+    const redemptions = await CouponRedemption.find(query)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber status pricing.total')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await CouponRedemption.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: redemptions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      redemptions
+    });
+  } catch (error) {
+    console.error('Get coupon redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching redemptions'
+    });
+  }
+});
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (coupons:manage)
+router.post('/', [protect, can('coupons:manage'), ...couponValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await Coupon.findOne({ code: req.body.code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating coupon'
+    });
+  }
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (coupons:manage)
+router.put('/:id', [protect, can('coupons:manage'), ...couponValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    // The code is printed on campaign material once it has been used
+    if (req.body.code && req.body.code.toUpperCase() !== coupon.code && coupon.usedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the code of a coupon that has been used'
+      });
+    }
+
+    Object.assign(coupon, pickCouponFields(req.body));
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating coupon'
+    });
+  }
+});
+
+// @desc    Delete coupon (used coupons are deactivated instead)
+// @route   DELETE /api/coupons/:id
+// @access  Private (coupons:manage)
+router.delete('/:id', protect, can('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    // Keep used coupons so order history still points at them
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Coupon has been used, so it was deactivated instead of deleted'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting coupon'
+    });
+  }
+});
+
+module.exports = router;
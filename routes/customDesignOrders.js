@@ -1,9 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const CustomDesignOrder = require('../models/CustomDesignOrder');
 const Product = require('../models/Product');
 const User = require('../models/User');
-const { protect: auth, authorize } = require('../middleware/auth');
+const { protect: auth, can, requireVerifiedEmail } = require('../middleware/auth');
+const { consumeDesignOrderMaterials, returnDesignOrderMaterials } = require('../utils/inventory');
+const { getOrderTracking } = require('../utils/shipping');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -49,7 +52,7 @@ const upload = multer({
 // @route   POST /api/custom-design-orders
 // @desc    Create a new custom design order
 // @access  Private
-router.post('/', auth, upload.single('designFile'), async (req, res) => {
+router.post('/', auth, requireVerifiedEmail, upload.single('designFile'), async (req, res) => {
   try {
     const {
       productId,
@@ -128,9 +131,6 @@ router.post('/', auth, upload.single('designFile'), async (req, res) => {
       }
     }
 
-    // Generate unique order number
-    const orderNumber = 'ORD-' + Date.now();
-
     // Map productCategory to valid enum (update according to your schema)
     // Valid categories according to Mongoose schema
     const validCategories = ['apparels', 'travels', 'leather', 'uniforms', 'embroidery'];
@@ -155,7 +155,6 @@ router.post('/', auth, upload.single('designFile'), async (req, res) => {
 
     // Create custom design order
     const customOrder = new CustomDesignOrder({
-      orderNumber,
       customer: req.user.id,
       product: productId,
       productName: product.name,
@@ -253,8 +252,8 @@ router.get('/', auth, async (req, res) => {
 
 // @route   GET /api/custom-design-orders/admin
 // @desc    Get all custom design orders for admin dashboard
-// @access  Private/Admin
-router.get('/admin', auth, authorize('admin'), async (req, res) => {
+// @access  Private (design-orders:read-all)
+router.get('/admin', auth, can('design-orders:read-all'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, search } = req.query;
     const skip = (page - 1) * limit;
@@ -342,6 +341,127 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/custom-design-orders/:id/tracking
+// @desc    Get shipment tracking for a custom design order
+// @access  Private (Owner or design-orders:read-all)
+router.get('/:id/tracking', auth, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (!req.user.can('design-orders:read-all')) {
+      query.customer = req.user.id;
+    }
+
+    const order = await CustomDesignOrder.findOne(query).select('orderNumber status deliveryOptions');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom design order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      // null until the order has been shipped
+      tracking: await getOrderTracking(order)
+    });
+
+  } catch (error) {
+    console.error('Error fetching custom design order tracking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tracking',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/custom-design-orders/:id/status
+// @desc    Move a custom design order to its next status
+// @access  Private (design-orders:update-status)
+router.put('/:id/status', auth, can('design-orders:update-status'), async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!CustomDesignOrder.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    if (req.body.warehouse && !mongoose.Types.ObjectId.isValid(req.body.warehouse)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid warehouse ID'
+      });
+    }
+
+    const order = await CustomDesignOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom design order not found'
+      });
+    }
+
+    try {
+      order.updateStatus(status, req.user._id);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedStatuses: order.allowedTransitions()
+      });
+    }
+
+    // Production takes the blanks and materials the order needs from inventory
+    let consumed = [];
+    if (status === 'in-production') {
+      try {
+        consumed = await consumeDesignOrderMaterials(order, {
+          warehouse: req.body.warehouse,
+          actor: req.user._id
+        });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          shortages: error.shortages
+        });
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (error) {
+      if (consumed.length > 0) {
+        await returnDesignOrderMaterials(order, { actor: req.user._id });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      order
+    });
+
+  } catch (error) {
+    console.error('Error updating custom design order status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating order status',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/custom-design-orders/:id/cancel
 // @desc    Cancel a custom design order
 // @access  Private
@@ -360,14 +480,14 @@ router.put('/:id/cancel', auth, async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (['in-production', 'quality-check', 'shipped', 'delivered'].includes(order.status)) {
+    if (!order.canTransitionTo('cancelled')) {
       return res.status(400).json({
         success: false,
         message: 'Order cannot be cancelled at this stage'
       });
     }
 
-    order.updateStatus('cancelled');
+    order.updateStatus('cancelled', req.user._id);
     await order.save();
 
     res.json({
@@ -4,7 +4,7 @@ const multer = require('multer');
 const path = require('path');
 const { body, validationResult } = require('express-validator');
 const CustomEmbroideryRequest = require('../models/CustomEmbroideryRequest');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, can, canAny, requireVerifiedEmail } = require('../middleware/auth');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -58,15 +58,16 @@ const RUSH_DELIVERY_COST = 200;
 
 // @desc    Get all custom embroidery requests (Admin)
 // @route   GET /api/custom-embroidery-requests
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (custom-requests:read-all or custom-requests:read-assigned)
+router.get('/', protect, canAny('custom-requests:read-all', 'custom-requests:read-assigned'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    // Build filter object
+    // Build filter object (designers only see requests assigned to them)
     const filter = {};
+    if (!req.user.can('custom-requests:read-all')) filter.assignedDesigner = req.user._id;
     if (req.query.status) filter.status = req.query.status;
     if (req.query.priority) filter.priority = req.query.priority;
     if (req.query.embroideryType) filter.embroideryType = req.query.embroideryType;
@@ -165,8 +166,8 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
     
-    // Check if user owns this request or is admin
-    if (request.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns this request or works on it as staff
+    if (request.user._id.toString() !== req.user.id && !req.user.canWorkOnRequest(request)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this request'
@@ -192,6 +193,7 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Private
 router.post('/', [
   protect,
+  requireVerifiedEmail,
   upload.array('images', 5),
   body('businessName').notEmpty().withMessage('Business name is required'),
   body('contactPerson').notEmpty().withMessage('Contact person is required'),
@@ -324,10 +326,10 @@ router.post('/', [
 
 // @desc    Update custom embroidery request status (Admin)
 // @route   PUT /api/custom-embroidery-requests/:id/status
-// @access  Private/Admin
+// @access  Private (custom-requests:update-status)
 router.put('/:id/status', [
   protect,
-  authorize('admin'),
+  can('custom-requests:update-status'),
   body('status').isIn(['pending', 'in-review', 'in-progress', 'revision-requested', 'completed', 'cancelled']).withMessage('Valid status is required')
 ], async (req, res) => {
   try {
@@ -349,9 +351,32 @@ router.put('/:id/status', [
       });
     }
     
+    if (!req.user.canWorkOnRequest(request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this request'
+      });
+    }
+    
     const { status, adminNotes, assignedDesigner } = req.body;
     
-    request.updateStatus(status);
+    if (assignedDesigner && !req.user.can('custom-requests:assign')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to assign designers'
+      });
+    }
+    
+    try {
+      request.updateStatus(status, req.user._id);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedStatuses: request.allowedTransitions()
+      });
+    }
     if (adminNotes) request.adminNotes = adminNotes;
     if (assignedDesigner) request.assignedDesigner = assignedDesigner;
     
@@ -431,10 +456,10 @@ router.post('/:id/revision', [
 
 // @desc    Upload final designs (Admin)
 // @route   POST /api/custom-embroidery-requests/:id/final-designs
-// @access  Private/Admin
+// @access  Private (custom-requests:upload-designs)
 router.post('/:id/final-designs', [
   protect,
-  authorize('admin'),
+  can('custom-requests:upload-designs'),
   upload.array('designs', 10)
 ], async (req, res) => {
   try {
@@ -447,6 +472,20 @@ router.post('/:id/final-designs', [
       });
     }
     
+    if (!req.user.canWorkOnRequest(request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to upload designs for this request'
+      });
+    }
+    
+    if (request.status !== 'completed' && !request.canTransitionTo('completed')) {
+      return res.status(409).json({
+        success: false,
+        message: `Final designs can't be delivered while the request is ${request.status}`
+      });
+    }
+    
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         success: false,
@@ -462,7 +501,7 @@ router.post('/:id/final-designs', [
     }));
     
     request.finalDesigns.push(...finalDesigns);
-    request.updateStatus('completed');
+    request.updateStatus('completed', req.user._id);
     
     await request.save();
     
@@ -505,8 +544,8 @@ router.get('/pricing/packages', async (req, res) => {
 
 // @desc    Delete custom embroidery request
 // @route   DELETE /api/custom-embroidery-requests/:id
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (custom-requests:delete)
+router.delete('/:id', protect, can('custom-requests:delete'), async (req, res) => {
   try {
     const request = await CustomEmbroideryRequest.findById(req.params.id);
     
@@ -535,8 +574,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Export custom embroidery requests as CSV
 // @route   GET /api/custom-embroidery-requests/export/csv
-// @access  Private/Admin
-router.get('/export/csv', protect, authorize('admin'), async (req, res) => {
+// @access  Private (custom-requests:export)
+router.get('/export/csv', protect, can('custom-requests:export'), async (req, res) => {
   try {
     const requests = await CustomEmbroideryRequest.find({})
       .populate('user', 'name email')
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const CustomLogoDesign = require('../models/CustomLogoDesign');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, can } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
@@ -154,10 +154,10 @@ router.get('/:id', async (req, res) => {
 
 // @desc    Create new custom logo design
 // @route   POST /api/custom-logo-designs
-// @access  Private (Admin only)
+// @access  Private (logo-designs:manage)
 router.post('/', [
   protect,
-  authorize('admin'),
+  can('logo-designs:manage'),
   upload.array('images', 10),
   body('title').notEmpty().withMessage('Title is required'),
   body('description').notEmpty().withMessage('Description is required'),
@@ -229,10 +229,10 @@ router.post('/', [
 
 // @desc    Update custom logo design
 // @route   PUT /api/custom-logo-designs/:id
-// @access  Private (Admin only)
+// @access  Private (logo-designs:manage)
 router.put('/:id', [
   protect,
-  authorize('admin'),
+  can('logo-designs:manage'),
   upload.array('images', 10)
 ], async (req, res) => {
   try {
@@ -302,8 +302,8 @@ router.put('/:id', [
 
 // @desc    Delete custom logo design
 // @route   DELETE /api/custom-logo-designs/:id
-// @access  Private (Admin only)
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (logo-designs:manage)
+router.delete('/:id', protect, can('logo-designs:manage'), async (req, res) => {
   try {
     const design = await CustomLogoDesign.findById(req.params.id);
     
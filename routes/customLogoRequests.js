@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const CustomLogoRequest = require('../models/CustomLogoRequest');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, can, canAny, requireVerifiedEmail } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
@@ -94,15 +95,16 @@ const RUSH_DELIVERY_COST = 1500;
 
 // @desc    Get all custom logo requests (Admin)
 // @route   GET /api/custom-logo-requests
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (custom-requests:read-all or custom-requests:read-assigned)
+router.get('/', protect, canAny('custom-requests:read-all', 'custom-requests:read-assigned'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    // Build filter object
+    // Build filter object (designers only see requests assigned to them)
     const filter = {};
+    if (!req.user.can('custom-requests:read-all')) filter.assignedDesigner = req.user._id;
     if (req.query.status) filter.status = req.query.status;
     if (req.query.priority) filter.priority = req.query.priority;
     if (req.query.industry) filter.industry = req.query.industry;
@@ -213,8 +215,8 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
     
-    // Check if user owns this request or is admin
-    if (request.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns this request or works on it as staff
+    if (request.user._id.toString() !== req.user.id && !req.user.canWorkOnRequest(request)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this request'
@@ -238,9 +240,12 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Create new custom logo request
 // @route   POST /api/custom-logo-requests
 // @access  Private
+// Send an Idempotency-Key header to make retries safe
 router.post('/', [
   protect,
+  requireVerifiedEmail,
   upload.array('images', 5),
+  idempotent(),
   body('businessName').notEmpty().withMessage('Business name is required'),
   body('industry').notEmpty().withMessage('Industry is required'),
   body('description').notEmpty().withMessage('Description is required'),
@@ -334,10 +339,10 @@ router.post('/', [
 
 // @desc    Update custom logo request status (Admin)
 // @route   PUT /api/custom-logo-requests/:id/status
-// @access  Private/Admin
+// @access  Private (custom-requests:update-status)
 router.put('/:id/status', [
   protect,
-  authorize('admin'),
+  can('custom-requests:update-status'),
   body('status').isIn(['pending', 'in-review', 'in-progress', 'revision-requested', 'completed', 'cancelled']).withMessage('Valid status is required')
 ], async (req, res) => {
   try {
@@ -359,9 +364,32 @@ router.put('/:id/status', [
       });
     }
     
+    if (!req.user.canWorkOnRequest(request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this request'
+      });
+    }
+    
     const { status, adminNotes, assignedDesigner } = req.body;
     
-    request.updateStatus(status);
+    if (assignedDesigner && !req.user.can('custom-requests:assign')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to assign designers'
+      });
+    }
+    
+    try {
+      request.updateStatus(status, req.user._id);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedStatuses: request.allowedTransitions()
+      });
+    }
     if (adminNotes) request.adminNotes = adminNotes;
     if (assignedDesigner) request.assignedDesigner = assignedDesigner;
     
@@ -441,10 +469,10 @@ router.post('/:id/revision', [
 
 // @desc    Upload final designs (Admin)
 // @route   POST /api/custom-logo-requests/:id/final-designs
-// @access  Private/Admin
+// @access  Private (custom-requests:upload-designs)
 router.post('/:id/final-designs', [
   protect,
-  authorize('admin'),
+  can('custom-requests:upload-designs'),
   upload.array('designs', 10)
 ], async (req, res) => {
   try {
@@ -457,6 +485,20 @@ router.post('/:id/final-designs', [
       });
     }
     
+    if (!req.user.canWorkOnRequest(request)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to upload designs for this request'
+      });
+    }
+    
+    if (request.status !== 'completed' && !request.canTransitionTo('completed')) {
+      return res.status(409).json({
+        success: false,
+        message: `Final designs can't be delivered while the request is ${request.status}`
+      });
+    }
+    
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         success: false,
@@ -472,7 +514,7 @@ router.post('/:id/final-designs', [
     }));
     
     request.finalDesigns.push(...finalDesigns);
-    request.updateStatus('completed');
+    request.updateStatus('completed', req.user._id);
     
     await request.save();
     
@@ -515,8 +557,8 @@ router.get('/pricing/packages', async (req, res) => {
 
 // @desc    Delete custom logo request
 // @route   DELETE /api/custom-logo-requests/:id
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (custom-requests:delete)
+router.delete('/:id', protect, can('custom-requests:delete'), async (req, res) => {
   try {
     const request = await CustomLogoRequest.findById(req.params.id);
     
@@ -554,8 +596,8 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Export custom logo requests as CSV
 // @route   GET /api/custom-logo-requests/export/csv
-// @access  Private/Admin
-router.get('/export/csv', protect, authorize('admin'), async (req, res) => {
+// @access  Private (custom-requests:export)
+router.get('/export/csv', protect, can('custom-requests:export'), async (req, res) => {
   try {
     const requests = await CustomLogoRequest.find({})
       .populate('user', 'name email')
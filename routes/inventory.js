@@ -0,0 +1,500 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const InventoryItem = require('../models/InventoryItem');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const { protect, can } = require('../middleware/auth');
+const { ITEM_CATEGORIES, UNITS } = require('../config/inventory');
+const { recordMovement, checkReorderLevel } = require('../utils/inventory');
+
+const router = express.Router();
+
+const WAREHOUSE_FIELDS = ['name', 'code', 'address', 'isDefault', 'isActive'];
+
+// Stock itself only changes through movements
+const ITEM_FIELDS = [
+  'sku', 'name', 'category', 'unit', 'description', 'unitCost', 'usage',
+  'reorderLevel', 'reorderQuantity', 'isActive'
+];
+
+const pickFields = (source, fields) => {
+  const data = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) data[field] = source[field];
+  });
+  return data;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const warehouseValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Warehouse name is required'),
+    field('code').trim().notEmpty().withMessage('Warehouse code is required'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false').toBoolean()
+  ];
+};
+
+const itemValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('sku').trim().notEmpty().withMessage('SKU is required'),
+    field('name').trim().notEmpty().withMessage('Item name is required'),
+    field('category').isIn(ITEM_CATEGORIES).withMessage('Invalid category'),
+    body('unit').optional().isIn(UNITS).withMessage('Invalid unit'),
+    body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+    body('reorderLevel').optional().isFloat({ min: 0 }).withMessage('Reorder level must be a positive number'),
+    body('reorderQuantity').optional().isFloat({ min: 0 }).withMessage('Reorder quantity must be a positive number'),
+    body('usage').optional().isArray().withMessage('Usage must be a list of rules')
+  ];
+};
+
+// Only one warehouse is the default; make room before setting a new one
+const clearDefaultWarehouse = (exceptId) => Warehouse.updateMany(
+  { isDefault: true, _id: { $ne: exceptId } },
+  { $set: { isDefault: false } }
+);
+
+// @desc    Get warehouses
+// @route   GET /api/inventory/warehouses
+// @access  Private (inventory:read)
+router.get('/warehouses', protect, can('inventory:read'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const warehouses = await Warehouse.find(query).sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: warehouses.length,
+      warehouses
+    });
+  } catch (error) {
+    console.error('Get warehouses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching warehouses'
+    });
+  }
+});
+
+// @desc    Create warehouse
+// @route   POST /api/inventory/warehouses
+// @access  Private (inventory:manage)
+router.post('/warehouses', [protect, can('inventory:manage'), ...warehouseValidators()], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const warehouse = new Warehouse(pickFields(req.body, WAREHOUSE_FIELDS));
+
+    // The first warehouse is where production takes materials from
+    if (req.body.isDefault === undefined && !(await Warehouse.exists({ isDefault: true }))) {
+      warehouse.isDefault = true;
+    }
+
+    if (warehouse.isDefault) {
+      await clearDefaultWarehouse(warehouse._id);
+    }
+
+    await warehouse.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Warehouse created successfully',
+      warehouse
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A warehouse with this code already exists' });
+    }
+    console.error('Create warehouse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating warehouse'
+    });
+  }
+});
+
+// @desc    Update warehouse
+// @route   PUT /api/inventory/warehouses/:id
+// @access  Private (inventory:manage)
+router.put('/warehouses/:id', [protect, can('inventory:manage'), ...warehouseValidators(true)], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid warehouse ID' });
+    }
+
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return res.status(404).json({ success: false, message: 'Warehouse not found' });
+    }
+
+    Object.assign(warehouse, pickFields(req.body, WAREHOUSE_FIELDS));
+
+    if (warehouse.isDefault && !warehouse.isActive) {
+      return res.status(400).json({ success: false, message: 'The default warehouse cannot be deactivated' });
+    }
+
+    if (warehouse.isDefault) {
+      await clearDefaultWarehouse(warehouse._id);
+    }
+
+    await warehouse.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Warehouse updated successfully',
+      warehouse
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A warehouse with this code already exists' });
+    }
+    console.error('Update warehouse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating warehouse'
+    });
+  }
+});
+
+// @desc    Get inventory items
+// @route   GET /api/inventory/items
+// @access  Private (inventory:read)
+router.get('/items', protect, can('inventory:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.product && mongoose.Types.ObjectId.isValid(req.query.product)) {
+      query['usage.product'] = req.query.product;
+    }
+
+    if (req.query.search) {
+      query.$or = [
+        { sku: { $regex: req.query.search, $options: 'i' } },
+        { name: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    const items = await InventoryItem.find(query)
+      .populate('stock.warehouse', 'name code')
+      .sort({ category: 1, name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await InventoryItem.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      items
+    });
+  } catch (error) {
+    console.error('Get inventory items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching inventory items'
+    });
+  }
+});
+
+// @desc    Get items at or below their reorder level
+// @route   GET /api/inventory/items/low-stock
+// @access  Private (inventory:read)
+router.get('/items/low-stock', protect, can('inventory:read'), async (req, res) => {
+  try {
+    const items = await InventoryItem.find({
+      isActive: true,
+      reorderLevel: { $gt: 0 },
+      $expr: { $lte: ['$quantityOnHand', '$reorderLevel'] }
+    })
+      .populate('stock.warehouse', 'name code')
+      .sort({ quantityOnHand: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      items
+    });
+  } catch (error) {
+    console.error('Get low stock items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching low stock items'
+    });
+  }
+});
+
+// @desc    Get inventory item with its recent movements
+// @route   GET /api/inventory/items/:id
+// @access  Private (inventory:read)
+router.get('/items/:id', protect, can('inventory:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid item ID' });
+    }
+
+    const item = await InventoryItem.findById(req.params.id)
+      .populate('stock.warehouse', 'name code')
+      .populate('usage.product', 'name category');
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Inventory item not found' });
+    }
+
+    const movements = await StockMovement.find({ item: item._id })
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      item,
+      movements
+    });
+  } catch (error) {
+    console.error('Get inventory item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching inventory item'
+    });
+  }
+});
+
+// @desc    Create inventory item
+// @route   POST /api/inventory/items
+// @access  Private (inventory:manage)
+router.post('/items', [protect, can('inventory:manage'), ...itemValidators()], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const item = await InventoryItem.create(pickFields(req.body, ITEM_FIELDS));
+
+    res.status(201).json({
+      success: true,
+      message: 'Inventory item created successfully',
+      item
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'An item with this SKU already exists' });
+    }
+    console.error('Create inventory item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating inventory item'
+    });
+  }
+});
+
+// @desc    Update inventory item
+// @route   PUT /api/inventory/items/:id
+// @access  Private (inventory:manage)
+router.put('/items/:id', [protect, can('inventory:manage'), ...itemValidators(true)], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid item ID' });
+    }
+
+    const item = await InventoryItem.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Inventory item not found' });
+    }
+
+    Object.assign(item, pickFields(req.body, ITEM_FIELDS));
+    await item.save();
+
+    // A raised reorder level may put the item below it already
+    if (req.body.reorderLevel !== undefined) {
+      await checkReorderLevel(item);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Inventory item updated successfully',
+      item
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'An item with this SKU already exists' });
+    }
+    console.error('Update inventory item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating inventory item'
+    });
+  }
+});
+
+// @desc    Get stock movements
+// @route   GET /api/inventory/movements
+// @access  Private (inventory:read)
+router.get('/movements', protect, can('inventory:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    ['item', 'warehouse'].forEach(field => {
+      if (req.query[field] && mongoose.Types.ObjectId.isValid(req.query[field])) {
+        query[field] = req.query[field];
+      }
+    });
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    if (req.query.reference && mongoose.Types.ObjectId.isValid(req.query.reference)) {
+      query['reference.id'] = req.query.reference;
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      query.createdAt = {};
+      if (req.query.startDate) query.createdAt.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) query.createdAt.$lte = new Date(req.query.endDate);
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate('item', 'sku name unit')
+      .populate('warehouse', 'name code')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: movements.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      movements
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stock movements'
+    });
+  }
+});
+
+// @desc    Record a purchase, consumption or adjustment
+// @route   POST /api/inventory/movements
+// @access  Private (inventory:manage)
+//
+// Purchases and consumption take a positive quantity (consumption is taken
+// off); adjustments are signed.
+router.post('/movements', [
+  protect,
+  can('inventory:manage'),
+  body('item').isMongoId().withMessage('Item is required'),
+  body('warehouse').isMongoId().withMessage('Warehouse is required'),
+  body('type').isIn(StockMovement.schema.path('type').enumValues).withMessage('Invalid movement type'),
+  body('quantity').isFloat().withMessage('Quantity must be a number').toFloat(),
+  body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number').toFloat(),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { item, warehouse, type, quantity, unitCost, note } = req.body;
+
+    if (type !== 'adjustment' && quantity <= 0) {
+      return res.status(400).json({ success: false, message: 'Quantity must be positive' });
+    }
+
+    if (type === 'adjustment' && !note) {
+      return res.status(400).json({ success: false, message: 'Please give a reason for the adjustment' });
+    }
+
+    const movement = await recordMovement({
+      item,
+      warehouse,
+      type,
+      quantity: type === 'consumption' ? -quantity : quantity,
+      unitCost,
+      note,
+      actor: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock movement recorded',
+      movement,
+      item: await InventoryItem.findById(item).populate('stock.warehouse', 'name code')
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Record stock movement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording stock movement'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,38 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const { protect, authorize, checkOwnership } = require('../middleware/auth');
+const Organization = require('../models/Organization');
+const { protect, can, requireVerifiedEmail } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { createOrder } = require('../utils/orderService');
+const { tryStartPayment } = require('../utils/payments');
+const { releaseOrderCoupon } = require('../utils/coupons');
+const { releaseOrderStock } = require('../utils/stock');
+const { getOrderTracking } = require('../utils/shipping');
+const { assignInvoiceNumber, renderInvoice, renderPackingSlip } = require('../utils/invoice');
 
 const router = express.Router();
 
+// Staff, the customer, and owners/approvers of the order's organization may view an order
+const canViewOrder = async (user, order) => {
+  const customerId = order.customer._id || order.customer;
+
+  if (user.can('orders:read-all') || customerId.toString() === user._id.toString()) {
+    return true;
+  }
+
+  if (order.organization) {
+    const organization = await Organization.findById(order.organization._id || order.organization);
+    return !!organization && organization.canViewAllOrders(user._id);
+  }
+
+  return false;
+};
+
+// Statuses where goods/services have been confirmed and a tax invoice can be issued
+const INVOICEABLE_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
 // @desc    Get all orders
 // @route   GET /api/orders
 // @access  Private (Users see their orders, Admins see all)
@@ -17,8 +44,8 @@ router.get('/', protect, async (req, res) => {
 
     let query = {};
 
-    // Regular users can only see their own orders
-    if (req.user.role !== 'admin') {
+    // Customers only see their own orders
+    if (!req.user.can('orders:read-all')) {
       query.customer = req.user._id;
     }
 
@@ -69,6 +96,86 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @desc    Get order history for an organization
+// @route   GET /api/orders/organization/:organizationId
+// @access  Private (Org members: owners/approvers see all, buyers their own)
+router.get('/organization/:organizationId', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.organizationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid organization ID'
+      });
+    }
+
+    if (req.query.member && !mongoose.Types.ObjectId.isValid(req.query.member)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid member ID'
+      });
+    }
+
+    const organization = await Organization.findById(req.params.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const isStaff = req.user.can('orders:read-all');
+
+    if (!isStaff && !organization.hasRole(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You are not a member of this organization.'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { organization: organization._id };
+
+    // Buyers only see the orders they placed themselves
+    if (!isStaff && !organization.canViewAllOrders(req.user._id)) {
+      query.customer = req.user._id;
+    } else if (req.query.member) {
+      query.customer = req.query.member;
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const orders = await Order.find(query)
+      .populate('customer', 'name email')
+      .populate('items.product', 'name category images')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Order.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      orders
+    });
+  } catch (error) {
+    console.error('Get organization orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching organization orders'
+    });
+  }
+});
+
 // @desc    Get single order
 // @route   GET /api/orders/:id
 // @access  Private (Owner or Admin)
@@ -87,7 +194,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user can access this order
-    if (req.user.role !== 'admin' && order.customer._id.toString() !== req.user._id.toString()) {
+    if (!(await canViewOrder(req.user, order))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own orders.'
@@ -107,135 +214,140 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Create new order
-// @route   POST /api/orders
-// @access  Private
-router.post("/", protect, async (req, res) => {
+// @desc    Get shipment tracking for an order
+// @route   GET /api/orders/:id/tracking
+// @access  Private (Owner, org owner/approver or orders:read-all)
+router.get('/:id/tracking', protect, async (req, res) => {
   try {
-    let body = req.body;
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber customer organization status estimatedDelivery actualDelivery');
 
-    // If FormData (multipart) is sent, extract JSON
-    if (typeof req.body.data === "string") {
-      body = JSON.parse(req.body.data);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
 
-    const {
-      items,
-      shippingAddress,
-      paymentMethod,
-      manualTransactionId,
-      paymentStatus,
-      paymentScreenshot
-    } = body;
-
-    // -------------------------
-    // VALIDATION
-    // -------------------------
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({
+    if (!(await canViewOrder(req.user, order))) {
+      return res.status(403).json({
         success: false,
-        message: "Order must contain at least one item",
+        message: 'Access denied. You can only view your own orders.'
       });
     }
 
-    if (!shippingAddress.fullName) {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      estimatedDelivery: order.estimatedDelivery,
+      actualDelivery: order.actualDelivery,
+      // null until the order has been shipped
+      tracking: await getOrderTracking(order)
+    });
+  } catch (error) {
+    console.error('Get order tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tracking'
+    });
+  }
+});
+
+// @desc    Download GST tax invoice
+// @route   GET /api/orders/:id/invoice.pdf
+// @access  Private (Owner, org owner/approver or orders:read-all)
+router.get('/:id/invoice.pdf', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('items.product', 'name')
+      .populate('organization', 'name gstin');
+
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: "Full name is required",
+        message: 'Order not found'
       });
     }
 
-    if (!shippingAddress.email) {
-      return res.status(400).json({
+    if (!(await canViewOrder(req.user, order))) {
+      return res.status(403).json({
         success: false,
-        message: "Valid email is required",
+        message: 'Access denied. You can only view your own orders.'
       });
     }
 
-    if (!shippingAddress.phone) {
-      return res.status(400).json({
+    const paid = order.paymentInfo && order.paymentInfo.paymentStatus === 'completed';
+
+    if (!order.invoice.number && !paid && !INVOICEABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
         success: false,
-        message: "Valid phone number is required",
+        message: 'The invoice will be available once the order is confirmed or paid'
       });
     }
 
-    // -------------------------
-    // BUILD ORDER ITEMS
-    // -------------------------
-    let subtotal = 0;
-    const orderItems = [];
+    await assignInvoiceNumber(order);
 
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product ${item.product} not found`,
-        });
-      }
+    const pdf = renderInvoice(order, { organization: order.organization });
+    const fileName = order.invoice.number.replace(/\//g, '-');
 
-      const tier = item.tier || item.packageType || "base";
-      const tierPrice = product.price[tier];
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Generate invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating invoice'
+    });
+  }
+});
 
-      if (!tierPrice) {
-        return res.status(400).json({
-          success: false,
-          message: `Pricing tier '${tier}' not found`,
-        });
-      }
+// @desc    Download packing slip
+// @route   GET /api/orders/:id/packing-slip.pdf
+// @access  Private (orders:read-all)
+router.get('/:id/packing-slip.pdf', protect, can('orders:read-all'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('items.product', 'name');
 
-      const qty = item.quantity || 1;
-      subtotal += tierPrice * qty;
-
-      orderItems.push({
-        product: product._id,
-        packageType: tier,
-        quantity: qty,
-        price: tierPrice,
-        customizations: Object.entries(item.customization || {}).map(
-          ([key, value]) => ({
-            optionName: key,
-            selectedValue: value,
-          })
-        ),
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
       });
     }
 
-    const tax = subtotal * 0.1;
-    const total = subtotal + tax;
+    const pdf = renderPackingSlip(order);
 
-    // -------------------------
-    // CREATE ORDER DOCUMENT
-    // -------------------------
-    const order = new Order({
-      customer: req.user._id,
-      items: orderItems,
-      pricing: {
-        subtotal,
-        tax,
-        total,
-      },
-      shippingAddress: {
-        fullName: shippingAddress.fullName,
-        email: shippingAddress.email,
-        phone: shippingAddress.phone,
-        street: shippingAddress.address,
-        city: shippingAddress.city,
-        state: shippingAddress.state,
-        zipCode: shippingAddress.pincode,
-        country: shippingAddress.country || "India",
-      },
-      paymentInfo: {
-        method: paymentMethod,
-        manualTransactionId: manualTransactionId || null,
-        paymentScreenshot: paymentScreenshot || null,
-        paymentStatus: paymentStatus || "pending",
-      },
-      status: "pending",
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="packing-slip-${order.orderNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Generate packing slip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating packing slip'
     });
+  }
+});
 
-    await order.save();
+// @desc    Create new order
+// @route   POST /api/orders
+// @access  Private
+// Send an Idempotency-Key header to make retries safe
+router.post("/", protect, requireVerifiedEmail, idempotent(), async (req, res) => {
+  try {
+    let body = req.body;
+
+    // If FormData (multipart) is sent, extract JSON
+    if (typeof req.body.data === "string") {
+      body = JSON.parse(req.body.data);
+    }
+
+    const order = await createOrder(req.user, body, req);
+
+    // Online orders also get a payment gateway checkout
+    const payment = order.paymentInfo.method === "online" ? await tryStartPayment(order) : undefined;
 
     const populatedOrder = await Order.findById(order._id)
       .populate("customer", "name email")
@@ -245,8 +357,15 @@ router.post("/", protect, async (req, res) => {
       success: true,
       message: "Order created successfully",
       order: populatedOrder,
+      payment,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Create order error:", error);
     res.status(500).json({
       success: false,
@@ -258,9 +377,9 @@ router.post("/", protect, async (req, res) => {
 // ================================
 // @desc    Delete one order (Admin only)
 // @route   DELETE /api/orders/:id
-// @access  Private/Admin
+// @access  Private (orders:delete)
 // ================================
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, can('orders:delete'), async (req, res) => {
   try {
     let order;
 
@@ -298,9 +417,9 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 // ================================
 // @desc    Delete ALL orders (Admin only)
 // @route   DELETE /api/orders
-// @access  Private/Admin
+// @access  Private (orders:delete)
 // ================================
-router.delete('/', protect, authorize('admin'), async (req, res) => {
+router.delete('/', protect, can('orders:delete'), async (req, res) => {
   try {
     const { confirm } = req.query;
 
@@ -331,12 +450,12 @@ router.delete('/', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
-// @access  Private/Admin
+// @access  Private (orders:update-status)
 router.put('/:id/status', [
   protect,
-  authorize('admin'),
+  can('orders:update-status'),
   body('status')
-    .isIn(['pending', 'confirmed', 'in-progress', 'review', 'revision', 'completed', 'cancelled'])
+    .isIn(Order.schema.path('status').enumValues)
     .withMessage('Invalid status'),
   body('message')
     .optional()
@@ -378,25 +497,37 @@ router.put('/:id/status', [
       });
     }
 
-    // Update status
+    // Update status; the order's state machine rejects changes it doesn't allow
     const oldStatus = order.status;
-    order.status = status;
+    let change;
+    try {
+      change = order.transitionTo(status, { actor: req.user._id, note: message });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedStatuses: order.allowedTransitions()
+      });
+    }
 
     // Add communication log entry
-    order.communication.push({
-      sender: req.user._id,
-      content: message || `Order status changed from ${oldStatus} to ${status}`,
-      type: 'message',
-      createdAt: new Date()
-    });
-
-    // Set completion date if completed
-    if (status === 'completed' && !order.actualDeliveryDate) {
-      order.actualDeliveryDate = new Date();
+    if (change || message) {
+      order.communication.push({
+        sender: req.user._id,
+        content: message || `Order status changed from ${oldStatus} to ${status}`,
+        type: 'message',
+        createdAt: new Date()
+      });
     }
 
     await order.save();
 
+    if (change && order.status === 'cancelled') {
+      await releaseOrderCoupon(order);
+      await releaseOrderStock(order);
+    }
+
     const updatedOrder = await Order.findById(order._id)
       .populate('customer', 'name email')
       .populate('items.product', 'name category');
@@ -415,6 +546,76 @@ router.put('/:id/status', [
   }
 });
 
+// @desc    Confirm or reject a manual UPI payment after checking it by hand
+// @route   PUT /api/orders/:id/payment
+// @access  Private (payments:reconcile)
+router.put('/:id/payment', [
+  protect,
+  can('payments:reconcile'),
+  body('paymentStatus')
+    .isIn(['completed', 'failed'])
+    .withMessage('Payment status must be completed or failed'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (['completed', 'refunded'].includes(order.paymentInfo.paymentStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment is already ${order.paymentInfo.paymentStatus}`
+      });
+    }
+
+    const { paymentStatus, note } = req.body;
+    order.paymentInfo.paymentStatus = paymentStatus;
+    if (paymentStatus === 'completed') {
+      order.paymentInfo.paidAt = new Date();
+    }
+
+    order.communication.push({
+      sender: req.user._id,
+      content: note || `Payment marked ${paymentStatus} after manual verification`,
+      type: 'message',
+      createdAt: new Date()
+    });
+
+    await order.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment status updated successfully',
+      paymentInfo: order.paymentInfo
+    });
+  } catch (error) {
+    console.error('Update payment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating payment status'
+    });
+  }
+});
+
 // @desc    Add communication to order
 // @route   POST /api/orders/:id/communication
 // @access  Private (Owner or Admin)
@@ -452,7 +653,7 @@ router.post('/:id/communication', [
     }
 
     // Check if user can access this order
-    if (req.user.role !== 'admin' && order.customer.toString() !== req.user._id.toString()) {
+    if (!req.user.can('orders:communicate') && order.customer.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only communicate on your own orders.'
@@ -497,7 +698,7 @@ router.put('/:id/cancel', protect, async (req, res) => {
     }
 
     // Check if user can cancel this order
-    if (req.user.role !== 'admin' && order.customer.toString() !== req.user._id.toString()) {
+    if (!req.user.can('orders:cancel') && order.customer.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only cancel your own orders.'
@@ -505,7 +706,7 @@ router.put('/:id/cancel', protect, async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (['completed', 'cancelled'].includes(order.status)) {
+    if (!order.canTransitionTo('cancelled')) {
       return res.status(400).json({
         success: false,
         message: 'Order cannot be cancelled in its current status'
@@ -513,16 +714,20 @@ router.put('/:id/cancel', protect, async (req, res) => {
     }
 
     // Cancel order
-    order.status = 'cancelled';
+    order.transitionTo('cancelled', { actor: req.user._id });
     order.communication.push({
       sender: req.user._id,
-      content: 'Order cancelled by ' + (req.user.role === 'admin' ? 'admin' : 'customer'),
+      content: 'Order cancelled by ' + (req.user.role === 'user' ? 'customer' : req.user.role),
       type: 'message',
       createdAt: new Date()
     });
 
     await order.save();
 
+    // A cancelled order shouldn't count against the coupon's limits
+    await releaseOrderCoupon(order);
+    await releaseOrderStock(order);
+
     res.status(200).json({
       success: true,
       message: 'Order cancelled successfully'
@@ -538,8 +743,8 @@ router.put('/:id/cancel', protect, async (req, res) => {
 
 // @desc    Get order statistics (Admin only)
 // @route   GET /api/orders/admin/stats
-// @access  Private/Admin
-router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private (orders:stats)
+router.get('/admin/stats', protect, can('orders:stats'), async (req, res) => {
   try {
     const totalOrders = await Order.countDocuments();
     const pendingOrders = await Order.countDocuments({ status: 'pending' });
@@ -605,8 +810,8 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Export orders as CSV
 // @route   GET /api/orders/export/csv
-// @access  Private/Admin
-router.get('/export/csv', protect, authorize('admin'), async (req, res) => {
+// @access  Private (orders:export)
+router.get('/export/csv', protect, can('orders:export'), async (req, res) => {
   try {
     const orders = await Order.find({})
       .populate('customer', 'name email')
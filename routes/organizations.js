@@ -0,0 +1,502 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { ORGANIZATION_ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+// Load an organization and check the current user may act on it.
+// Staff with the matching permission bypass membership. Sends the error
+// response itself and returns null when access is denied.
+const loadOrganization = async (req, res, { roles = ORGANIZATION_ROLES, staffPermission = 'organizations:read' } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid organization ID' });
+    return null;
+  }
+
+  const organization = await Organization.findById(req.params.id);
+
+  if (!organization) {
+    res.status(404).json({ success: false, message: 'Organization not found' });
+    return null;
+  }
+
+  if (!req.user.can(staffPermission) && !organization.hasRole(req.user._id, roles)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You do not have the required role in this organization.'
+    });
+    return null;
+  }
+
+  return organization;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const organizationValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().isLength({ min: 2, max: 150 }).withMessage('Name must be between 2 and 150 characters'),
+    body('type').optional().isIn(['school', 'company', 'non-profit', 'government', 'other']).withMessage('Invalid organization type'),
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('gstin').optional().trim()
+  ];
+};
+
+const addressValidators = [
+  body('label').trim().notEmpty().withMessage('Address label is required'),
+  body('fullName').trim().notEmpty().withMessage('Contact name is required'),
+  body('phone').trim().notEmpty().withMessage('Phone number is required'),
+  body('street').trim().notEmpty().withMessage('Street is required'),
+  body('city').trim().notEmpty().withMessage('City is required'),
+  body('state').trim().notEmpty().withMessage('State is required'),
+  body('zipCode').trim().notEmpty().withMessage('Pincode is required'),
+  body('email').optional().isEmail().withMessage('Valid email is required')
+];
+
+const ADDRESS_FIELDS = ['label', 'fullName', 'email', 'phone', 'street', 'city', 'state', 'zipCode', 'country', 'isDefault'];
+const DETAIL_FIELDS = ['name', 'type', 'email', 'phone', 'gstin'];
+
+// Only one address can be the default
+const applyDefaultAddress = (organization, address) => {
+  if (address.isDefault) {
+    organization.addresses.forEach(other => {
+      if (!other._id.equals(address._id)) {
+        other.isDefault = false;
+      }
+    });
+  }
+};
+
+// @desc    Get organizations (members see their own, staff see all)
+// @route   GET /api/organizations
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (!req.user.can('organizations:read')) {
+      query['members.user'] = req.user._id;
+      query.isActive = true;
+    }
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    if (req.query.search) {
+      query.name = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const organizations = await Organization.find(query)
+      .populate('members.user', 'name email')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Organization.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: organizations.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      organizations
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching organizations'
+    });
+  }
+});
+
+// @desc    Create organization (creator becomes its owner)
+// @route   POST /api/organizations
+// @access  Private
+router.post('/', [protect, ...organizationValidators()], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const details = {};
+    DETAIL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) details[field] = req.body[field];
+    });
+
+    const organization = await Organization.create({
+      ...details,
+      members: [{ user: req.user._id, role: 'owner', addedBy: req.user._id }],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      organization
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating organization'
+    });
+  }
+});
+
+// @desc    Get single organization
+// @route   GET /api/organizations/:id
+// @access  Private (Member or organizations:read)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    await organization.populate('members.user', 'name email phone');
+
+    const member = organization.getMember(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      organization,
+      myRole: member ? member.role : null
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching organization'
+    });
+  }
+});
+
+// @desc    Update organization details
+// @route   PUT /api/organizations/:id
+// @access  Private (Owner or organizations:manage)
+router.put('/:id', [protect, ...organizationValidators(true)], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const organization = await loadOrganization(req, res, { roles: ['owner'], staffPermission: 'organizations:manage' });
+    if (!organization) return;
+
+    DETAIL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) organization[field] = req.body[field];
+    });
+
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization updated successfully',
+      organization
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating organization'
+    });
+  }
+});
+
+// @desc    Deactivate organization (orders are kept)
+// @route   DELETE /api/organizations/:id
+// @access  Private (Owner or organizations:manage)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, { roles: ['owner'], staffPermission: 'organizations:manage' });
+    if (!organization) return;
+
+    organization.isActive = false;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating organization'
+    });
+  }
+});
+
+// @desc    Add member by email
+// @route   POST /api/organizations/:id/members
+// @access  Private (Owner or organizations:manage)
+router.post('/:id/members', [
+  protect,
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('role').optional().isIn(ORGANIZATION_ROLES).withMessage('Invalid member role')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const organization = await loadOrganization(req, res, { roles: ['owner'], staffPermission: 'organizations:manage' });
+    if (!organization) return;
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active account found with that email. Ask them to register first.'
+      });
+    }
+
+    if (organization.getMember(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this organization'
+      });
+    }
+
+    organization.members.push({
+      user: user._id,
+      role: req.body.role || 'buyer',
+      addedBy: req.user._id
+    });
+    await organization.save();
+    await organization.populate('members.user', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: `${user.email} added to ${organization.name}`,
+      members: organization.members
+    });
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding member'
+    });
+  }
+});
+
+// @desc    Change a member's role
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (Owner or organizations:manage)
+router.put('/:id/members/:userId', [
+  protect,
+  body('role').isIn(ORGANIZATION_ROLES).withMessage('Invalid member role')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const organization = await loadOrganization(req, res, { roles: ['owner'], staffPermission: 'organizations:manage' });
+    if (!organization) return;
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    // Every organization needs at least one owner
+    if (member.role === 'owner' && req.body.role !== 'owner' && organization.ownerCount() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the only owner. Make another member an owner first.'
+      });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      member
+    });
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating member'
+    });
+  }
+});
+
+// @desc    Remove a member (owners remove anyone, members can leave)
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (Owner, self or organizations:manage)
+router.delete('/:id/members/:userId', protect, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user._id.toString();
+    const organization = await loadOrganization(req, res, {
+      roles: leaving ? ORGANIZATION_ROLES : ['owner'],
+      staffPermission: 'organizations:manage'
+    });
+    if (!organization) return;
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && organization.ownerCount() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove the only owner. Make another member an owner first.'
+      });
+    }
+
+    organization.members.pull(member._id);
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: leaving ? 'You have left the organization' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing member'
+    });
+  }
+});
+
+// @desc    Add shared address
+// @route   POST /api/organizations/:id/addresses
+// @access  Private (Owner or organizations:manage)
+router.post('/:id/addresses', [protect, ...addressValidators], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const organization = await loadOrganization(req, res, { roles: ['owner'], staffPermission: 'organizations:manage' });
+    if (!organization) return;
+
+    const data = {};
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    // The first address becomes the default
+    if (organization.addresses.length === 0) {
+      data.isDefault = true;
+    }
+
+    organization.addresses.push(data);
+    const address = organization.addresses[organization.addresses.length - 1];
+    applyDefaultAddress(organization, address);
+    await organization.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added successfully',
+      addresses: organization.addresses
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Add organization address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding address'
+    });
+  }
+});
+
+// @desc    Update shared address
+// @route   PUT /api/organizations/:id/addresses/:addressId
+// @access  Private (Owner or organizations:manage)
+router.put('/:id/addresses/:addressId', protect, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, { roles: ['owner'], staffPermission: 'organizations:manage' });
+    if (!organization) return;
+
+    const address = organization.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+    applyDefaultAddress(organization, address);
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated successfully',
+      addresses: organization.addresses
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update organization address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating address'
+    });
+  }
+});
+
+// @desc    Delete shared address
+// @route   DELETE /api/organizations/:id/addresses/:addressId
+// @access  Private (Owner or organizations:manage)
+router.delete('/:id/addresses/:addressId', protect, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, { roles: ['owner'], staffPermission: 'organizations:manage' });
+    if (!organization) return;
+
+    const address = organization.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ success: false, message: 'Address not found' });
+    }
+
+    const wasDefault = address.isDefault;
+    organization.addresses.pull(address._id);
+
+    if (wasDefault && organization.addresses.length > 0) {
+      organization.addresses[0].isDefault = true;
+    }
+
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted successfully',
+      addresses: organization.addresses
+    });
+  } catch (error) {
+    console.error('Delete organization address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting address'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { protect, can } = require('../middleware/auth');
+const {
+  getProvider,
+  getOrderProvider,
+  startPayment,
+  handleWebhook,
+  syncPayment,
+  capturePayment
+} = require('../utils/payments');
+
+const router = express.Router();
+
+// Send a payment error's statusCode, or a 500 logged under `label`
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// The customer's own order (staff who can see all orders may act on any)
+const findOwnOrder = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order || (order.customer.toString() !== req.user._id.toString() && !req.user.can('orders:read-all'))) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+const paymentSummary = (order) => ({
+  method: order.paymentInfo.method,
+  paymentStatus: order.paymentInfo.paymentStatus,
+  paidAt: order.paymentInfo.paidAt,
+  gateway: order.paymentInfo.gateway
+    ? {
+      provider: order.paymentInfo.gateway.provider,
+      providerOrderId: order.paymentInfo.gateway.providerOrderId,
+      status: order.paymentInfo.gateway.status
+    }
+    : undefined
+});
+
+// @desc    Receive a payment gateway webhook
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (signature verified against the raw body)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const { duplicate, result } = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+    // Acknowledge repeats too, or the gateway keeps retrying
+    res.status(200).json({
+      success: true,
+      duplicate,
+      result
+    });
+  } catch (error) {
+    sendError(res, error, 'Payment webhook error', 'Server error while processing webhook');
+  }
+});
+
+// @desc    Start (or retry) the online payment of an order
+// @route   POST /api/payments/orders/:id/checkout
+// @access  Private (order owner)
+router.post('/orders/:id/checkout', protect, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    const checkout = await startPayment(order);
+
+    res.status(200).json({
+      success: true,
+      checkout
+    });
+  } catch (error) {
+    sendError(res, error, 'Start payment error', 'Server error while starting payment');
+  }
+});
+
+// @desc    Confirm a payment after the gateway's checkout returns to the site
+// @route   POST /api/payments/orders/:id/verify
+// @access  Private (order owner)
+// Body is what the gateway hands the browser (e.g. razorpay_order_id,
+// razorpay_payment_id, razorpay_signature). The outcome is always read back
+// from the gateway, so a forged callback can't mark an order paid.
+router.post('/orders/:id/verify', protect, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    const ids = getOrderProvider(order).parseCallback(req.body);
+    const { result } = await syncPayment(order, ids, 'callback');
+
+    const updated = await Order.findById(order._id);
+
+    res.status(200).json({
+      success: true,
+      result,
+      payment: paymentSummary(updated)
+    });
+  } catch (error) {
+    sendError(res, error, 'Verify payment error', 'Server error while verifying payment');
+  }
+});
+
+// @desc    Re-read an order's payment from the gateway (missed webhooks)
+// @route   POST /api/payments/orders/:id/sync
+// @access  Private (payments:reconcile)
+router.post('/orders/:id/sync', protect, can('payments:reconcile'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { result } = await syncPayment(order, {}, 'callback');
+
+    res.status(200).json({
+      success: true,
+      result,
+      payment: paymentSummary(await Order.findById(order._id))
+    });
+  } catch (error) {
+    sendError(res, error, 'Sync payment error', 'Server error while syncing payment');
+  }
+});
+
+// @desc    Capture an authorized online payment
+// @route   POST /api/payments/orders/:id/capture
+// @access  Private (payments:reconcile)
+router.post('/orders/:id/capture', protect, can('payments:reconcile'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { result } = await capturePayment(order);
+
+    res.status(200).json({
+      success: true,
+      result,
+      payment: paymentSummary(await Order.findById(order._id))
+    });
+  } catch (error) {
+    sendError(res, error, 'Capture payment error', 'Server error while capturing payment');
+  }
+});
+
+// @desc    Get the gateway events received for an order
+// @route   GET /api/payments/orders/:id/events
+// @access  Private (payments:reconcile)
+router.get('/orders/:id/events', protect, can('payments:reconcile'), async (req, res) => {
+  try {
+    const events = await PaymentEvent.find({ order: req.params.id })
+      .select('-payload')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    console.error('Get payment events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment events'
+    });
+  }
+});
+
+// @desc    Settle a fake-gateway payment (development and tests only)
+// @route   POST /api/payments/fake/simulate
+// @access  Private (order owner); unavailable in production
+// Runs the signed webhook the fake gateway produces through the normal
+// webhook handling, so the same checks apply.
+router.post('/fake/simulate', protect, [
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
+  body('outcome').isIn(['authorized', 'captured', 'failed']).withMessage('Outcome must be authorized, captured or failed'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a number')
+], async (req, res) => {
+  try {
+    const fake = getProvider('fake');
+
+    if (!fake.isConfigured()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    req.params.id = req.body.orderId;
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    const gateway = order.paymentInfo.gateway;
+    if (!gateway || gateway.provider !== 'fake') {
+      return res.status(409).json({
+        success: false,
+        message: 'This order is not being paid through the fake gateway'
+      });
+    }
+
+    const { rawBody, headers } = fake.simulate({
+      providerOrderId: gateway.providerOrderId,
+      outcome: req.body.outcome,
+      amount: req.body.amount !== undefined ? Number(req.body.amount) : undefined
+    });
+    const { result } = await handleWebhook('fake', rawBody, headers);
+
+    res.status(200).json({
+      success: true,
+      result,
+      payment: paymentSummary(await Order.findById(order._id))
+    });
+  } catch (error) {
+    sendError(res, error, 'Simulate payment error', 'Server error while simulating payment');
+  }
+});
+
+module.exports = router;
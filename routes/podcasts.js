@@ -6,7 +6,7 @@ const fs = require('fs');
 const path = require('path');
 
 const Podcast = require('../models/Podcast');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, can } = require('../middleware/auth');
 
 // ================= MULTER CONFIG =================
 const uploadPath = path.join(__dirname, '..', 'uploads', 'podcasts');
@@ -75,7 +75,7 @@ const deleteFileIfExists = (filePath) => {
  * @desc    Create podcast (Admin)
  * @access  Private/Admin
  */
-router.post('/', protect, authorize('admin'), podcastUpload, async (req, res) => {
+router.post('/', protect, can('podcasts:manage'), podcastUpload, async (req, res) => {
   try {
     const { title, description, videoType, videoUrl: bodyVideoUrl } = req.body;
 
@@ -204,7 +204,7 @@ router.get('/:id', protect, async (req, res) => {
  * @desc    Update podcast (Admin)
  * @access  Private/Admin
  */
-router.put('/:id', protect, authorize('admin'), podcastUpload, async (req, res) => {
+router.put('/:id', protect, can('podcasts:manage'), podcastUpload, async (req, res) => {
   try {
     const podcast = await Podcast.findById(req.params.id);
     if (!podcast) {
@@ -289,7 +289,7 @@ router.put('/:id', protect, authorize('admin'), podcastUpload, async (req, res)
  * @desc    Delete podcast (Admin)
  * @access  Private/Admin
  */
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+router.delete('/:id', protect, can('podcasts:manage'), async (req, res) => {
   try {
     const podcast = await Podcast.findById(req.params.id);
     if (!podcast) {
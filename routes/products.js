@@ -1,8 +1,10 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { protect, can, optionalAuth } = require('../middleware/auth');
 const upload = require('../utils/multerCloudinary');
+const { TIERS, MAX_LINE_QUANTITY, productVolumes, findNextQuantityBreak, priceItems } = require('../utils/pricing');
+const { withStockStatus, IN_STOCK_QUERY } = require('../utils/stock');
 
 const router = express.Router();
 
@@ -53,6 +55,12 @@ router.get('/', optionalAuth, async (req, res) => {
       query.tags = { $in: tags };
     }
 
+    // ?inStock=true hides sold-out products and variants (otherwise they're flagged)
+    const inStockOnly = req.query.inStock === 'true';
+    if (inStockOnly) {
+      query.$and = [IN_STOCK_QUERY];
+    }
+
     // Sort options
     let sortOption = { createdAt: -1 }; // Default: newest first
     if (req.query.sort) {
@@ -90,7 +98,7 @@ router.get('/', optionalAuth, async (req, res) => {
       total,
       page,
       pages: Math.ceil(total / limit),
-      products
+      products: products.map(product => withStockStatus(product, { hideOutOfStock: inStockOnly }))
     });
   } catch (error) {
     console.error('Get products error:', error);
@@ -104,8 +112,8 @@ router.get('/', optionalAuth, async (req, res) => {
 // Admin routes - must come before /:id route
 // @desc    Get all products for admin
 // @route   GET /api/products/admin/all
-// @access  Private/Admin
-router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
+// @access  Private (products:read-admin)
+router.get('/admin/all', protect, can('products:read-admin'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50; // Higher limit for admin
@@ -185,8 +193,8 @@ router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Get product statistics for admin dashboard
 // @route   GET /api/products/admin/stats
-// @access  Private/Admin
-router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private (products:read-admin)
+router.get('/admin/stats', protect, can('products:read-admin'), async (req, res) => {
   try {
     const totalProducts = await Product.countDocuments();
     const activeProducts = await Product.countDocuments({ isActive: true });
@@ -244,8 +252,8 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Activate all products
 // @route   PATCH /api/products/admin/activate-all
-// @access  Private/Admin
-router.patch('/admin/activate-all', protect, authorize('admin'), async (req, res) => {
+// @access  Private (products:manage)
+router.patch('/admin/activate-all', protect, can('products:manage'), async (req, res) => {
   try {
     const result = await Product.updateMany(
       { isActive: false },
@@ -281,10 +289,10 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check if product is active (unless user is admin or creator)
+    // Check if product is active (unless user is staff with product access or creator)
     if (!product.isActive &&
       (!req.user ||
-        (req.user.role !== 'admin' && req.user._id.toString() !== product.createdBy._id.toString()))) {
+        (!req.user.can('products:read-admin') && req.user._id.toString() !== product.createdBy._id.toString()))) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
@@ -293,7 +301,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      product
+      product: withStockStatus(product.toJSON())
     });
   } catch (error) {
     console.error('Get product error:', error);
@@ -304,13 +312,96 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// @desc    Price items at their quantity breaks (nothing is reserved)
+// @route   POST /api/products/quote
+// @access  Public
+// Body: { items: [{ product, packageType, quantity, customizations }] }. Lines
+// of the same product count together towards its breaks and minimum.
+router.post('/quote', [
+  body('items').isArray({ min: 1, max: 50 }).withMessage('Send between 1 and 50 items'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.packageType').optional().isIn(TIERS).withMessage('Invalid package type'),
+  body('items.*.quantity').optional().isInt({ min: 1, max: MAX_LINE_QUANTITY }).withMessage(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const items = req.body.items.map(item => ({
+      product: item.product,
+      variant: item.variant || item.sku,
+      packageType: item.packageType || 'base',
+      quantity: item.quantity || 1,
+      customizations: item.customizations
+    }));
+    const { lines, subtotal } = await priceItems(items);
+    const volumes = productVolumes(items);
+
+    const quoteLines = lines.map(line => {
+      const volume = volumes.get(line.product._id.toString());
+
+      return {
+        product: { _id: line.product._id, name: line.product.name },
+        variant: line.variant ? { _id: line.variant._id, sku: line.variant.sku, attributes: line.variant.attributes } : undefined,
+        packageType: line.packageType,
+        quantity: line.quantity,
+        listPrice: line.listPrice,
+        priceDelta: line.priceDelta,
+        tierPrice: line.tierPrice,
+        quantityBreak: line.quantityBreak,
+        nextQuantityBreak: findNextQuantityBreak(line.product, line.packageType, volume, line.tierPrice),
+        customizations: line.customizations,
+        unitPrice: line.unitPrice,
+        lineTotal: line.lineTotal,
+        savings: (line.listPrice - line.tierPrice) * line.quantity
+      };
+    });
+
+    const belowMinimum = [...new Map(lines
+      .filter(line => line.product.minimumOrderQuantity
+        && volumes.get(line.product._id.toString()) < line.product.minimumOrderQuantity)
+      .map(line => [line.product._id.toString(), {
+        product: { _id: line.product._id, name: line.product.name },
+        minimumOrderQuantity: line.product.minimumOrderQuantity,
+        quantity: volumes.get(line.product._id.toString())
+      }])).values()];
+
+    res.status(200).json({
+      success: true,
+      items: quoteLines,
+      subtotal,
+      savings: quoteLines.reduce((sum, line) => sum + line.savings, 0),
+      meetsMinimums: belowMinimum.length === 0,
+      belowMinimum
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Price quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while pricing items'
+    });
+  }
+});
+
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private/Admin
+// @access  Private (products:manage)
 router.post(
   '/',
   protect,
-  authorize('admin'),
+  can('products:manage'),
   upload.array('images', 10),
   [
     body('name').trim().isLength({ min: 3, max: 100 }),
@@ -352,6 +443,13 @@ router.post(
           }))
         : [];
 
+      // Quantity breaks and variants arrive as JSON strings in multipart forms
+      ['quantityBreaks', 'variants'].forEach(field => {
+        if (typeof req.body[field] === 'string') {
+          req.body[field] = JSON.parse(req.body[field] || '[]');
+        }
+      });
+
       const productData = {
         ...req.body,
         images,
@@ -382,7 +480,7 @@ router.post(
 router.put(
   '/:id',
   protect,
-  authorize('admin'),
+  can('products:manage'),
   upload.array('images', 10),
   async (req, res) => {
     try {
@@ -485,6 +583,57 @@ router.put(
         }
       }
 
+      /* ===============================
+         GST OVERRIDE (null clears it)
+      =============================== */
+      if (req.body.tax) {
+        if (req.body.tax.hsnCode !== undefined) {
+          product.tax.hsnCode = req.body.tax.hsnCode || undefined;
+        }
+        if (req.body.tax.gstRate !== undefined) {
+          product.tax.gstRate = req.body.tax.gstRate === null || req.body.tax.gstRate === ''
+            ? undefined
+            : Number(req.body.tax.gstRate);
+        }
+      }
+
+      /* ===============================
+         RETURNS, STOCK & SHIPPING (empty stock stops tracking)
+      =============================== */
+      if (req.body.isReturnable !== undefined) {
+        product.isReturnable = req.body.isReturnable === true || req.body.isReturnable === 'true';
+      }
+      if (req.body.stock !== undefined) {
+        product.stock = req.body.stock === null || req.body.stock === ''
+          ? undefined
+          : Number(req.body.stock);
+      }
+      if (req.body.shippingWeight !== undefined) {
+        product.shippingWeight = req.body.shippingWeight === null || req.body.shippingWeight === ''
+          ? undefined
+          : Number(req.body.shippingWeight);
+      }
+
+      /* ===============================
+         VOLUME PRICING & VARIANTS (empty minimum removes it)
+      =============================== */
+      if (req.body.quantityBreaks !== undefined) {
+        product.quantityBreaks = typeof req.body.quantityBreaks === 'string'
+          ? JSON.parse(req.body.quantityBreaks || '[]')
+          : req.body.quantityBreaks || [];
+      }
+      // Send the existing _id of a variant to keep it (orders and carts refer to it)
+      if (req.body.variants !== undefined) {
+        product.variants = typeof req.body.variants === 'string'
+          ? JSON.parse(req.body.variants || '[]')
+          : req.body.variants || [];
+      }
+      if (req.body.minimumOrderQuantity !== undefined) {
+        product.minimumOrderQuantity = req.body.minimumOrderQuantity === null || req.body.minimumOrderQuantity === ''
+          ? undefined
+          : Number(req.body.minimumOrderQuantity);
+      }
+
       /* ===============================
          6️⃣ IMAGE HANDLING (REPLACE IMAGES)
       =============================== */
@@ -542,8 +691,8 @@ router.put(
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (products:manage)
+router.delete('/:id', protect, can('products:manage'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
 
@@ -601,8 +750,8 @@ router.get('/meta/categories', async (req, res) => {
 
 // @desc    Toggle product active status
 // @route   PATCH /api/products/:id/toggle-status
-// @access  Private/Admin
-router.patch('/:id/toggle-status', protect, authorize('admin'), async (req, res) => {
+// @access  Private (products:manage)
+router.patch('/:id/toggle-status', protect, can('products:manage'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
 
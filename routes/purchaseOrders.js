@@ -0,0 +1,403 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const { protect, can } = require('../middleware/auth');
+const { buildPurchaseItems, applyPurchaseTotals, receivePurchaseOrder } = require('../utils/purchasing');
+
+const router = express.Router();
+
+const OPEN_STATUSES = ['draft', 'sent', 'partially-received'];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const purchaseOrderValidators = [
+  body('expectedDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid expected date'),
+  body('warehouse').optional({ values: 'null' }).isMongoId().withMessage('Invalid warehouse'),
+  body('shippingCost').optional().isFloat({ min: 0 }).withMessage('Shipping cost must be a positive number').toFloat(),
+  body('tax').optional().isFloat({ min: 0 }).withMessage('Tax must be a positive number').toFloat(),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot be more than 1000 characters')
+];
+
+// Load a purchase order for the :id param, or respond 400/404
+const loadPurchaseOrder = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid purchase order ID' });
+    return null;
+  }
+
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    res.status(404).json({ success: false, message: 'Purchase order not found' });
+    return null;
+  }
+
+  return purchaseOrder;
+};
+
+const loadActiveSupplier = async (supplierId) => {
+  if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+    return null;
+  }
+  return Supplier.findOne({ _id: supplierId, isActive: true });
+};
+
+const populatePurchaseOrder = (id) => PurchaseOrder.findById(id)
+  .populate('supplier', 'name contactPerson email phone')
+  .populate('warehouse', 'name code')
+  .populate('items.product', 'name images')
+  .populate('items.inventoryItem', 'sku name unit')
+  .populate('receipts.receivedBy', 'name')
+  .populate('createdBy', 'name');
+
+// @desc    Get purchase orders
+// @route   GET /api/purchase-orders
+// @access  Private (purchasing:read)
+router.get('/', protect, can('purchasing:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.supplier && mongoose.Types.ObjectId.isValid(req.query.supplier)) {
+      query.supplier = req.query.supplier;
+    }
+
+    if (req.query.product && mongoose.Types.ObjectId.isValid(req.query.product)) {
+      query['items.product'] = req.query.product;
+    }
+
+    // Due but not (fully) delivered
+    if (req.query.overdue === 'true') {
+      query.status = { $in: ['sent', 'partially-received'] };
+      query.expectedDate = { $lt: new Date() };
+    }
+
+    if (req.query.search) {
+      query.poNumber = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name')
+      .select('-receipts')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: purchaseOrders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      purchaseOrders
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching purchase orders'
+    });
+  }
+});
+
+// @desc    Get single purchase order with its receipts
+// @route   GET /api/purchase-orders/:id
+// @access  Private (purchasing:read)
+router.get('/:id', protect, can('purchasing:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid purchase order ID' });
+    }
+
+    const purchaseOrder = await populatePurchaseOrder(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      purchaseOrder
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching purchase order'
+    });
+  }
+});
+
+// @desc    Create a draft purchase order
+// @route   POST /api/purchase-orders
+// @access  Private (purchasing:manage)
+router.post('/', [
+  protect,
+  can('purchasing:manage'),
+  body('supplier').notEmpty().withMessage('Supplier is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  ...purchaseOrderValidators
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const supplier = await loadActiveSupplier(req.body.supplier);
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    // Without a date, expect it after the supplier's usual lead time
+    let expectedDate = req.body.expectedDate;
+    if (!expectedDate && supplier.leadTimeDays !== undefined) {
+      expectedDate = new Date(Date.now() + supplier.leadTimeDays * 24 * 60 * 60 * 1000);
+    }
+
+    const purchaseOrder = new PurchaseOrder({
+      supplier: supplier._id,
+      items: await buildPurchaseItems(req.body.items),
+      warehouse: req.body.warehouse || undefined,
+      expectedDate,
+      pricing: {
+        shippingCost: req.body.shippingCost || 0,
+        tax: req.body.tax || 0
+      },
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+
+    applyPurchaseTotals(purchaseOrder);
+    await purchaseOrder.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      purchaseOrder: await populatePurchaseOrder(purchaseOrder._id)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating purchase order'
+    });
+  }
+});
+
+// @desc    Update a purchase order (supplier and items only while a draft)
+// @route   PUT /api/purchase-orders/:id
+// @access  Private (purchasing:manage)
+router.put('/:id', [
+  protect,
+  can('purchasing:manage'),
+  body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+  ...purchaseOrderValidators
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const purchaseOrder = await loadPurchaseOrder(req, res);
+    if (!purchaseOrder) return;
+
+    if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${purchaseOrder.status} purchase order cannot be changed`
+      });
+    }
+
+    // What was sent to the supplier stays as sent
+    if ((req.body.supplier !== undefined || req.body.items !== undefined) && purchaseOrder.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Supplier and items can only be changed while the purchase order is a draft'
+      });
+    }
+
+    if (req.body.supplier !== undefined) {
+      const supplier = await loadActiveSupplier(req.body.supplier);
+      if (!supplier) {
+        return res.status(404).json({ success: false, message: 'Supplier not found' });
+      }
+      purchaseOrder.supplier = supplier._id;
+    }
+
+    if (req.body.items !== undefined) {
+      purchaseOrder.items = await buildPurchaseItems(req.body.items);
+    }
+
+    if (req.body.expectedDate !== undefined) purchaseOrder.expectedDate = req.body.expectedDate || undefined;
+    if (req.body.warehouse !== undefined) purchaseOrder.warehouse = req.body.warehouse || undefined;
+    if (req.body.shippingCost !== undefined) purchaseOrder.pricing.shippingCost = req.body.shippingCost;
+    if (req.body.tax !== undefined) purchaseOrder.pricing.tax = req.body.tax;
+    if (req.body.notes !== undefined) purchaseOrder.notes = req.body.notes;
+
+    applyPurchaseTotals(purchaseOrder);
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      purchaseOrder: await populatePurchaseOrder(purchaseOrder._id)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'This purchase order was changed by someone else. Please reload it and try again.'
+      });
+    }
+    console.error('Update purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating purchase order'
+    });
+  }
+});
+
+// Handler moving a purchase order to `status` (with an optional note)
+const changeStatus = (status, { label, message }) => async (req, res) => {
+  try {
+    const purchaseOrder = await loadPurchaseOrder(req, res);
+    if (!purchaseOrder) return;
+
+    try {
+      purchaseOrder.transitionTo(status, { actor: req.user._id, note: req.body.note });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        allowedStatuses: purchaseOrder.allowedTransitions()
+      });
+    }
+
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message,
+      purchaseOrder: await populatePurchaseOrder(purchaseOrder._id)
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'This purchase order was changed by someone else. Please reload it and try again.'
+      });
+    }
+    console.error(`${label} purchase order error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating purchase order'
+    });
+  }
+};
+
+// @desc    Mark a draft purchase order as sent to the supplier
+// @route   POST /api/purchase-orders/:id/send
+// @access  Private (purchasing:manage)
+router.post('/:id/send', protect, can('purchasing:manage'), changeStatus('sent', {
+  label: 'Send',
+  message: 'Purchase order marked as sent'
+}));
+
+// @desc    Record a delivery against a purchase order
+// @route   POST /api/purchase-orders/:id/receive
+// @access  Private (purchasing:receive)
+router.post('/:id/receive', [
+  protect,
+  can('purchasing:receive'),
+  body('items').isArray({ min: 1 }).withMessage('Items received are required'),
+  body('warehouse').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid warehouse'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot be more than 100 characters'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const purchaseOrder = await loadPurchaseOrder(req, res);
+    if (!purchaseOrder) return;
+
+    const { receipt, warnings } = await receivePurchaseOrder(purchaseOrder, {
+      items: req.body.items,
+      warehouse: req.body.warehouse,
+      reference: req.body.reference,
+      note: req.body.note,
+      actor: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: purchaseOrder.status === 'closed'
+        ? 'Delivery received; the purchase order is complete'
+        : 'Delivery received',
+      receipt,
+      warnings,
+      purchaseOrder: await populatePurchaseOrder(purchaseOrder._id)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while receiving purchase order'
+    });
+  }
+});
+
+// @desc    Close a purchase order; nothing more is expected against it
+// @route   POST /api/purchase-orders/:id/close
+// @access  Private (purchasing:manage)
+router.post('/:id/close', protect, can('purchasing:manage'), changeStatus('closed', {
+  label: 'Close',
+  message: 'Purchase order closed'
+}));
+
+// @desc    Cancel a purchase order nothing has been received against
+// @route   POST /api/purchase-orders/:id/cancel
+// @access  Private (purchasing:manage)
+router.post('/:id/cancel', protect, can('purchasing:manage'), changeStatus('cancelled', {
+  label: 'Cancel',
+  message: 'Purchase order cancelled'
+}));
+
+module.exports = router;
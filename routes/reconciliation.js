@@ -0,0 +1,197 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const StatementImport = require('../models/StatementImport');
+const { protect, can } = require('../middleware/auth');
+const { parseStatement } = require('../utils/bankStatement');
+const { matchStatementEntries, applyStatementImport } = require('../utils/reconciliation');
+
+const router = express.Router();
+
+// Statements are parsed straight from memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|tsv|txt)$/i.test(path.extname(file.originalname))) {
+      return cb(null, true);
+    }
+    cb(new Error('Upload the statement as a CSV, TSV or TXT export'));
+  }
+});
+
+// @desc    Import a bank/UPI statement and match its credits to orders
+// @route   POST /api/reconciliation/imports
+// @access  Private (payments:reconcile)
+// Send the file as multipart `statement`, or the text as JSON `content`.
+router.post('/imports', protect, can('payments:reconcile'), upload.single('statement'), async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement file is required'
+      });
+    }
+
+    const { columns, entries } = parseStatement(content);
+
+    if (entries.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'No credits found in the statement'
+      });
+    }
+
+    const statementImport = new StatementImport({
+      fileName: req.file ? req.file.originalname : req.body.fileName,
+      columns,
+      entries: await matchStatementEntries(entries),
+      importedBy: req.user._id
+    });
+    statementImport.summarize();
+    await statementImport.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${statementImport.summary.matched} of ${statementImport.summary.credits} credits matched`,
+      statementImport
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Import statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing statement'
+    });
+  }
+});
+
+// @desc    Get statement imports
+// @route   GET /api/reconciliation/imports
+// @access  Private (payments:reconcile)
+router.get('/imports', protect, can('payments:reconcile'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const imports = await StatementImport.find()
+      .select('-entries')
+      .populate('importedBy', 'name email')
+      .populate('appliedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await StatementImport.countDocuments();
+
+    res.status(200).json({
+      success: true,
+      count: imports.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      imports
+    });
+  } catch (error) {
+    console.error('Get statement imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statement imports'
+    });
+  }
+});
+
+// @desc    Get a statement import with its entries (?status= filters them)
+// @route   GET /api/reconciliation/imports/:id
+// @access  Private (payments:reconcile)
+router.get('/imports/:id', protect, can('payments:reconcile'), async (req, res) => {
+  try {
+    const statementImport = await StatementImport.findById(req.params.id)
+      .populate('importedBy', 'name email')
+      .populate('appliedBy', 'name email');
+
+    if (!statementImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement import not found'
+      });
+    }
+
+    const result = statementImport.toObject();
+    if (req.query.status) {
+      result.entries = result.entries.filter(entry => entry.status === req.query.status);
+    }
+
+    res.status(200).json({
+      success: true,
+      statementImport: result
+    });
+  } catch (error) {
+    console.error('Get statement import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statement import'
+    });
+  }
+});
+
+// @desc    Mark the orders of matched credits paid
+// @route   POST /api/reconciliation/imports/:id/apply
+// @access  Private (payments:reconcile)
+router.post('/imports/:id/apply', [
+  protect,
+  can('payments:reconcile'),
+  body('entryIds').optional().isArray().withMessage('entryIds must be an array'),
+  body('entryIds.*').optional().isMongoId().withMessage('Invalid entry ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const statementImport = await StatementImport.findById(req.params.id);
+
+    if (!statementImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement import not found'
+      });
+    }
+
+    const results = await applyStatementImport(statementImport, {
+      actor: req.user._id,
+      entryIds: req.body.entryIds
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${results.applied} orders marked paid`,
+      results,
+      summary: statementImport.summary
+    });
+  } catch (error) {
+    console.error('Apply statement import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying statement import'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,428 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const ReturnRequest = require('../models/ReturnRequest');
+const { protect, can, requireVerifiedEmail } = require('../middleware/auth');
+const { RETURN_REASONS, MAX_RETURN_PHOTOS } = require('../config/returns');
+const { checkReturnEligibility, buildReturnItems, issueRefund } = require('../utils/returns');
+
+const router = express.Router();
+
+// Configure multer for return photos
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadPath = path.join(__dirname, '../uploads/returns');
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'return-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|webp/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  }
+  cb(new Error('Only image files (JPEG, PNG, WebP) are allowed'));
+};
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter
+});
+
+// Items arrive as JSON when the request is multipart (photos attached)
+const parseItems = (items) => {
+  if (typeof items !== 'string') {
+    return items;
+  }
+  try {
+    return JSON.parse(items);
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Owner or return staff
+const canViewReturn = (user, returnRequest) => {
+  const customerId = returnRequest.customer._id || returnRequest.customer;
+  return user.can('returns:read') || customerId.toString() === user._id.toString();
+};
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/returns
+// @access  Private
+router.post('/', protect, requireVerifiedEmail, upload.array('photos', MAX_RETURN_PHOTOS), [
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const items = parseItems(req.body.items);
+
+    if (!Array.isArray(items) || items.some(item => !RETURN_REASONS.includes(item && item.reason))) {
+      return res.status(400).json({
+        success: false,
+        message: `Each item needs an itemId, quantity and a reason (${RETURN_REASONS.join(', ')})`
+      });
+    }
+
+    const order = await Order.findById(req.body.orderId).populate('items.product', 'name isReturnable');
+
+    if (!order || order.customer.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    checkReturnEligibility(order);
+    const returnItems = await buildReturnItems(order, items);
+
+    const returnRequest = await ReturnRequest.create({
+      order: order._id,
+      customer: req.user._id,
+      items: returnItems,
+      comment: req.body.comment,
+      photos: (req.files || []).map(file => ({
+        url: `/uploads/returns/${file.filename}`,
+        fileName: file.originalname
+      }))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      returnRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create return request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting return'
+    });
+  }
+});
+
+// @desc    Get current user's return requests
+// @route   GET /api/returns/my
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const returnRequests = await ReturnRequest.find({ customer: req.user._id })
+      .populate('order', 'orderNumber')
+      .populate('refund', 'refundNumber amount createdAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: returnRequests.length,
+      returnRequests
+    });
+  } catch (error) {
+    console.error('Get my returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching returns'
+    });
+  }
+});
+
+// @desc    Get refunds ledger with totals
+// @route   GET /api/returns/refunds
+// @access  Private (refunds:read)
+router.get('/refunds', protect, can('refunds:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    const [refunds, total, totals] = await Promise.all([
+      Refund.find(query)
+        .populate('order', 'orderNumber')
+        .populate('customer', 'name email')
+        .populate('processedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Refund.countDocuments(query),
+      Refund.aggregate([
+        { $match: query },
+        { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      totalRefunded: totals[0] ? Math.round(totals[0].amount * 100) / 100 : 0,
+      refunds
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching refunds'
+    });
+  }
+});
+
+// @desc    Get all return requests
+// @route   GET /api/returns
+// @access  Private (returns:read)
+router.get('/', protect, can('returns:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.order) {
+      query.order = req.query.order;
+    }
+
+    const returnRequests = await ReturnRequest.find(query)
+      .populate('order', 'orderNumber pricing.total paymentInfo.refundAmount')
+      .populate('customer', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ReturnRequest.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: returnRequests.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      returnRequests
+    });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching returns'
+    });
+  }
+});
+
+// @desc    Get single return request
+// @route   GET /api/returns/:id
+// @access  Private (Owner or returns:read)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('order', 'orderNumber pricing paymentInfo.method paymentInfo.refundAmount')
+      .populate('customer', 'name email')
+      .populate('refund')
+      .populate('review.reviewedBy', 'name');
+
+    if (!returnRequest || !canViewReturn(req.user, returnRequest)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      returnRequest
+    });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching return'
+    });
+  }
+});
+
+// @desc    Withdraw a pending return request
+// @route   PUT /api/returns/:id/cancel
+// @access  Private (Owner)
+router.put('/:id/cancel', protect, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, customer: req.user._id });
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (!returnRequest.canTransitionTo('cancelled')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only pending return requests can be cancelled'
+      });
+    }
+
+    returnRequest.transitionTo('cancelled', { actor: req.user._id });
+    await returnRequest.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Return request cancelled',
+      returnRequest
+    });
+  } catch (error) {
+    console.error('Cancel return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling return'
+    });
+  }
+});
+
+// @desc    Approve or reject a return request
+// @route   PUT /api/returns/:id/review
+// @access  Private (returns:manage)
+router.put('/:id/review', protect, can('returns:manage'), [
+  body('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  body('note').if(body('decision').equals('rejected')).notEmpty().withMessage('A reason is required to reject a return')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    returnRequest.transitionTo(req.body.decision, { actor: req.user._id, note: req.body.note });
+    await returnRequest.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${req.body.decision}`,
+      returnRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Review return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing return'
+    });
+  }
+});
+
+// @desc    Refund an approved return (full or partial)
+// @route   POST /api/returns/:id/refund
+// @access  Private (refunds:issue)
+router.post('/:id/refund', protect, can('refunds:issue'), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('restock').optional().isBoolean().withMessage('Restock must be true or false'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    const { refund, order } = await issueRefund(returnRequest, {
+      amount: req.body.amount,
+      restock: req.body.restock !== undefined ? req.body.restock === true || req.body.restock === 'true' : true,
+      reference: req.body.reference,
+      note: req.body.note,
+      actor: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Refund of ${refund.amount} recorded`,
+      refund,
+      paymentInfo: order.paymentInfo,
+      returnRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refund return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing refund'
+    });
+  }
+});
+
+module.exports = router;
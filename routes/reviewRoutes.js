@@ -9,8 +9,8 @@ const {
   getAllReviews,
   updateReviewStatus
 } = require('../controllers/reviewController');
-const { protect, authorize } = require('../middleware/auth');
-const admin = authorize('admin');
+const { protect, can } = require('../middleware/auth');
+const moderate = can('reviews:moderate');
 const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation');
 
@@ -157,20 +157,20 @@ router.get(
 );
 
 // Admin routes
-// GET /api/admin/reviews - Get all reviews (admin only)
+// GET /api/admin/reviews - Get all reviews (reviews:moderate)
 router.get(
   '/admin/reviews',
   protect,
-  admin,
+  moderate,
   validatePagination,
   getAllReviews
 );
 
-// PUT /api/admin/reviews/:reviewId/status - Update review status (admin only)
+// PUT /api/admin/reviews/:reviewId/status - Update review status (reviews:moderate)
 router.put(
   '/admin/reviews/:reviewId/status',
   protect,
-  admin,
+  moderate,
   validateReviewId,
   validateUpdateStatus,
   updateReviewStatus
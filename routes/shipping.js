@@ -0,0 +1,298 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Shipment = require('../models/Shipment');
+const { protect, can } = require('../middleware/auth');
+const { TRACKING_STATUSES } = require('../config/shipping');
+const {
+  ORDER_TYPES,
+  getShippingRate,
+  quoteShipping,
+  createShipment,
+  recordTrackingEvents,
+  syncTracking,
+  handleTrackingWebhook,
+  cancelShipment
+} = require('../utils/shipping');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendShippingError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error while processing shipment'
+  });
+};
+
+// Load the shipment for the :id param, or respond 400/404
+const loadShipment = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid shipment ID' });
+    return null;
+  }
+
+  const shipment = await Shipment.findById(req.params.id);
+
+  if (!shipment) {
+    res.status(404).json({ success: false, message: 'Shipment not found' });
+    return null;
+  }
+
+  return shipment;
+};
+
+// @desc    Shipping rate to a pincode for items (or a weight)
+// @route   POST /api/shipping/rates
+// @access  Public
+router.post('/rates', [
+  body('pincode').trim().notEmpty().withMessage('Pincode is required'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty list'),
+  body('items.*.product').optional().isMongoId().withMessage('Invalid product ID'),
+  body('items.*.quantity').optional().isInt({ min: 1, max: 10000 }).withMessage('Quantity must be between 1 and 10000'),
+  body('weightGrams').optional().isInt({ min: 1 }).withMessage('Weight must be a positive number of grams').toInt()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!req.body.items && !req.body.weightGrams) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the items or the weight to ship'
+      });
+    }
+
+    const rate = req.body.items
+      ? await quoteShipping(req.body.pincode, req.body.items)
+      : await getShippingRate({ pincode: req.body.pincode, weightGrams: req.body.weightGrams });
+
+    res.status(200).json({
+      success: true,
+      rate
+    });
+  } catch (error) {
+    sendShippingError(res, error, 'Shipping rate');
+  }
+});
+
+// @desc    Tracking updates from a carrier (signature-verified)
+// @route   POST /api/shipping/webhooks/:carrier
+// @access  Public (carrier)
+router.post('/webhooks/:carrier', async (req, res) => {
+  try {
+    const result = await handleTrackingWebhook(req.params.carrier, req.rawBody, req.headers);
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendShippingError(res, error, 'Tracking webhook');
+  }
+});
+
+// @desc    Get shipments
+// @route   GET /api/shipping/shipments
+// @access  Private (shipping:read)
+router.get('/shipments', protect, can('shipping:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.carrier) {
+      query.carrier = req.query.carrier;
+    }
+
+    if (req.query.order && mongoose.Types.ObjectId.isValid(req.query.order)) {
+      query.order = req.query.order;
+    }
+
+    if (req.query.search) {
+      query.$or = [
+        { trackingNumber: { $regex: req.query.search, $options: 'i' } },
+        { orderNumber: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    const shipments = await Shipment.find(query)
+      .select('-events')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Shipment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: shipments.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      shipments
+    });
+  } catch (error) {
+    console.error('Get shipments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shipments'
+    });
+  }
+});
+
+// @desc    Get single shipment with its tracking events
+// @route   GET /api/shipping/shipments/:id
+// @access  Private (shipping:read)
+router.get('/shipments/:id', protect, can('shipping:read'), async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    await shipment.populate('createdBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      shipment
+    });
+  } catch (error) {
+    console.error('Get shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shipment'
+    });
+  }
+});
+
+// @desc    Create a shipment for an order or custom design order
+// @route   POST /api/shipping/shipments
+// @access  Private (shipping:manage)
+router.post('/shipments', [
+  protect,
+  can('shipping:manage'),
+  body('orderType').isIn(Object.keys(ORDER_TYPES)).withMessage(`Order type must be one of: ${Object.keys(ORDER_TYPES).join(', ')}`),
+  body('order').isMongoId().withMessage('Order is required'),
+  body('weightGrams').optional().isInt({ min: 1 }).withMessage('Weight must be a positive number of grams').toInt()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const shipment = await createShipment(req.body.orderType, req.body.order, {
+      carrier: req.body.carrier,
+      weightGrams: req.body.weightGrams,
+      actor: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment created successfully',
+      shipment
+    });
+  } catch (error) {
+    sendShippingError(res, error, 'Create shipment');
+  }
+});
+
+// @desc    Add a tracking event by hand (e.g. for the local carrier)
+// @route   POST /api/shipping/shipments/:id/events
+// @access  Private (shipping:manage)
+router.post('/shipments/:id/events', [
+  protect,
+  can('shipping:manage'),
+  body('status').isIn(TRACKING_STATUSES.filter(status => status !== 'cancelled')).withMessage('Invalid tracking status'),
+  body('occurredAt').optional().isISO8601().withMessage('Invalid event time'),
+  body('description').optional().trim().isLength({ max: 300 }).withMessage('Description cannot be more than 300 characters'),
+  body('location').optional().trim().isLength({ max: 100 }).withMessage('Location cannot be more than 100 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    const { shipment: updated } = await recordTrackingEvents(shipment, [{
+      status: req.body.status,
+      description: req.body.description,
+      location: req.body.location,
+      occurredAt: req.body.occurredAt
+    }], { source: 'manual', actor: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tracking event added',
+      shipment: updated
+    });
+  } catch (error) {
+    sendShippingError(res, error, 'Add tracking event');
+  }
+});
+
+// @desc    Fetch the latest tracking from the carrier
+// @route   POST /api/shipping/shipments/:id/sync
+// @access  Private (shipping:manage)
+router.post('/shipments/:id/sync', protect, can('shipping:manage'), async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    const { shipment: updated, added } = await syncTracking(shipment);
+
+    res.status(200).json({
+      success: true,
+      message: added > 0 ? `${added} new tracking event(s)` : 'Tracking is up to date',
+      shipment: updated
+    });
+  } catch (error) {
+    sendShippingError(res, error, 'Sync tracking');
+  }
+});
+
+// @desc    Cancel a shipment that hasn't been picked up
+// @route   POST /api/shipping/shipments/:id/cancel
+// @access  Private (shipping:manage)
+router.post('/shipments/:id/cancel', [
+  protect,
+  can('shipping:manage'),
+  body('note').optional().trim().isLength({ max: 300 }).withMessage('Note cannot be more than 300 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment cancelled',
+      shipment: await cancelShipment(shipment, { actor: req.user._id, note: req.body.note })
+    });
+  } catch (error) {
+    sendShippingError(res, error, 'Cancel shipment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { protect, can } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SUPPLIER_FIELDS = [
+  'name', 'contactPerson', 'email', 'phone', 'address', 'gstin',
+  'paymentTermsDays', 'leadTimeDays', 'notes', 'isActive'
+];
+
+const pickSupplierFields = (source) => {
+  const data = {};
+  SUPPLIER_FIELDS.forEach(field => {
+    if (source[field] !== undefined) data[field] = source[field];
+  });
+  return data;
+};
+
+const supplierValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Supplier name is required'),
+    body('email').optional({ values: 'falsy' }).isEmail().withMessage('Please enter a valid email'),
+    body('paymentTermsDays').optional().isInt({ min: 0 }).withMessage('Payment terms must be a number of days'),
+    body('leadTimeDays').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Lead time must be a number of days')
+  ];
+};
+
+// @desc    Get suppliers
+// @route   GET /api/suppliers
+// @access  Private (purchasing:read)
+router.get('/', protect, can('purchasing:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.search) {
+      query.$or = [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { contactPerson: { $regex: req.query.search, $options: 'i' } },
+        { email: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Supplier.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      suppliers
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suppliers'
+    });
+  }
+});
+
+// @desc    Get supplier with purchase totals and recent purchase orders
+// @route   GET /api/suppliers/:id
+// @access  Private (purchasing:read)
+router.get('/:id', protect, can('purchasing:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid supplier ID' });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    const [purchaseOrders, stats] = await Promise.all([
+      PurchaseOrder.find({ supplier: supplier._id })
+        .select('poNumber status expectedDate pricing.total createdAt')
+        .sort({ createdAt: -1 })
+        .limit(10),
+      PurchaseOrder.aggregate([
+        { $match: { supplier: supplier._id, status: { $nin: ['draft', 'cancelled'] } } },
+        { $group: { _id: null, purchaseOrders: { $sum: 1 }, totalPurchased: { $sum: '$pricing.total' } } },
+        { $project: { _id: 0, purchaseOrders: 1, totalPurchased: 1 } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      supplier,
+      stats: stats[0] || { purchaseOrders: 0, totalPurchased: 0 },
+      purchaseOrders
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching supplier'
+    });
+  }
+});
+
+// @desc    Create supplier
+// @route   POST /api/suppliers
+// @access  Private (purchasing:manage)
+router.post('/', [protect, can('purchasing:manage'), ...supplierValidators()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.create(pickSupplierFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      supplier
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating supplier'
+    });
+  }
+});
+
+// @desc    Update supplier
+// @route   PUT /api/suppliers/:id
+// @access  Private (purchasing:manage)
+router.put('/:id', [protect, can('purchasing:manage'), ...supplierValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid supplier ID' });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    Object.assign(supplier, pickSupplierFields(req.body));
+    await supplier.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating supplier'
+    });
+  }
+});
+
+module.exports = router;
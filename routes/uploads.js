@@ -18,7 +18,7 @@ const path = require("path");
 const fs = require("fs");
 const cloudinary = require("../utils/cloudinaryConfig");
 
-const { protect, authorize } = require("../middleware/auth");
+const { protect, can } = require("../middleware/auth");
 const Order = require("../models/Order");
 
 const router = express.Router();
@@ -132,7 +132,7 @@ router.post("/avatar", protect, (req, res) => {
 /* ---------------------------------------------------------
    7️⃣ Product Image Upload (NOW CLOUDINARY)
 --------------------------------------------------------- */
-router.post("/product", protect, authorize("admin"), (req, res) => {
+router.post("/product", protect, can("products:manage"), (req, res) => {
   const upload = uploadProduct.array("images", 5);
 
   upload(req, res, (err) => {
@@ -272,7 +272,7 @@ router.get("/:type/:filename", (req, res) => {
 /* ---------------------------------------------------------
    1️⃣2️⃣ Upload Stats
 --------------------------------------------------------- */
-router.get("/admin/stats", protect, authorize("admin"), (req, res) => {
+router.get("/admin/stats", protect, can("uploads:stats"), (req, res) => {
   const stats = {};
 
   ["avatars", "products", "orders"].forEach((type) => {
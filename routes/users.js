@@ -1,14 +1,21 @@
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, can, denyImpersonation, sensitiveOpLimit } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { revokeUserTokens } = require('../utils/tokenService');
+const AuditLog = require('../models/AuditLog');
+const { generateImpersonationToken, getTokenExpiration } = require('../utils/jwt');
+const { collectAccountData, countOpenOrders, anonymizeAccount } = require('../utils/accountData');
+const { createZip } = require('../utils/zip');
 
 const router = express.Router();
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
-// @access  Private/Admin
-router.get('/', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:read)
+router.get('/', protect, can('users:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -59,13 +66,127 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Download all personal data for the current user
+// @route   GET /api/users/me/export?format=json|zip
+// @access  Private
+router.get('/me/export', protect, denyImpersonation, sensitiveOpLimit(60 * 60 * 1000, 5), async (req, res) => {
+  try {
+    const data = await collectAccountData(req.user._id);
+    const stamp = data.exportedAt.toISOString().slice(0, 10);
+    const baseName = `account-data-${stamp}`;
+
+    if (req.query.format === 'zip') {
+      const files = Object.entries(data)
+        .filter(([key]) => key !== 'exportedAt')
+        .map(([key, value]) => ({
+          name: `${baseName}/${key}.json`,
+          data: JSON.stringify(value, null, 2)
+        }));
+
+      const archive = createZip(files, data.exportedAt);
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+      return res.send(archive);
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Export account data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting account data'
+    });
+  }
+});
+
+// @desc    Delete own account (anonymizes personal data, keeps order records)
+// @route   DELETE /api/users/me
+// @access  Private
+router.delete('/me', [
+  protect,
+  denyImpersonation,
+  sensitiveOpLimit(15 * 60 * 1000, 3), // 3 attempts per 15 minutes
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account'),
+  body('code')
+    .optional()
+    .trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    // Staff accounts are managed by an admin
+    if (user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts must be removed by an administrator'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.twoFactor.enabled && !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid authentication code is required'
+      });
+    }
+
+    const openOrders = await countOpenOrders(user._id);
+    if (openOrders > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `You have ${openOrders} order(s) still in progress. Please wait until they are completed or cancelled.`
+      });
+    }
+
+    await anonymizeAccount(user);
+
+    res.clearCookie('token', { path: '/', httpOnly: true });
+    res.clearCookie('refreshToken', { path: '/api/auth', httpOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+  } catch (error) {
+    console.error('Delete own account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account'
+    });
+  }
+});
+
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private/Admin or Own Profile
 router.get('/:id', protect, async (req, res) => {
   try {
     // Users can only view their own profile unless they're admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+    if (!req.user.can('users:read') && req.user._id.toString() !== req.params.id) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own profile.'
@@ -96,10 +217,10 @@ router.get('/:id', protect, async (req, res) => {
 
 // @desc    Create new user (Admin only)
 // @route   POST /api/users
-// @access  Private/Admin
+// @access  Private (users:manage)
 router.post('/', [
   protect,
-  authorize('admin'),
+  can('users:manage'),
   body('name')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -113,8 +234,8 @@ router.post('/', [
     .withMessage('Password must be at least 6 characters'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   body('phone')
     .optional()
     .isMobilePhone()
@@ -170,10 +291,10 @@ router.post('/', [
 
 // @desc    Update user (Admin only)
 // @route   PUT /api/users/:id
-// @access  Private/Admin
+// @access  Private (users:manage)
 router.put('/:id', [
   protect,
-  authorize('admin'),
+  can('users:manage'),
   body('name')
     .optional()
     .trim()
@@ -186,8 +307,8 @@ router.put('/:id', [
     .withMessage('Please provide a valid email'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   body('isActive')
     .optional()
     .isBoolean()
@@ -265,8 +386,8 @@ const mongoose = require('mongoose');
 
 // @desc    Delete user (Admin only)
 // @route   DELETE /api/users/:id
-// @access  Private/Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:manage)
+router.delete('/:id', protect, can('users:manage'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -299,10 +420,177 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
 });
 
 
+// @desc    Revoke all sessions for a user (Admin only)
+// @route   DELETE /api/users/:id/sessions
+// @access  Private (users:manage)
+router.delete('/:id/sessions', protect, can('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const revokedCount = await revokeUserTokens(user._id, 'admin');
+
+    res.status(200).json({
+      success: true,
+      message: `Revoked ${revokedCount} session(s) for ${user.email}`
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error while revoking sessions' });
+  }
+});
+
+// @desc    Unlock a locked-out account (Admin only)
+// @route   PUT /api/users/:id/unlock
+// @access  Private (users:manage)
+router.put('/:id/unlock', protect, can('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await user.unlockAccount();
+
+    res.status(200).json({ success: true, message: `Account ${user.email} unlocked`, user });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ success: false, message: 'Server error while unlocking user' });
+  }
+});
+
+// @desc    Start a read-only "view as customer" session (Admin only)
+// @route   POST /api/users/:id/impersonate
+// @access  Private (users:impersonate)
+router.post('/:id/impersonate', protect, can('users:impersonate'), [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Only customer accounts can be viewed; never staff or yourself
+    if (user.role !== 'user' || user._id.equals(req.user._id)) {
+      return res.status(400).json({ success: false, message: 'Only customer accounts can be impersonated' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ success: false, message: 'Cannot impersonate a deactivated account' });
+    }
+
+    // The token is tied to the admin's own session, so revoking it ends impersonation too
+    const impersonationId = crypto.randomUUID();
+    const token = generateImpersonationToken(user._id, req.user._id, {
+      sid: req.authSession._id.toString(),
+      jti: impersonationId
+    });
+    const expiresAt = getTokenExpiration(token);
+
+    await AuditLog.create({
+      actor: req.user._id,
+      action: 'impersonation-start',
+      targetUser: user._id,
+      impersonationId,
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      expiresAt
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Viewing as ${user.email} (read-only)`,
+      token,
+      expiresAt,
+      impersonating: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({ success: false, message: 'Server error while starting impersonation' });
+  }
+});
+
+// @desc    Get impersonation audit trail (Admin only)
+// @route   GET /api/users/audit/impersonations
+// @access  Private (users:impersonate)
+router.get('/audit/impersonations', protect, can('users:impersonate'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.user && mongoose.Types.ObjectId.isValid(req.query.user)) {
+      filter.targetUser = req.query.user;
+    }
+    if (req.query.actor && mongoose.Types.ObjectId.isValid(req.query.actor)) {
+      filter.actor = req.query.actor;
+    }
+    if (req.query.impersonationId) {
+      filter.impersonationId = req.query.impersonationId;
+    }
+
+    const logs = await AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .populate('targetUser', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      logs
+    });
+  } catch (error) {
+    console.error('Get impersonation audit error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching audit log' });
+  }
+});
+
 // @desc    Get user statistics (Admin only)
 // @route   GET /api/users/stats
-// @access  Private/Admin
-router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:read)
+router.get('/admin/stats', protect, can('users:read'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ isActive: true });
@@ -355,8 +643,8 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
 
 // @desc    Export users as CSV
 // @route   GET /api/users/export/csv
-// @access  Private/Admin
-router.get('/export/csv', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:export)
+router.get('/export/csv', protect, can('users:export'), async (req, res) => {
   try {
     const users = await User.find({})
       .select('-password')
@@ -55,7 +55,17 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Payment and tracking webhooks are verified against the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhooks") || req.originalUrl.startsWith("/api/shipping/webhooks")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 /* ❌ REMOVE uploads static (Vercel FS is read-only) */
@@ -66,11 +76,21 @@ app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/products", require("./routes/products"));
 app.use("/api/orders", require("./routes/orders"));
+app.use("/api/cart", require("./routes/cart"));
+app.use("/api/coupons", require("./routes/coupons"));
+app.use("/api/returns", require("./routes/returns"));
+app.use("/api/reconciliation", require("./routes/reconciliation"));
+app.use("/api/payments", require("./routes/payments"));
 app.use("/api/clients", require("./routes/clients"));
+app.use("/api/organizations", require("./routes/organizations"));
 app.use("/api/custom-logo-designs", require("./routes/customLogoDesigns"));
 app.use("/api/custom-logo-requests", require("./routes/customLogoRequests"));
 app.use("/api/custom-embroidery-requests", require("./routes/customEmbroideryRequests"));
 app.use("/api/custom-design-orders", require("./routes/customDesignOrders"));
+app.use("/api/inventory", require("./routes/inventory"));
+app.use("/api/suppliers", require("./routes/suppliers"));
+app.use("/api/purchase-orders", require("./routes/purchaseOrders"));
+app.use("/api/shipping", require("./routes/shipping"));
 app.use("/api/contact", require("./routes/contact"));
 app.use("/api/admin/analytics", require("./routes/analytics"));
 app.use("/api/podcasts", require("./routes/podcasts"));
@@ -0,0 +1,101 @@
+// Shared helpers for the test suite (node:test). Nothing here talks to MongoDB:
+// tests replace the model methods a route uses with in-memory stand-ins.
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const { once } = require('events');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// A query that reaches the database by mistake fails at once instead of waiting
+// for a connection that never comes
+mongoose.set('bufferCommands', false);
+
+// Chainable stand-in for a Mongoose query that resolves to `value`
+const fakeQuery = (value) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(typeof value === 'function' ? value() : value).then(resolve, reject)
+  };
+  return query;
+};
+
+// Read and write dotted paths ('paymentInfo.paymentStatus') on plain records
+const getPath = (record, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+const setPath = (record, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (node[key] == null) node[key] = {};
+    return node[key];
+  }, record);
+  target[last] = value;
+};
+
+// Apply the $set / $inc / $unset parts of an update to a plain record
+const applyUpdate = (record, update) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(record, path, value));
+  Object.entries(update.$inc || {}).forEach(([path, value]) => setPath(record, path, (getPath(record, path) || 0) + value));
+  Object.keys(update.$unset || {}).forEach(path => setPath(record, path, undefined));
+  return record;
+};
+
+// Whether a plain record matches a simple filter: equality or $in per path,
+// where a path through an array matches if any element does
+const matches = (record, filter) => Object.entries(filter).every(([path, condition]) => {
+  const values = [].concat(path.split('.').reduce((nodes, key) => nodes
+    .flatMap(node => (node == null ? [] : [].concat(node[key]))), [record]));
+  const equals = (expected) => values.some(value => String(value) === String(expected));
+
+  if (condition && typeof condition === 'object' && Array.isArray(condition.$in)) {
+    return condition.$in.some(equals);
+  }
+  return equals(condition);
+});
+
+// Serve a router on a free port. Resolves to { request(method, path, options), close() }
+const serve = async (mountPath, router) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(mountPath, router);
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: await response.json().catch(() => null)
+    };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { request, close };
+};
+
+module.exports = {
+  fakeQuery,
+  getPath,
+  applyUpdate,
+  matches,
+  serve
+};
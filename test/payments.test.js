@@ -0,0 +1,220 @@
+process.env.FAKE_PAYMENT_SECRET = 'test-fake-secret';
+process.env.PAYMENT_PROVIDER = 'fake';
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { matches, applyUpdate, getPath } = require('./helpers');
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const Product = require('../models/Product');
+const fake = require('../utils/payments/fake');
+const { handleWebhook, processPaymentEvent, tryStartPayment } = require('../utils/payments');
+const { createOrder } = require('../utils/orderService');
+
+// In-memory stand-ins for the orders and payment events collections
+const orders = new Map();
+const events = new Map();
+let orderLookups = [];
+
+// Records go back through hydrate(), which casts ids and dates again
+const copy = (record) => JSON.parse(JSON.stringify(record));
+const eventKey = (provider, eventId) => `${provider}:${eventId}`;
+
+const customer = { _id: new mongoose.Types.ObjectId(), email: 'asha@example.com' };
+const product = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Embroidered Cap',
+  isActive: true,
+  price: { base: 250 },
+  shippingWeight: 200,
+  customizationOptions: [],
+  variants: []
+};
+
+const checkout = {
+  items: [{ product: String(product._id), quantity: 2 }],
+  paymentMethod: 'online',
+  shippingAddress: {
+    fullName: 'Asha Rao',
+    email: 'asha@example.com',
+    phone: '9876543210',
+    address: '12 MG Road',
+    city: 'Pune',
+    state: 'Maharashtra',
+    pincode: '411001'
+  }
+};
+
+// Deliver the webhook the fake gateway sends for `outcome`
+const deliver = async (providerOrderId, outcome) => {
+  const { rawBody, headers } = fake.simulate({ providerOrderId, outcome });
+  return { rawBody, headers, result: await handleWebhook('fake', rawBody, headers) };
+};
+
+before(() => {
+  mock.method(Product, 'find', () => {
+    const result = Promise.resolve([Product.hydrate(product)]);
+    result.select = async () => [Product.hydrate(product)];
+    return result;
+  });
+
+  mock.method(Order.prototype, 'save', async function () {
+    if (!this.orderNumber) this.orderNumber = `SGD2026${String(orders.size + 1).padStart(4, '0')}`;
+    orders.set(String(this._id), this.toObject());
+    return this;
+  });
+  mock.method(Order, 'findOne', async (filter) => {
+    orderLookups.push(filter);
+    const record = [...orders.values()].find(entry => matches(entry, filter));
+    return record ? Order.hydrate(copy(record)) : null;
+  });
+  mock.method(Order, 'updateOne', async (filter, update) => {
+    const record = [...orders.values()].find(entry => matches(entry, filter));
+    if (record) applyUpdate(record, update);
+    return { modifiedCount: record ? 1 : 0 };
+  });
+
+  mock.method(PaymentEvent, 'create', async (fields) => {
+    const key = eventKey(fields.provider, fields.eventId);
+    if (events.has(key)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const record = new PaymentEvent(fields);
+    events.set(key, record.toObject());
+    return record;
+  });
+  mock.method(PaymentEvent, 'findOneAndUpdate', async (filter, update) => {
+    const record = events.get(eventKey(filter.provider, filter.eventId));
+    if (!record || record.status !== 'failed') return null;
+    applyUpdate(record, update);
+    return PaymentEvent.hydrate(copy(record));
+  });
+  mock.method(PaymentEvent.prototype, 'save', async function () {
+    events.set(eventKey(this.provider, this.eventId), this.toObject());
+    return this;
+  });
+});
+
+beforeEach(() => {
+  orders.clear();
+  events.clear();
+  orderLookups = [];
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+describe('fake gateway webhooks', () => {
+  it('accepts its own signature and nothing else', () => {
+    const { rawBody, headers } = fake.signWebhook({ id: 'evt_1', event: 'payment.captured' });
+
+    assert.equal(fake.verifyWebhook(rawBody, headers), true);
+    assert.equal(fake.verifyWebhook(Buffer.from(rawBody.toString().replace('evt_1', 'evt_2')), headers), false);
+    assert.equal(fake.verifyWebhook(rawBody, { 'x-fake-signature': 'f'.repeat(64) }), false);
+    assert.equal(fake.verifyWebhook(rawBody, {}), false);
+  });
+
+  it('rejects an unsigned delivery with 401', async () => {
+    const rawBody = Buffer.from(JSON.stringify({ id: 'evt_1', event: 'payment.captured', order_id: 'fake_order_1' }));
+
+    await assert.rejects(handleWebhook('fake', rawBody, {}), { statusCode: 401 });
+    assert.equal(events.size, 0);
+  });
+
+  it('is not accepted at all in production', async (t) => {
+    const { rawBody, headers } = fake.signWebhook({ id: 'evt_1', event: 'payment.captured', order_id: 'fake_order_1' });
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    t.after(() => { process.env.NODE_ENV = environment; });
+
+    await assert.rejects(handleWebhook('fake', rawBody, headers), { statusCode: 404 });
+  });
+});
+
+describe('online checkout', () => {
+  const placeOrder = async () => {
+    const order = await createOrder(customer, checkout);
+    const { checkout: payment, error } = await tryStartPayment(order);
+    assert.equal(error, undefined);
+    return { order, payment };
+  };
+
+  it('starts a gateway payment for the order total', async () => {
+    const { order, payment } = await placeOrder();
+    const stored = orders.get(String(order._id));
+
+    assert.equal(stored.paymentInfo.method, 'online');
+    assert.equal(stored.paymentInfo.paymentStatus, 'pending');
+    assert.equal(stored.paymentInfo.gateway.provider, 'fake');
+    assert.equal(stored.paymentInfo.gateway.attempts[0].providerOrderId, payment.providerOrderId);
+    assert.equal(payment.amount, Math.round(order.pricing.total * 100));
+  });
+
+  it('marks the order paid when the capture webhook arrives', async () => {
+    const { order, payment } = await placeOrder();
+
+    const { result } = await deliver(payment.providerOrderId, 'captured');
+
+    assert.equal(result.duplicate, false);
+    assert.equal(result.result, 'payment completed');
+    assert.equal(getPath(orders.get(String(order._id)), 'paymentInfo.paymentStatus'), 'completed');
+    assert.equal(orderLookups[0]['paymentInfo.gateway.provider'], 'fake');
+  });
+
+  it('applies a repeated delivery only once', async () => {
+    const { order, payment } = await placeOrder();
+    const { rawBody, headers } = await deliver(payment.providerOrderId, 'captured');
+    const updates = Order.updateOne.mock.callCount();
+
+    const repeat = await handleWebhook('fake', rawBody, headers);
+
+    assert.equal(repeat.duplicate, true);
+    assert.equal(Order.updateOne.mock.callCount(), updates);
+    assert.equal(getPath(orders.get(String(order._id)), 'paymentInfo.paymentStatus'), 'completed');
+    assert.equal(events.size, 1);
+  });
+
+  it('retries an event whose first delivery failed', async () => {
+    const { order, payment } = await placeOrder();
+    const { rawBody, headers } = fake.simulate({ providerOrderId: payment.providerOrderId, outcome: 'captured' });
+
+    Order.findOne.mock.mockImplementationOnce(async () => { throw new Error('connection reset'); });
+    await assert.rejects(handleWebhook('fake', rawBody, headers), /connection reset/);
+    assert.equal([...events.values()][0].status, 'failed');
+
+    const retried = await handleWebhook('fake', rawBody, headers);
+
+    assert.equal(retried.duplicate, false);
+    assert.equal(getPath(orders.get(String(order._id)), 'paymentInfo.paymentStatus'), 'completed');
+    assert.equal([...events.values()][0].status, 'processed');
+  });
+
+  it('leaves a failed payment open for another attempt', async () => {
+    const { order, payment } = await placeOrder();
+
+    await deliver(payment.providerOrderId, 'failed');
+    assert.equal(getPath(orders.get(String(order._id)), 'paymentInfo.paymentStatus'), 'failed');
+
+    const { checkout: retry } = await tryStartPayment(Order.hydrate(copy(orders.get(String(order._id)))));
+    await deliver(retry.providerOrderId, 'captured');
+    assert.equal(getPath(orders.get(String(order._id)), 'paymentInfo.paymentStatus'), 'completed');
+  });
+
+  it('ignores events for orders paid through another gateway', async () => {
+    const { order, payment } = await placeOrder();
+    orders.get(String(order._id)).paymentInfo.gateway.provider = 'razorpay';
+
+    const { result } = await processPaymentEvent(fake, {
+      eventId: 'evt_other',
+      type: 'payment.captured',
+      providerOrderId: payment.providerOrderId,
+      amount: order.pricing.total
+    });
+
+    assert.equal(result, 'ignored: no order for this payment');
+    assert.equal(getPath(orders.get(String(order._id)), 'paymentInfo.paymentStatus'), 'pending');
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, applyUpdate, serve } = require('./helpers');
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { sensitiveOpLimit } = require('../middleware/auth');
+const { createMemoryStore, setLimiterStore } = require('../utils/rateLimitStore');
+const { generateAccessToken } = require('../utils/jwt');
+
+// A router with one limited route, so the limiter is tested on its own
+const limitedRouter = (windowMs, max, options) => {
+  const router = express.Router();
+  router.post('/attempt', sensitiveOpLimit(windowMs, max, options), (req, res) => {
+    res.status(200).json({ success: true });
+  });
+  return router;
+};
+
+describe('sensitiveOpLimit', () => {
+  let app;
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  it('allows `max` attempts per window, then answers 429 with Retry-After', async () => {
+    app = await serve('/limited', limitedRouter(60 * 1000, 3, { store: createMemoryStore() }));
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const response = await app.request('POST', '/limited/attempt');
+      assert.equal(response.status, 200, `attempt ${attempt}`);
+    }
+
+    const blocked = await app.request('POST', '/limited/attempt');
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.success, false);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    assert.ok(blocked.body.retryAfter <= 60);
+
+    await app.close();
+    app = null;
+  });
+
+  it('counts each scope separately', async () => {
+    const store = createMemoryStore();
+    const router = express.Router();
+    router.post('/a', sensitiveOpLimit(60 * 1000, 1, { store, name: 'a' }), (req, res) => res.json({ success: true }));
+    router.post('/b', sensitiveOpLimit(60 * 1000, 1, { store, name: 'b' }), (req, res) => res.json({ success: true }));
+    app = await serve('/', router);
+
+    assert.equal((await app.request('POST', '/a')).status, 200);
+    assert.equal((await app.request('POST', '/b')).status, 200);
+    assert.equal((await app.request('POST', '/a')).status, 429);
+
+    await app.close();
+    app = null;
+  });
+
+  it('starts counting again once the window has passed', async () => {
+    app = await serve('/limited', limitedRouter(50, 1, { store: createMemoryStore() }));
+
+    assert.equal((await app.request('POST', '/limited/attempt')).status, 200);
+    assert.equal((await app.request('POST', '/limited/attempt')).status, 429);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.equal((await app.request('POST', '/limited/attempt')).status, 200);
+
+    await app.close();
+    app = null;
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const failingStore = {
+      name: 'failing',
+      increment: async () => { throw new Error('The client is offline'); },
+      reset: async () => {}
+    };
+    mock.method(console, 'error', () => {});
+    app = await serve('/limited', limitedRouter(60 * 1000, 1, { store: failingStore }));
+
+    assert.equal((await app.request('POST', '/limited/attempt')).status, 200);
+    assert.equal((await app.request('POST', '/limited/attempt')).status, 200);
+
+    mock.restoreAll();
+    await app.close();
+    app = null;
+  });
+});
+
+describe('account lockout', () => {
+  const PASSWORD = 'Secret123';
+  const users = new Map();
+  let auth;
+  let admin;
+  let customer;
+
+  // Users live in `users` as plain records; queries return fresh documents
+  const load = (id) => {
+    const record = users.get(String(id));
+    return record ? User.hydrate({ ...record }) : null;
+  };
+  const findByEmail = (email) => [...users.values()].find(record => record.email === email);
+
+  const login = (password) => auth.request('POST', '/api/auth/login', {
+    body: { email: customer.email, password }
+  });
+
+  before(async () => {
+    const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+    admin = { _id: new mongoose.Types.ObjectId(), name: 'Admin', email: 'admin@example.com', role: 'admin', isActive: true, password: passwordHash };
+    customer = { _id: new mongoose.Types.ObjectId(), name: 'Asha', email: 'asha@example.com', role: 'user', isActive: true, password: passwordHash };
+    users.set(String(admin._id), admin);
+    users.set(String(customer._id), customer);
+
+    mock.method(User, 'findOne', (filter) => fakeQuery(() => {
+      const record = findByEmail(filter.email);
+      return record ? load(record._id) : null;
+    }));
+    mock.method(User, 'findById', (id) => fakeQuery(() => load(id)));
+    mock.method(User, 'findByIdAndUpdate', async (id, update) => {
+      applyUpdate(users.get(String(id)), update);
+      return load(id);
+    });
+    mock.method(User, 'updateOne', async (filter, update) => {
+      applyUpdate(users.get(String(filter._id)), update);
+      return { modifiedCount: 1 };
+    });
+    mock.method(User.prototype, 'save', async function () {
+      users.set(String(this._id), this.toObject());
+      return this;
+    });
+    mock.method(Session, 'start', async () => ({}));
+    mock.method(Session, 'findOne', () => fakeQuery({ isActive: true, lastActivity: new Date() }));
+    mock.method(RefreshToken, 'create', async () => ({}));
+
+    const router = express.Router();
+    router.use('/auth', require('../routes/auth'));
+    router.use('/users', require('../routes/users'));
+    auth = await serve('/api', router);
+  });
+
+  beforeEach(() => {
+    // Fresh limiter counts, so the lockout is what stops the attempts
+    setLimiterStore(createMemoryStore());
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await auth.close();
+  });
+
+  it('locks the account after five wrong passwords', async () => {
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      const response = await login('Wrong123');
+      assert.equal(response.status, 401, `attempt ${attempt}`);
+    }
+
+    const locked = await login('Wrong123');
+    assert.equal(locked.status, 423);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    assert.equal(users.get(String(customer._id)).lockoutCount, 1);
+  });
+
+  it('refuses the right password while locked', async () => {
+    const response = await login(PASSWORD);
+    assert.equal(response.status, 423);
+  });
+
+  it('lets the customer back in once an admin unlocks the account', async () => {
+    const token = generateAccessToken(String(admin._id), { sid: String(new mongoose.Types.ObjectId()) });
+    const unlocked = await auth.request('PUT', `/api/users/${customer._id}/unlock`, {
+      headers: { authorization: `Bearer ${token}` }
+    });
+    assert.equal(unlocked.status, 200);
+
+    const response = await login(PASSWORD);
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+
+    const record = users.get(String(customer._id));
+    assert.equal(record.failedLoginAttempts, 0);
+    assert.equal(record.lockoutCount, 0);
+  });
+
+  it('stops customers from unlocking accounts', async () => {
+    const token = generateAccessToken(String(customer._id), { sid: String(new mongoose.Types.ObjectId()) });
+    const response = await auth.request('PUT', `/api/users/${customer._id}/unlock`, {
+      headers: { authorization: `Bearer ${token}` }
+    });
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, applyUpdate, serve } = require('./helpers');
+
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { base32Encode, generateTOTP, verifyTOTP, getTimeStep } = require('../utils/totp');
+const { createMemoryStore, setLimiterStore } = require('../utils/rateLimitStore');
+const { generateTwoFactorToken } = require('../utils/jwt');
+
+// The shared secret from RFC 6238 appendix B ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// A fixed clock, 15 seconds into a 30 second step
+const NOW = Date.UTC(2026, 9, 18, 10, 0, 15);
+const STEP = 30 * 1000;
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 SHA1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    vectors.forEach(([seconds, code]) => {
+      assert.equal(generateTOTP(RFC_SECRET, { time: seconds * 1000, digits: 8 }), code, `T = ${seconds}`);
+    });
+  });
+
+  it('accepts codes one step either side of the clock and nothing further', () => {
+    const codeAt = (offset) => generateTOTP(RFC_SECRET, { time: NOW + offset * STEP });
+    const current = getTimeStep(NOW);
+
+    assert.equal(verifyTOTP(codeAt(0), RFC_SECRET, { time: NOW }), current);
+    assert.equal(verifyTOTP(codeAt(-1), RFC_SECRET, { time: NOW }), current - 1);
+    assert.equal(verifyTOTP(codeAt(1), RFC_SECRET, { time: NOW }), current + 1);
+    assert.equal(verifyTOTP(codeAt(-2), RFC_SECRET, { time: NOW }), null);
+    assert.equal(verifyTOTP(codeAt(2), RFC_SECRET, { time: NOW }), null);
+  });
+
+  it('rejects malformed codes', () => {
+    const code = generateTOTP(RFC_SECRET, { time: NOW });
+
+    assert.equal(verifyTOTP(code.slice(1), RFC_SECRET, { time: NOW }), null);
+    assert.equal(verifyTOTP(`${code}0`, RFC_SECRET, { time: NOW }), null);
+    assert.equal(verifyTOTP('abcdef', RFC_SECRET, { time: NOW }), null);
+    assert.equal(verifyTOTP('', RFC_SECRET, { time: NOW }), null);
+  });
+
+  it('does not accept a code twice, or an older one after a newer one', () => {
+    const user = new User({ twoFactor: { enabled: true, secret: RFC_SECRET } });
+    const current = generateTOTP(RFC_SECRET, { time: NOW });
+    const previous = generateTOTP(RFC_SECRET, { time: NOW - STEP });
+
+    assert.equal(user.verifyTwoFactorCode(current, NOW), 'totp');
+    assert.equal(user.twoFactor.lastUsedStep, getTimeStep(NOW));
+    assert.equal(user.verifyTwoFactorCode(current, NOW), null);
+    assert.equal(user.verifyTwoFactorCode(previous, NOW), null);
+
+    const next = generateTOTP(RFC_SECRET, { time: NOW + STEP });
+    assert.equal(user.verifyTwoFactorCode(next, NOW + STEP), 'totp');
+  });
+});
+
+describe('login two-factor step', () => {
+  const users = new Map();
+  let auth;
+  let customer;
+
+  const load = (id) => {
+    const record = users.get(String(id));
+    return record ? User.hydrate({ ...record, twoFactor: { ...record.twoFactor } }) : null;
+  };
+
+  const submit = (code) => auth.request('POST', '/api/auth/login/2fa', {
+    body: { twoFactorToken: generateTwoFactorToken(String(customer._id)), code }
+  });
+
+  before(async () => {
+    mock.method(Date, 'now', () => NOW);
+
+    mock.method(User, 'findById', (id) => fakeQuery(() => load(id)));
+    mock.method(User, 'findByIdAndUpdate', async (id, update) => {
+      applyUpdate(users.get(String(id)), update);
+      return load(id);
+    });
+    mock.method(User, 'updateOne', async (filter, update) => {
+      applyUpdate(users.get(String(filter._id)), update);
+      return { modifiedCount: 1 };
+    });
+    mock.method(User.prototype, 'save', async function () {
+      users.set(String(this._id), this.toObject());
+      return this;
+    });
+    mock.method(Session, 'start', async () => ({}));
+    mock.method(RefreshToken, 'create', async () => ({}));
+
+    const router = express.Router();
+    router.use('/auth', require('../routes/auth'));
+    auth = await serve('/api', router);
+  });
+
+  beforeEach(() => {
+    customer = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Asha',
+      email: 'asha@example.com',
+      role: 'user',
+      isActive: true,
+      twoFactor: { enabled: true, secret: RFC_SECRET, backupCodes: [] }
+    };
+    users.clear();
+    users.set(String(customer._id), customer);
+    setLimiterStore(createMemoryStore());
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await auth.close();
+  });
+
+  it('logs in with the current code', async () => {
+    const response = await submit(generateTOTP(RFC_SECRET, { time: NOW }));
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.equal(users.get(String(customer._id)).twoFactor.lastUsedStep, getTimeStep(NOW));
+  });
+
+  it('refuses the same code a second time', async () => {
+    const code = generateTOTP(RFC_SECRET, { time: NOW });
+
+    assert.equal((await submit(code)).status, 200);
+
+    const replay = await submit(code);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.message, 'Invalid authentication code');
+    assert.equal(users.get(String(customer._id)).failedLoginAttempts, 1);
+  });
+
+  it('accepts the previous code to allow for clock drift', async () => {
+    const response = await submit(generateTOTP(RFC_SECRET, { time: NOW - STEP }));
+    assert.equal(response.status, 200);
+  });
+
+  it('refuses a code from outside the window', async () => {
+    const response = await submit(generateTOTP(RFC_SECRET, { time: NOW - 3 * STEP }));
+    assert.equal(response.status, 401);
+  });
+});
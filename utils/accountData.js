@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const CustomLogoRequest = require('../models/CustomLogoRequest');
+const CustomEmbroideryRequest = require('../models/CustomEmbroideryRequest');
+const CustomDesignOrder = require('../models/CustomDesignOrder');
+const Organization = require('../models/Organization');
+const Cart = require('../models/Cart');
+const ReturnRequest = require('../models/ReturnRequest');
+const { revokeUserTokens } = require('./tokenService');
+
+// Personal data export and self-service account deletion.
+// Deletion anonymizes rather than removes: orders stay for accounting, but
+// everything that identifies the customer is replaced or dropped.
+
+const REDACTED = 'REDACTED';
+
+// Order statuses that still need the customer's real contact details
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'in-progress'];
+const OPEN_DESIGN_ORDER_STATUSES = ['pending', 'design-review', 'approved', 'in-production', 'quality-check', 'shipped'];
+const OPEN_RETURN_STATUSES = ['requested', 'approved'];
+
+// Gather everything stored about a user, grouped by collection
+const collectAccountData = async (userId) => {
+  const [profile, orders, reviews, logoRequests, embroideryRequests, designOrders, returns] = await Promise.all([
+    User.findById(userId),
+    Order.find({ customer: userId }).populate('items.product', 'name category').sort({ createdAt: -1 }),
+    Review.find({ user: userId }).populate('product', 'name').sort({ createdAt: -1 }),
+    CustomLogoRequest.find({ user: userId }).sort({ createdAt: -1 }),
+    CustomEmbroideryRequest.find({ user: userId }).sort({ createdAt: -1 }),
+    CustomDesignOrder.find({ customer: userId }).sort({ createdAt: -1 }),
+    ReturnRequest.find({ customer: userId }).populate('refund', 'refundNumber amount createdAt').sort({ createdAt: -1 })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    orders,
+    reviews,
+    logoRequests,
+    embroideryRequests,
+    designOrders,
+    returns
+  };
+};
+
+// Count orders that would break if the customer's details disappeared now
+const countOpenOrders = async (userId) => {
+  const [orders, designOrders, returns] = await Promise.all([
+    Order.countDocuments({ customer: userId, status: { $in: OPEN_ORDER_STATUSES } }),
+    CustomDesignOrder.countDocuments({ customer: userId, status: { $in: OPEN_DESIGN_ORDER_STATUSES } }),
+    ReturnRequest.countDocuments({ customer: userId, status: { $in: OPEN_RETURN_STATUSES } })
+  ]);
+
+  return orders + designOrders + returns;
+};
+
+// Scrub a user's PII everywhere and deactivate the account.
+// Order totals, items, payment info and state/country (needed for tax) are kept.
+const anonymizeAccount = async (user) => {
+  const userId = user._id;
+
+  await Order.updateMany(
+    { customer: userId },
+    {
+      $set: {
+        'shippingAddress.fullName': 'Deleted User',
+        'shippingAddress.email': REDACTED,
+        'shippingAddress.phone': REDACTED,
+        'shippingAddress.street': REDACTED,
+        'shippingAddress.zipCode': REDACTED
+      },
+      $unset: {
+        'metadata.ipAddress': '',
+        'metadata.userAgent': ''
+      }
+    }
+  );
+
+  await CustomDesignOrder.updateMany(
+    { customer: userId },
+    {
+      $unset: {
+        'deliveryOptions.address.street': '',
+        'deliveryOptions.address.zipCode': ''
+      }
+    }
+  );
+
+  await CustomLogoRequest.updateMany(
+    { user: userId },
+    {
+      $set: { contactEmail: REDACTED, isActive: false },
+      $unset: { contactPhone: '' }
+    }
+  );
+
+  await CustomEmbroideryRequest.updateMany(
+    { user: userId },
+    {
+      $set: { contactEmail: REDACTED, contactPerson: 'Deleted User', isActive: false },
+      $unset: { contactPhone: '' }
+    }
+  );
+
+  await Organization.updateMany(
+    { 'members.user': userId },
+    { $pull: { members: { user: userId } } }
+  );
+
+  await Cart.deleteOne({ user: userId });
+
+  await revokeUserTokens(userId, 'account-deleted');
+
+  // Reviews stay on the product page but now show "Deleted User"
+  user.name = 'Deleted User';
+  user.email = `deleted-${userId}@deleted.invalid`;
+  user.phone = undefined;
+  user.avatar = '';
+  user.address = undefined;
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.isActive = false;
+  user.deletedAt = new Date();
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  user.twoFactor = { enabled: false };
+  user.preferences = { newsletter: false, notifications: false };
+
+  // The placeholder email intentionally fails the format validator
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
+
+module.exports = {
+  collectAccountData,
+  countOpenOrders,
+  anonymizeAccount
+};
@@ -0,0 +1,172 @@
+const { parseCsv } = require('./csv');
+
+// Normalise bank/UPI statement exports into credit entries.
+// Banks export the same data under different headings, often after a few
+// lines of account details, so the header row is located by matching known
+// column names. Supported layouts:
+//   - separate credit/debit (deposit/withdrawal) columns (HDFC, ICICI, SBI, Axis, Kotak)
+//   - a single amount column with a Cr/Dr type column (many current accounts)
+//   - UPI merchant settlement reports (PhonePe, Paytm, BharatPe)
+
+// Header names, compared ignoring case, spaces and punctuation other than "/"
+const COLUMN_ALIASES = {
+  date: ['date', 'txn date', 'transaction date', 'tran date', 'value date', 'value dt', 'posting date', 'transaction time', 'created at', 'settlement date'],
+  description: ['narration', 'description', 'particulars', 'remarks', 'transaction remarks', 'details', 'transaction details', 'payer name'],
+  reference: [
+    'chq/ref no', 'ref no/cheque no', 'chq no', 'cheque no', 'ref no', 'reference no', 'reference number', 'utr',
+    'utr no', 'utr number', 'bank reference no', 'rrn', 'upi ref no', 'upi transaction id', 'transaction id', 'bank rrn'
+  ],
+  credit: ['deposit amt', 'deposit amount', 'deposits', 'deposit', 'credit', 'credit amount', 'credit amt', 'cr amount', 'amount (cr)', 'credit(inr)'],
+  debit: ['withdrawal amt', 'withdrawal amount', 'withdrawals', 'withdrawal', 'debit', 'debit amount', 'debit amt', 'dr amount', 'amount (dr)', 'debit(inr)'],
+  amount: ['amount', 'transaction amount', 'txn amount', 'amount(inr)', 'amount (inr)', 'settled amount'],
+  type: ['cr/dr', 'dr/cr', 'type', 'transaction type', 'txn type', 'debit/credit']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9/]/g, '');
+
+// Map column roles to indexes for a header row, or null if it isn't one
+const mapColumns = (row) => {
+  const headers = row.map(normalizeHeader);
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([role, aliases]) => {
+    const names = aliases.map(normalizeHeader);
+    const index = headers.findIndex(header => names.includes(header));
+    if (index !== -1) {
+      columns[role] = index;
+    }
+  });
+
+  const hasAmount = columns.credit !== undefined || columns.amount !== undefined;
+  return columns.date !== undefined && hasAmount ? columns : null;
+};
+
+// "1,234.50", "₹1,234.50 Cr", "(500.00)" -> number (NaN when blank)
+const parseAmount = (value) => {
+  const text = String(value || '').replace(/[₹,\s]|INR|Rs\.?/gi, '').replace(/(cr|dr)$/i, '');
+  if (!text || text === '-') {
+    return NaN;
+  }
+  const negative = /^\(.*\)$/.test(text);
+  const amount = parseFloat(text.replace(/[()]/g, ''));
+  return negative ? -amount : amount;
+};
+
+// Common statement date formats: dd/mm/yyyy, dd-mm-yy, dd-MMM-yyyy, dd MMM yyyy, yyyy-mm-dd
+const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[/\-. ]([A-Za-z]{3,9}|\d{1,2})[/\-. ](\d{2,4})/);
+  if (!match) {
+    return null;
+  }
+
+  const day = +match[1];
+  const month = /\d/.test(match[2]) ? +match[2] - 1 : MONTHS.indexOf(match[2].slice(0, 3).toLowerCase());
+  const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+
+  if (month < 0 || month > 11 || day < 1 || day > 31) {
+    return null;
+  }
+  return new Date(Date.UTC(year, month, day));
+};
+
+// Transaction references in a narration, e.g. "UPI/CR/412345678901/RAVI/..."
+// UPI RRNs are 12 digits; NEFT/IMPS UTRs start with a 4-letter bank code
+const extractReferences = (...values) => {
+  const references = new Set();
+
+  values.filter(Boolean).forEach(value => {
+    const text = String(value).toUpperCase();
+    (text.match(/\b\d{12}\b/g) || []).forEach(ref => references.add(ref));
+    (text.match(/\b[A-Z]{4}[0-9A-Z]{12,18}\b/g) || [])
+      .filter(ref => /\d{6}/.test(ref))
+      .forEach(ref => references.add(ref));
+  });
+
+  // A dedicated reference column may hold any format, so keep it whole.
+  // Some banks zero-pad UPI RRNs to 16 digits.
+  const column = String(values[0] || '').toUpperCase().replace(/\s+/g, '');
+  if (column && !/^0+$/.test(column)) {
+    references.add(column);
+    if (/^\d{13,}$/.test(column)) {
+      references.add(column.replace(/^0+/, ''));
+      references.add(column.slice(-12));
+    }
+  }
+
+  return [...references];
+};
+
+// Parse statement text into { columns, entries }; entries are credits only.
+// Each entry: { row (1-based, blank lines not counted), date, amount, reference,
+// description, references }
+const parseStatement = (text) => {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(row => mapColumns(row));
+
+  if (headerIndex === -1) {
+    const error = new Error('Could not find the statement columns (date and credit/amount). Export the statement as CSV.');
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const columns = mapColumns(rows[headerIndex]);
+  const cell = (row, role) => (columns[role] !== undefined ? row[columns[role]] : undefined);
+  const entries = [];
+
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    const date = parseStatementDate(cell(row, 'date'));
+
+    // Footer lines (totals, closing balance) have no date
+    if (!date) {
+      return;
+    }
+
+    let amount;
+    if (columns.credit !== undefined) {
+      amount = parseAmount(cell(row, 'credit'));
+    } else {
+      amount = parseAmount(cell(row, 'amount'));
+      const type = String(cell(row, 'type') || '').trim().toLowerCase();
+      const rawAmount = String(cell(row, 'amount') || '').trim().toLowerCase();
+      if (type.startsWith('d') || rawAmount.endsWith('dr')) {
+        amount = -Math.abs(amount);
+      }
+    }
+
+    if (!(amount > 0)) {
+      return;
+    }
+
+    const reference = String(cell(row, 'reference') || '').trim();
+    const description = String(cell(row, 'description') || '').trim();
+
+    entries.push({
+      row: headerIndex + offset + 2,
+      date,
+      amount: Math.round(amount * 100) / 100,
+      reference,
+      description,
+      references: extractReferences(reference, description)
+    });
+  });
+
+  return {
+    columns: Object.keys(columns),
+    entries
+  };
+};
+
+module.exports = {
+  parseAmount,
+  parseStatementDate,
+  extractReferences,
+  parseStatement
+};
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const { NUMBERING } = require('../config/numbering');
+
+// Race-free document numbers backed by the counters collection.
+// Each number is reserved with a single atomic $inc, so concurrent requests
+// never receive the same sequence. A number that is reserved but never saved
+// leaves a gap; it is never handed out twice.
+
+const TIME_ZONE = 'Asia/Kolkata';
+const SEQUENCE_TOKEN = /\{SEQ(?::(\d+))?\}/;
+
+// Calendar parts of a date in Indian time
+const getLocalDate = (date) => new Date(new Date(date).toLocaleString('en-US', { timeZone: TIME_ZONE }));
+
+// Indian financial year (April-March) for a date, e.g. "2026-27"
+const getFinancialYear = (date = new Date()) => {
+  const local = getLocalDate(date);
+  const startYear = local.getMonth() >= 3 ? local.getFullYear() : local.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Replace the date tokens of a format, leaving {SEQ} in place
+const renderPeriod = (format, date) => {
+  const local = getLocalDate(date);
+  const year = String(local.getFullYear());
+
+  return format
+    .replace(/\{YYYY\}/g, year)
+    .replace(/\{YY\}/g, year.slice(-2))
+    .replace(/\{MM\}/g, String(local.getMonth() + 1).padStart(2, '0'))
+    .replace(/\{FY\}/g, getFinancialYear(date));
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highest sequence already used for a period, read from the documents themselves
+const findExistingSequence = async ({ model, field }, pattern) => {
+  if (!model || !field || !mongoose.modelNames().includes(model)) {
+    return 0;
+  }
+
+  const [prefix, suffix] = pattern.split(SEQUENCE_TOKEN.exec(pattern)[0]);
+  const matcher = new RegExp(`^${escapeRegex(prefix)}(\\d+)${escapeRegex(suffix)}$`);
+
+  const documents = await mongoose.model(model)
+    .find({ [field]: { $regex: matcher } })
+    .select(field)
+    .lean();
+
+  return documents.reduce((max, doc) => {
+    const value = field.split('.').reduce((obj, key) => obj && obj[key], doc);
+    const match = matcher.exec(value || '');
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+};
+
+// Counters already known to exist in this process
+const initializedCounters = new Set();
+
+// Create the counter on first use, starting after any numbers issued without it
+const ensureCounter = async (key, config, pattern) => {
+  if (initializedCounters.has(key)) {
+    return;
+  }
+
+  if (!(await Counter.exists({ _id: key }))) {
+    const sequence = await findExistingSequence(config, pattern);
+
+    try {
+      await Counter.updateOne({ _id: key }, { $setOnInsert: { sequence } }, { upsert: true });
+    } catch (error) {
+      // Another request created it at the same moment
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  initializedCounters.add(key);
+};
+
+// Atomically reserve the next value of a counter
+const nextSequence = async (key) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { sequence: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.sequence;
+};
+
+// Reserve the next document number of a type configured in config/numbering.js.
+// Returns { number, sequence, key }.
+const generateNumber = async (type, date = new Date()) => {
+  const config = NUMBERING[type];
+
+  if (!config) {
+    throw new Error(`Unknown numbering type: ${type}`);
+  }
+
+  if (!SEQUENCE_TOKEN.test(config.format)) {
+    throw new Error(`Number format for ${type} has no {SEQ} token`);
+  }
+
+  const pattern = renderPeriod(config.format, date);
+  const key = `${type}:${pattern.replace(SEQUENCE_TOKEN, '')}`;
+
+  await ensureCounter(key, config, pattern);
+  const sequence = await nextSequence(key);
+
+  const number = pattern.replace(SEQUENCE_TOKEN, (token, width) => String(sequence).padStart(Number(width) || 0, '0'));
+
+  return { number, sequence, key };
+};
+
+module.exports = {
+  getFinancialYear,
+  nextSequence,
+  generateNumber
+};
@@ -0,0 +1,160 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { pricingError } = require('./pricing');
+
+// Coupon validation and discount calculation for priced order lines
+// (see utils/pricing.js priceItems). Redemption is reserved atomically
+// against the global usage limit before the order is saved.
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Discount a coupon gives on the lines it applies to
+const calculateDiscount = (coupon, lines) => {
+  const eligible = lines.filter(line => coupon.appliesTo(line.product));
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.lineTotal, 0);
+
+  if (eligibleSubtotal === 0) {
+    return { discount: 0, eligibleSubtotal };
+  }
+
+  let discount = 0;
+
+  if (coupon.type === 'percentage') {
+    discount = eligibleSubtotal * coupon.value / 100;
+    if (coupon.maxDiscount) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === 'flat') {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  } else if (coupon.type === 'buy-x-get-y') {
+    // Units ranked most expensive first; in every full group of buy + get
+    // units the cheapest `get` units are free. Worked out per line, so large
+    // quantities are never expanded unit by unit.
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    const totalUnits = eligible.reduce((sum, line) => sum + line.quantity, 0);
+    const groupedUnits = Math.floor(totalUnits / groupSize) * groupSize;
+
+    // Free units among the first n ranked units
+    const freeUnitsBefore = (n) => {
+      const units = Math.min(n, groupedUnits);
+      return Math.floor(units / groupSize) * coupon.getQuantity
+        + Math.max(0, (units % groupSize) - coupon.buyQuantity);
+    };
+
+    let rank = 0;
+    [...eligible]
+      .sort((a, b) => b.unitPrice - a.unitPrice)
+      .forEach(line => {
+        discount += (freeUnitsBefore(rank + line.quantity) - freeUnitsBefore(rank)) * line.unitPrice;
+        rank += line.quantity;
+      });
+  }
+
+  return { discount: roundCurrency(discount), eligibleSubtotal };
+};
+
+// Look up a coupon and check every rule for this user and cart.
+// Returns { coupon, discount }; throws a 400 with a customer-facing message otherwise.
+const validateCoupon = async (code, user, lines, subtotal, now = new Date()) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw pricingError('Invalid coupon code');
+  }
+
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw pricingError('This coupon is not active yet');
+  }
+
+  if (coupon.endsAt && now > coupon.endsAt) {
+    throw pricingError('This coupon has expired');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw pricingError('This coupon has reached its usage limit');
+  }
+
+  if (subtotal < coupon.minOrderValue) {
+    throw pricingError(`This coupon requires a minimum order value of ₹${coupon.minOrderValue}`);
+  }
+
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: user._id });
+    if (used >= coupon.perUserLimit) {
+      throw pricingError('You have already used this coupon');
+    }
+  }
+
+  const { discount } = calculateDiscount(coupon, lines);
+
+  if (discount <= 0) {
+    throw pricingError('This coupon does not apply to the items in your order');
+  }
+
+  return { coupon, discount };
+};
+
+// Claim one use of the coupon; fails if the global limit was hit in the meantime
+const reserveCoupon = async (coupon) => {
+  const filter = { _id: coupon._id, isActive: true };
+
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const reserved = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true });
+
+  if (!reserved) {
+    throw pricingError('This coupon has reached its usage limit');
+  }
+
+  return reserved;
+};
+
+// Record the user's redemption for an order that is about to be saved.
+// Coupons with a per-user limit take one of the user's numbered slots, so two
+// concurrent checkouts can't both use the last one.
+const reserveRedemption = async (coupon, user, order, discount) => {
+  const redemption = { coupon: coupon._id, code: coupon.code, user: user._id, order: order._id, discount };
+
+  if (!coupon.perUserLimit) {
+    return CouponRedemption.create(redemption);
+  }
+
+  for (let slot = 0; slot < coupon.perUserLimit; slot++) {
+    try {
+      return await CouponRedemption.create({ ...redemption, slot });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw pricingError('You have already used this coupon');
+};
+
+// Give back a reserved use (order failed to save, or was cancelled)
+const releaseCoupon = async (couponId) => {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+// Undo the redemption recorded for an order
+const releaseOrderCoupon = async (order) => {
+  if (!order.coupon) {
+    return;
+  }
+
+  const redemption = await CouponRedemption.findOneAndDelete({ order: order._id });
+
+  if (redemption) {
+    await releaseCoupon(redemption.coupon);
+  }
+};
+
+module.exports = {
+  calculateDiscount,
+  validateCoupon,
+  reserveCoupon,
+  reserveRedemption,
+  releaseCoupon,
+  releaseOrderCoupon
+};
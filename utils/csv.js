@@ -0,0 +1,84 @@
+// Minimal delimited-text parser (RFC 4180 quoting) for imported spreadsheets.
+// Bank exports vary: comma, semicolon, tab or pipe separated, sometimes with a
+// byte order mark, so the delimiter is detected from the first lines.
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Pick the delimiter that splits the opening lines most consistently
+const detectDelimiter = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+  let best = ',';
+  let bestScore = 0;
+
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => line.split(delimiter).length - 1).filter(count => count > 0);
+    // Favour delimiters present on many lines with a common column count
+    const common = counts.length ? Math.max(...counts) : 0;
+    const score = counts.filter(count => count === common).length * common;
+
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+// Parse text into an array of rows (arrays of trimmed strings); blank lines are skipped
+const parseCsv = (input, { delimiter } = {}) => {
+  const text = String(input).replace(/^﻿/, '');
+  const separator = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field.trim());
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.some(value => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      inQuotes = true;
+      field = '';
+    } else if (char === separator) {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = {
+  detectDelimiter,
+  parseCsv
+};
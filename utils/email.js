@@ -4,7 +4,7 @@ const nodemailer = require('nodemailer');
 const createTransporter = () => {
   if (process.env.NODE_ENV === 'production') {
     // Production email configuration (e.g., SendGrid, AWS SES, etc.)
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       service: process.env.EMAIL_SERVICE || 'gmail',
       auth: {
         user: process.env.EMAIL_USER,
@@ -13,7 +13,7 @@ const createTransporter = () => {
     });
   } else {
     // Development email configuration (Ethereal for testing)
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       host: 'smtp.ethereal.email',
       port: 587,
       auth: {
@@ -119,6 +119,33 @@ const emailTemplates = {
     };
   },
   
+  // Email verification template
+  emailVerification: (name, verifyUrl, expiresIn = '24 hours') => {
+    return {
+      subject: 'Verify Your Email - Shree Graphics Design',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+            <h1 style="color: #333; margin: 0;">Verify Your Email</h1>
+          </div>
+          <div style="padding: 30px 20px;">
+            <h2 style="color: #333;">Hello ${name}!</h2>
+            <p style="color: #666; line-height: 1.6;">Thanks for signing up with Shree Graphics Design. Please confirm your email address so you can place orders and submit custom requests.</p>
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${verifyUrl}" style="background-color: #28a745; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Verify Email</a>
+            </div>
+            <p style="color: #666; line-height: 1.6;">This link will expire in ${expiresIn}. If you didn't create an account, please ignore this email.</p>
+            <p style="color: #666; line-height: 1.6; font-size: 14px;">If the button doesn't work, copy and paste this link into your browser:<br>
+            <a href="${verifyUrl}" style="color: #007bff;">${verifyUrl}</a></p>
+          </div>
+          <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 14px;">
+            <p>© 2024 Shree Graphics Design. All rights reserved.</p>
+          </div>
+        </div>
+      `
+    };
+  },
+  
   // Order confirmation email template
   orderConfirmation: (name, orderNumber, orderDetails, totalAmount) => {
     return {
@@ -187,6 +214,29 @@ const emailTemplates = {
         </div>
       `
     };
+  },
+
+  // Low stock alert for staff (see utils/inventory.js)
+  lowStockAlert: (item) => {
+    return {
+      subject: `Low stock: ${item.name} (${item.sku})`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #f8f9fa; padding: 20px; text-align: center;">
+            <h1 style="color: #333; margin: 0;">Low Stock Alert</h1>
+          </div>
+          <div style="padding: 30px 20px;">
+            <p style="color: #666; line-height: 1.6;">An inventory item has reached its reorder level.</p>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+              <p style="color: #666; margin: 5px 0;"><strong>Item:</strong> ${item.name} (${item.sku})</p>
+              <p style="color: #666; margin: 5px 0;"><strong>On Hand:</strong> ${item.quantityOnHand} ${item.unit}</p>
+              <p style="color: #666; margin: 5px 0;"><strong>Reorder Level:</strong> ${item.reorderLevel} ${item.unit}</p>
+              ${item.reorderQuantity ? `<p style="color: #666; margin: 5px 0;"><strong>Suggested Reorder:</strong> ${item.reorderQuantity} ${item.unit}</p>` : ''}
+            </div>
+          </div>
+        </div>
+      `
+    };
   }
 };
 
@@ -212,6 +262,17 @@ const sendPasswordResetEmail = async (email, name, resetToken) => {
   });
 };
 
+// Send email verification email
+const sendVerificationEmail = async (email, name, verificationToken) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+  const template = emailTemplates.emailVerification(name, verifyUrl);
+  
+  return await sendEmail({
+    email,
+    ...template
+  });
+};
+
 // Send order confirmation email
 const sendOrderConfirmationEmail = async (email, name, orderNumber, orderDetails, totalAmount) => {
   const template = emailTemplates.orderConfirmation(name, orderNumber, orderDetails, totalAmount);
@@ -232,11 +293,23 @@ const sendOrderStatusUpdateEmail = async (email, name, orderNumber, oldStatus, n
   });
 };
 
+// Send low stock alert email
+const sendLowStockAlertEmail = async (email, item) => {
+  const template = emailTemplates.lowStockAlert(item);
+
+  return await sendEmail({
+    email,
+    ...template
+  });
+};
+
 module.exports = {
   sendEmail,
   emailTemplates,
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendVerificationEmail,
   sendOrderConfirmationEmail,
-  sendOrderStatusUpdateEmail
+  sendOrderStatusUpdateEmail,
+  sendLowStockAlertEmail
 };
\ No newline at end of file
@@ -0,0 +1,321 @@
+const CustomDesignOrder = require('../models/CustomDesignOrder');
+const InventoryItem = require('../models/InventoryItem');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const { LOW_STOCK_ALERT_EMAIL } = require('../config/inventory');
+const { sendLowStockAlertEmail } = require('./email');
+
+// Inventory of blanks and raw materials. Quantities live per warehouse on
+// the item (plus a total, quantityOnHand) and only change here, each change
+// recorded as a StockMovement. Custom design orders take the materials their
+// usage rules call for when they go into production.
+
+// Errors for the client carry the HTTP status to respond with
+const inventoryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Thread and fabric are used in fractions of a unit
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+const levelAt = (item, warehouseId) => {
+  const level = (item.stock || []).find(entry => entry.warehouse.toString() === warehouseId.toString());
+  return level ? level.quantity : 0;
+};
+
+// Add (or take, when negative) units at one warehouse, atomically. Taking
+// never goes below zero: resolves to null when there isn't enough.
+const changeLevel = async (itemId, warehouseId, delta, retried = false) => {
+  const guard = delta < 0 ? { quantity: { $gte: -delta } } : {};
+
+  const item = await InventoryItem.findOneAndUpdate(
+    { _id: itemId, stock: { $elemMatch: { warehouse: warehouseId, ...guard } } },
+    { $inc: { 'stock.$.quantity': delta, quantityOnHand: delta } },
+    { new: true }
+  );
+
+  if (item || delta < 0) {
+    return item;
+  }
+
+  // First stock at this warehouse
+  const added = await InventoryItem.findOneAndUpdate(
+    { _id: itemId, 'stock.warehouse': { $ne: warehouseId } },
+    { $push: { stock: { warehouse: warehouseId, quantity: delta } }, $inc: { quantityOnHand: delta } },
+    { new: true }
+  );
+
+  // Another movement created the level in between: add to it
+  return added || (retried ? null : changeLevel(itemId, warehouseId, delta, true));
+};
+
+// Email once when an item reaches its reorder level; re-arm once restocked
+const checkReorderLevel = async (item) => {
+  if (item.reorderLevel > 0 && item.quantityOnHand <= item.reorderLevel) {
+    const claim = await InventoryItem.updateOne(
+      { _id: item._id, lowStockAlertedAt: null },
+      { $set: { lowStockAlertedAt: new Date() } }
+    );
+
+    if (claim.modifiedCount && LOW_STOCK_ALERT_EMAIL) {
+      await sendLowStockAlertEmail(LOW_STOCK_ALERT_EMAIL, item);
+    }
+  } else if (item.lowStockAlertedAt) {
+    await InventoryItem.updateOne({ _id: item._id }, { $unset: { lowStockAlertedAt: 1 } });
+  }
+};
+
+// Alerts must not fail the stock change that triggered them
+const alertIfLow = (item) => {
+  checkReorderLevel(item).catch(error => console.error('Low stock alert error:', error));
+};
+
+const getDefaultWarehouse = async () => {
+  const warehouse = await Warehouse.findOne({ isDefault: true, isActive: true });
+
+  if (!warehouse) {
+    throw inventoryError('No default warehouse is set up for inventory', 409);
+  }
+
+  return warehouse;
+};
+
+// The active warehouse with this _id, or the default one when none is given
+const resolveWarehouse = async (warehouseId) => {
+  if (!warehouseId) {
+    return getDefaultWarehouse();
+  }
+
+  const warehouse = await Warehouse.findOne({ _id: warehouseId, isActive: true }).select('_id');
+
+  if (!warehouse) {
+    throw inventoryError('Warehouse not found', 404);
+  }
+
+  return warehouse;
+};
+
+// Apply a stock change and record it. `quantity` is signed. Resolves to the
+// movement; throws 409 if it would take more than the warehouse holds.
+const recordMovement = async ({ item: itemId, warehouse: warehouseId, type, quantity, unitCost, reference, note, actor }) => {
+  const delta = roundQuantity(quantity);
+
+  if (!delta) {
+    throw inventoryError('Quantity cannot be zero');
+  }
+
+  const [item, warehouse] = await Promise.all([
+    InventoryItem.findById(itemId).select('sku name'),
+    Warehouse.findOne({ _id: warehouseId, isActive: true }).select('_id')
+  ]);
+
+  if (!item) {
+    throw inventoryError('Inventory item not found', 404);
+  }
+  if (!warehouse) {
+    throw inventoryError('Warehouse not found', 404);
+  }
+
+  const updated = await changeLevel(item._id, warehouse._id, delta);
+
+  if (!updated) {
+    throw inventoryError(`Not enough stock of ${item.name} (${item.sku}) at this warehouse`, 409);
+  }
+
+  let movement;
+  try {
+    movement = await StockMovement.create({
+      item: item._id,
+      warehouse: warehouse._id,
+      type,
+      quantity: delta,
+      balanceAfter: levelAt(updated, warehouse._id),
+      unitCost,
+      reference,
+      note,
+      createdBy: actor
+    });
+  } catch (error) {
+    await changeLevel(item._id, warehouse._id, -delta);
+    throw error;
+  }
+
+  // What we last paid is what reorders are costed at
+  if (type === 'purchase' && unitCost !== undefined) {
+    await InventoryItem.updateOne({ _id: item._id }, { $set: { unitCost } });
+  }
+
+  alertIfLow(updated);
+
+  return movement;
+};
+
+// Case-insensitive match of an optional rule value against an order value
+const matchesText = (expected, actual) => !expected
+  || (!!actual && expected.trim().toLowerCase() === String(actual).trim().toLowerCase());
+
+const usageMatches = (rule, order) => {
+  const productId = order.product._id || order.product;
+  const options = order.productOptions || {};
+
+  return (!rule.product || rule.product.equals(productId))
+    && matchesText(rule.productCategory, order.productCategory)
+    && matchesText(rule.productSubcategory, order.productSubcategory)
+    && (!rule.designTypes || rule.designTypes.length === 0 || rule.designTypes.includes(order.designType))
+    && ['color', 'size', 'material', 'style'].every(option => matchesText(rule[option], options[option]));
+};
+
+// The materials a custom design order uses: [{ item, quantity }]. Of an
+// item's usage rules, the first that matches the order applies.
+const getDesignOrderMaterials = async (order) => {
+  const items = await InventoryItem.find({
+    isActive: true,
+    'usage.0': { $exists: true },
+    $or: [{ 'usage.product': order.product._id || order.product }, { 'usage.product': null }]
+  });
+
+  return items
+    .map(item => {
+      const rule = item.usage.find(entry => usageMatches(entry, order));
+      return rule && { item, quantity: roundQuantity(rule.quantityPerUnit * order.quantity) };
+    })
+    .filter(Boolean);
+};
+
+const designOrderReference = (order) => ({
+  kind: 'CustomDesignOrder',
+  id: order._id,
+  number: order.orderNumber
+});
+
+// Take the materials a custom design order needs as it goes into production.
+// Only happens once per order (not again when it comes back from quality
+// check). Nothing is taken if anything is short: throws 409 with `shortages`.
+// Resolves to the materials taken, also stored on order.production.materials.
+const consumeDesignOrderMaterials = async (order, { warehouse, actor } = {}) => {
+  if (order.production && order.production.materialsConsumedAt) {
+    return [];
+  }
+
+  const materials = await getDesignOrderMaterials(order);
+
+  if (materials.length === 0) {
+    return [];
+  }
+
+  const warehouseId = (await resolveWarehouse(warehouse))._id;
+  const consumedAt = new Date();
+  const consumed = materials.map(({ item, quantity }) => ({
+    item: item._id,
+    sku: item.sku,
+    name: item.name,
+    warehouse: warehouseId,
+    quantity
+  }));
+
+  // Claim the order, so concurrent status changes don't both take materials
+  const claim = await CustomDesignOrder.updateOne(
+    { _id: order._id, 'production.materialsConsumedAt': null },
+    { $set: { 'production.materialsConsumedAt': consumedAt, 'production.materials': consumed } }
+  );
+
+  if (!claim.modifiedCount) {
+    return [];
+  }
+
+  const taken = [];
+  const shortages = [];
+
+  for (const { item, quantity } of materials) {
+    const updated = await changeLevel(item._id, warehouseId, -quantity);
+
+    if (updated) {
+      taken.push({ item: updated, quantity });
+    } else {
+      shortages.push({
+        item: item._id,
+        sku: item.sku,
+        name: item.name,
+        required: quantity,
+        available: levelAt(item, warehouseId)
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    await Promise.all(taken.map(({ item, quantity }) => changeLevel(item._id, warehouseId, quantity)));
+    await CustomDesignOrder.updateOne(
+      { _id: order._id },
+      { $unset: { 'production.materialsConsumedAt': 1, 'production.materials': 1 } }
+    );
+
+    const error = inventoryError(
+      `Not enough stock to start production: ${shortages.map(entry => entry.name).join(', ')}`,
+      409
+    );
+    error.shortages = shortages;
+    throw error;
+  }
+
+  await StockMovement.insertMany(taken.map(({ item, quantity }) => ({
+    item: item._id,
+    warehouse: warehouseId,
+    type: 'consumption',
+    quantity: -quantity,
+    balanceAfter: levelAt(item, warehouseId),
+    reference: designOrderReference(order),
+    note: `Production of ${order.orderNumber}`,
+    createdBy: actor
+  })));
+
+  taken.forEach(({ item }) => alertIfLow(item));
+
+  order.production.materialsConsumedAt = consumedAt;
+  order.production.materials = consumed;
+
+  return consumed;
+};
+
+// Put back what consumeDesignOrderMaterials took (e.g. the status change then
+// failed to save). Safe to call more than once.
+const returnDesignOrderMaterials = async (order, { actor, note } = {}) => {
+  const previous = await CustomDesignOrder.findOneAndUpdate(
+    { _id: order._id, 'production.materialsConsumedAt': { $ne: null } },
+    { $unset: { 'production.materialsConsumedAt': 1, 'production.materials': 1 } }
+  ).select('production.materials');
+
+  if (!previous) {
+    return;
+  }
+
+  for (const material of previous.production.materials) {
+    const updated = await changeLevel(material.item, material.warehouse, material.quantity);
+
+    if (updated) {
+      await StockMovement.create({
+        item: material.item,
+        warehouse: material.warehouse,
+        type: 'consumption',
+        quantity: material.quantity,
+        balanceAfter: levelAt(updated, material.warehouse),
+        reference: designOrderReference(order),
+        note: note || `Returned from ${order.orderNumber}`,
+        createdBy: actor
+      });
+      alertIfLow(updated);
+    }
+  }
+};
+
+module.exports = {
+  inventoryError,
+  getDefaultWarehouse,
+  resolveWarehouse,
+  recordMovement,
+  checkReorderLevel,
+  getDesignOrderMaterials,
+  consumeDesignOrderMaterials,
+  returnDesignOrderMaterials
+};
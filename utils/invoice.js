@@ -0,0 +1,490 @@
+const Order = require('../models/Order');
+const company = require('../config/company');
+const { getStateCode } = require('./tax');
+const { generateNumber, getFinancialYear } = require('./counters');
+const { PdfDocument, wrapText } = require('./pdf');
+
+// GST tax invoices and packing slips for orders, rendered with utils/pdf.js.
+
+const MARGIN = 40;
+const GREY = [110, 110, 110];
+const HEADER_FILL = [235, 235, 235];
+const TIME_ZONE = 'Asia/Kolkata';
+
+// -------------------------
+// FORMATTING HELPERS
+// -------------------------
+const formatMoney = (amount) => {
+  return Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-IN', {
+    timeZone: TIME_ZONE,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  });
+};
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitWords = (n) => {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+};
+
+const threeDigitWords = (n) => {
+  const hundreds = Math.floor(n / 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', twoDigitWords(n % 100)].filter(Boolean).join(' ');
+};
+
+// Whole number in words using the Indian system (thousand, lakh, crore)
+const numberToWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor(n / 100000) % 100;
+  const thousand = Math.floor(n / 1000) % 100;
+  const rest = n % 1000;
+
+  return [
+    crore ? `${numberToWords(crore)} Crore` : '',
+    lakh ? `${twoDigitWords(lakh)} Lakh` : '',
+    thousand ? `${twoDigitWords(thousand)} Thousand` : '',
+    threeDigitWords(rest)
+  ].filter(Boolean).join(' ');
+};
+
+// "Rupees One Thousand Two Hundred and Fifty Paise Only"
+const amountInWords = (amount) => {
+  const totalPaise = Math.round(Number(amount || 0) * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  const words = `Rupees ${numberToWords(rupees)}`;
+  return paise ? `${words} and ${twoDigitWords(paise)} Paise Only` : `${words} Only`;
+};
+
+// -------------------------
+// INVOICE NUMBERS
+// -------------------------
+
+// Give the order the next invoice number (format in config/numbering.js,
+// INV/2026-27/0001 by default). An order keeps its number once issued.
+const assignInvoiceNumber = async (order, issuedAt = new Date()) => {
+  if (order.invoice && order.invoice.number) {
+    return order.invoice;
+  }
+
+  const { number, sequence } = await generateNumber('invoice', issuedAt);
+  const invoice = {
+    number,
+    financialYear: getFinancialYear(issuedAt),
+    sequence,
+    issuedAt
+  };
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'invoice.number': { $exists: false } },
+    { $set: { invoice } },
+    { new: true }
+  );
+
+  // Someone else numbered this order first; the number reserved here is left unused
+  const result = updated ? updated.invoice : (await Order.findById(order._id).select('invoice')).invoice;
+  order.invoice = result;
+  return result;
+};
+
+// -------------------------
+// SHARED LAYOUT
+// -------------------------
+
+// Tracks the vertical cursor and starts a new page when content won't fit
+const createLayout = (doc) => {
+  const layout = {
+    doc,
+    y: MARGIN,
+    contentWidth: doc.width - MARGIN * 2,
+    ensureSpace(height, onNewPage) {
+      if (layout.y + height > doc.height - MARGIN) {
+        doc.addPage();
+        layout.y = MARGIN;
+        if (onNewPage) onNewPage();
+      }
+    }
+  };
+  return layout;
+};
+
+// Company block on the left, document title on the right
+const drawCompanyHeader = (layout, title) => {
+  const { doc } = layout;
+  const top = layout.y;
+
+  doc.text(company.name, MARGIN, top, { size: 18, font: 'bold' });
+  doc.text(title, MARGIN, top + 2, { size: 14, font: 'bold', align: 'right', width: layout.contentWidth });
+
+  let y = top + 24;
+  if (company.address) {
+    y += doc.paragraph(company.address, MARGIN, y, 260, { size: 9, color: GREY });
+  }
+
+  const contact = [company.phone, company.email, company.website].filter(Boolean).join(' | ');
+  if (contact) {
+    doc.text(contact, MARGIN, y, { size: 9, color: GREY });
+    y += 12;
+  }
+
+  if (company.gstin) {
+    doc.text(`GSTIN: ${company.gstin}`, MARGIN, y, { size: 9, font: 'bold' });
+    y += 12;
+  }
+
+  return y;
+};
+
+// Label/value pairs right-aligned in the header
+const drawDetails = (layout, top, rows) => {
+  const { doc } = layout;
+  const x = MARGIN + layout.contentWidth - 220;
+  let y = top;
+
+  rows.forEach(([label, value]) => {
+    doc.text(label, x, y, { size: 9, font: 'bold' });
+    doc.text(value || '-', x + 90, y, { size: 9, align: 'right', width: 130 });
+    y += 13;
+  });
+
+  return y;
+};
+
+const addressLines = (address) => {
+  return [
+    address.fullName,
+    address.street,
+    [address.city, address.zipCode].filter(Boolean).join(' - '),
+    [address.state, address.country].filter(Boolean).join(', '),
+    address.phone ? `Phone: ${address.phone}` : '',
+    address.email ? `Email: ${address.email}` : ''
+  ].filter(Boolean);
+};
+
+const drawAddressBlock = (layout, x, y, title, lines) => {
+  const { doc } = layout;
+
+  doc.text(title, x, y, { size: 9, font: 'bold', color: GREY });
+  let cursor = y + 13;
+
+  lines.forEach((line, index) => {
+    cursor += doc.paragraph(line, x, cursor, 240, { size: 9, font: index === 0 ? 'bold' : 'regular' });
+  });
+
+  return cursor;
+};
+
+// Table header row; columns are [{ label, width, align }]
+const drawTableHeader = (layout, columns) => {
+  const { doc } = layout;
+  let x = MARGIN;
+
+  doc.rect(MARGIN, layout.y, layout.contentWidth, 18, { fill: HEADER_FILL });
+
+  columns.forEach(column => {
+    doc.text(column.label, x + 3, layout.y + 5, { size: 8, font: 'bold', align: column.align || 'left', width: column.width - 6 });
+    x += column.width;
+  });
+
+  layout.y += 18;
+};
+
+// Table body row; cells are strings or arrays of lines (extra lines print smaller and grey)
+const drawTableRow = (layout, columns, cells) => {
+  const { doc } = layout;
+  const wrapped = cells.map((cell, index) => {
+    const [main, ...extra] = Array.isArray(cell) ? cell : [cell];
+    const width = columns[index].width - 6;
+    return {
+      main: wrapText(String(main ?? ''), width, 9),
+      extra: extra.filter(Boolean).flatMap(line => wrapText(line, width, 7.5))
+    };
+  });
+
+  const height = Math.max(...wrapped.map(cell => cell.main.length * 11 + cell.extra.length * 9)) + 8;
+
+  layout.ensureSpace(height, () => drawTableHeader(layout, columns));
+
+  let x = MARGIN;
+  wrapped.forEach((cell, index) => {
+    const column = columns[index];
+    let y = layout.y + 4;
+
+    cell.main.forEach(line => {
+      doc.text(line, x + 3, y, { size: 9, align: column.align || 'left', width: column.width - 6 });
+      y += 11;
+    });
+    cell.extra.forEach(line => {
+      doc.text(line, x + 3, y, { size: 7.5, color: GREY, align: column.align || 'left', width: column.width - 6 });
+      y += 9;
+    });
+
+    x += column.width;
+  });
+
+  layout.y += height;
+  doc.line(MARGIN, layout.y, MARGIN + layout.contentWidth, layout.y, { color: [200, 200, 200] });
+};
+
+const itemName = (item) => (item.product && item.product.name) || 'Product';
+
+const customizationSummary = (item) => {
+  return (item.customizations || [])
+    .map(entry => `${entry.optionName}: ${entry.selectedValue}`)
+    .join(', ');
+};
+
+// -------------------------
+// TAX INVOICE
+// -------------------------
+const renderInvoice = (order, { organization } = {}) => {
+  const doc = new PdfDocument({
+    info: { Title: `Tax Invoice ${order.invoice.number}`, Author: company.name, Creator: company.name }
+  });
+  const layout = createLayout(doc);
+  const breakdown = order.pricing.taxBreakdown || {};
+  const address = order.shippingAddress || {};
+  const stateCode = breakdown.placeOfSupply || getStateCode(address.state);
+
+  // Header
+  const headerBottom = drawCompanyHeader(layout, 'TAX INVOICE');
+  const detailsBottom = drawDetails(layout, layout.y + 24, [
+    ['Invoice No.', order.invoice.number],
+    ['Invoice Date', formatDate(order.invoice.issuedAt)],
+    ['Order No.', order.orderNumber],
+    ['Order Date', formatDate(order.createdAt)],
+    ['Place of Supply', [address.state, stateCode ? `(${stateCode})` : ''].filter(Boolean).join(' ')]
+  ]);
+
+  layout.y = Math.max(headerBottom, detailsBottom) + 8;
+  doc.line(MARGIN, layout.y, MARGIN + layout.contentWidth, layout.y);
+  layout.y += 10;
+
+  // Buyer and payment
+  const buyerLines = addressLines(address);
+  if (organization) {
+    buyerLines.splice(1, 0, organization.name);
+    if (organization.gstin) buyerLines.push(`GSTIN: ${organization.gstin}`);
+  }
+
+  const payment = order.paymentInfo || {};
+  const billBottom = drawAddressBlock(layout, MARGIN, layout.y, 'BILLED & SHIPPED TO', buyerLines);
+  const paymentBottom = drawAddressBlock(layout, MARGIN + layout.contentWidth - 220, layout.y, 'PAYMENT', [
+    String(payment.method || '').toUpperCase() || '-',
+    `Status: ${payment.paymentStatus || 'pending'}`,
+    payment.manualTransactionId ? `Ref: ${payment.manualTransactionId}` : '',
+    payment.paidAt ? `Paid on ${formatDate(payment.paidAt)}` : ''
+  ].filter(Boolean));
+
+  layout.y = Math.max(billBottom, paymentBottom) + 12;
+
+  // Line items
+  const interState = !!breakdown.isInterState;
+  const columns = [
+    { label: '#', width: 20 },
+    { label: 'Item', width: 150 },
+    { label: 'HSN/SAC', width: 50 },
+    { label: 'Qty', width: 30, align: 'right' },
+    { label: 'Rate', width: 60, align: 'right' },
+    { label: 'Discount', width: 50, align: 'right' },
+    { label: 'Taxable', width: 60, align: 'right' },
+    { label: 'GST', width: 35, align: 'right' },
+    { label: interState ? 'IGST' : 'CGST+SGST', width: layout.contentWidth - 455, align: 'right' }
+  ];
+
+  drawTableHeader(layout, columns);
+
+  order.items.forEach((item, index) => {
+    const tax = item.tax || {};
+    const lineTotal = item.price * item.quantity;
+
+    drawTableRow(layout, columns, [
+      String(index + 1),
+      [itemName(item), `${item.packageType} package`, customizationSummary(item)],
+      tax.hsnCode || '-',
+      String(item.quantity),
+      formatMoney(item.price),
+      formatMoney(tax.discount || 0),
+      formatMoney(tax.taxableValue ?? lineTotal),
+      tax.rate !== undefined ? `${tax.rate}%` : '-',
+      formatMoney(tax.totalTax || 0)
+    ]);
+  });
+
+  // Totals
+  const totals = [
+    ['Subtotal', formatMoney(order.pricing.subtotal)]
+  ];
+  if (order.pricing.discount) {
+    totals.push([`Discount${order.couponCode ? ` (${order.couponCode})` : ''}`, `- ${formatMoney(order.pricing.discount)}`]);
+  }
+  if (breakdown.taxableValue !== undefined) {
+    totals.push(['Taxable Value', formatMoney(breakdown.taxableValue)]);
+  }
+  if (interState) {
+    totals.push(['IGST', formatMoney(breakdown.igst)]);
+  } else if (breakdown.taxableValue !== undefined) {
+    totals.push(['CGST', formatMoney(breakdown.cgst)], ['SGST', formatMoney(breakdown.sgst)]);
+  } else {
+    totals.push(['Tax', formatMoney(order.pricing.tax)]);
+  }
+  if (order.pricing.shipping) {
+    totals.push(['Shipping', formatMoney(order.pricing.shipping)]);
+  }
+
+  layout.ensureSpace(totals.length * 14 + 60);
+  layout.y += 8;
+
+  const totalsX = MARGIN + layout.contentWidth - 220;
+  totals.forEach(([label, value]) => {
+    doc.text(label, totalsX, layout.y, { size: 9 });
+    doc.text(value, totalsX + 100, layout.y, { size: 9, align: 'right', width: 120 });
+    layout.y += 14;
+  });
+
+  doc.line(totalsX, layout.y, totalsX + 220, layout.y);
+  layout.y += 5;
+  doc.text('Grand Total (Rs.)', totalsX, layout.y, { size: 11, font: 'bold' });
+  doc.text(formatMoney(order.pricing.total), totalsX + 100, layout.y, { size: 11, font: 'bold', align: 'right', width: 120 });
+  layout.y += 20;
+
+  if (breakdown.pricesIncludeTax) {
+    doc.text('Prices are inclusive of GST.', totalsX, layout.y, { size: 8, color: GREY });
+    layout.y += 12;
+  }
+
+  layout.ensureSpace(30);
+  doc.text('Amount in words:', MARGIN, layout.y, { size: 9, font: 'bold' });
+  layout.y += 12;
+  layout.y += doc.paragraph(amountInWords(order.pricing.total), MARGIN, layout.y, layout.contentWidth, { size: 9 });
+  layout.y += 10;
+
+  // HSN-wise tax summary
+  const summary = new Map();
+  order.items.forEach(item => {
+    if (!item.tax || item.tax.rate === undefined) return;
+    const key = `${item.tax.hsnCode}|${item.tax.rate}`;
+    const row = summary.get(key) || { hsnCode: item.tax.hsnCode, rate: item.tax.rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+    ['taxableValue', 'cgst', 'sgst', 'igst', 'totalTax'].forEach(field => {
+      row[field] += item.tax[field] || 0;
+    });
+    summary.set(key, row);
+  });
+
+  if (summary.size > 0) {
+    const summaryColumns = [
+      { label: 'HSN/SAC', width: 90 },
+      { label: 'Rate', width: 55, align: 'right' },
+      { label: 'Taxable Value', width: 90, align: 'right' },
+      { label: 'CGST', width: 70, align: 'right' },
+      { label: 'SGST', width: 70, align: 'right' },
+      { label: 'IGST', width: 70, align: 'right' },
+      { label: 'Total Tax', width: layout.contentWidth - 445, align: 'right' }
+    ];
+
+    layout.ensureSpace(50);
+    drawTableHeader(layout, summaryColumns);
+    summary.forEach(row => {
+      drawTableRow(layout, summaryColumns, [
+        row.hsnCode || '-',
+        `${row.rate}%`,
+        formatMoney(row.taxableValue),
+        formatMoney(row.cgst),
+        formatMoney(row.sgst),
+        formatMoney(row.igst),
+        formatMoney(row.totalTax)
+      ]);
+    });
+  }
+
+  // Signature and footer
+  layout.ensureSpace(70);
+  layout.y += 20;
+  doc.text(`For ${company.name}`, MARGIN, layout.y, { size: 9, font: 'bold', align: 'right', width: layout.contentWidth });
+  layout.y += 36;
+  doc.text('Authorised Signatory', MARGIN, layout.y, { size: 9, align: 'right', width: layout.contentWidth });
+  layout.y += 20;
+  doc.text('This is a computer-generated invoice and does not require a physical signature.', MARGIN, layout.y, {
+    size: 8,
+    color: GREY,
+    align: 'center',
+    width: layout.contentWidth
+  });
+
+  return doc.toBuffer();
+};
+
+// -------------------------
+// PACKING SLIP
+// -------------------------
+const renderPackingSlip = (order) => {
+  const doc = new PdfDocument({
+    info: { Title: `Packing Slip ${order.orderNumber}`, Author: company.name, Creator: company.name }
+  });
+  const layout = createLayout(doc);
+
+  const headerBottom = drawCompanyHeader(layout, 'PACKING SLIP');
+  const detailsBottom = drawDetails(layout, layout.y + 24, [
+    ['Order No.', order.orderNumber],
+    ['Order Date', formatDate(order.createdAt)],
+    ['Printed', formatDate(new Date())],
+    ['Items', String(order.items.reduce((sum, item) => sum + item.quantity, 0))]
+  ]);
+
+  layout.y = Math.max(headerBottom, detailsBottom) + 8;
+  doc.line(MARGIN, layout.y, MARGIN + layout.contentWidth, layout.y);
+  layout.y += 10;
+
+  layout.y = drawAddressBlock(layout, MARGIN, layout.y, 'SHIP TO', addressLines(order.shippingAddress || {})) + 12;
+
+  const columns = [
+    { label: '#', width: 25 },
+    { label: 'Item', width: 200 },
+    { label: 'Package', width: 70 },
+    { label: 'Details', width: layout.contentWidth - 355 },
+    { label: 'Qty', width: 30, align: 'right' },
+    { label: 'Packed', width: 30, align: 'center' }
+  ];
+
+  drawTableHeader(layout, columns);
+
+  order.items.forEach((item, index) => {
+    drawTableRow(layout, columns, [
+      String(index + 1),
+      itemName(item),
+      item.packageType,
+      [customizationSummary(item) || '-', item.requirements],
+      String(item.quantity),
+      '[  ]'
+    ]);
+  });
+
+  layout.ensureSpace(40);
+  layout.y += 20;
+  doc.text('Packed by: ____________________        Checked by: ____________________', MARGIN, layout.y, { size: 9 });
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  formatMoney,
+  getFinancialYear,
+  amountInWords,
+  assignInvoiceNumber,
+  renderInvoice,
+  renderPackingSlip
+};
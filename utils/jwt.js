@@ -10,13 +10,13 @@ const generateToken = (payload, expiresIn = '7d') => {
 };
 
 // Generate access token (short-lived)
-const generateAccessToken = (userId) => {
-  return generateToken({ userId }, process.env.JWT_ACCESS_EXPIRE || '15m');
+const generateAccessToken = (userId, claims = {}) => {
+  return generateToken({ ...claims, userId, type: 'access' }, process.env.JWT_ACCESS_EXPIRE || '15m');
 };
 
 // Generate refresh token (long-lived)
-const generateRefreshToken = (userId) => {
-  return generateToken({ userId, type: 'refresh' }, process.env.JWT_REFRESH_EXPIRE || '7d');
+const generateRefreshToken = (userId, claims = {}) => {
+  return generateToken({ ...claims, userId, type: 'refresh' }, process.env.JWT_REFRESH_EXPIRE || '7d');
 };
 
 // Verify JWT token
@@ -31,15 +31,51 @@ const verifyToken = (token) => {
   }
 };
 
+// Verify an access token (rejects refresh tokens)
+const verifyAccessToken = (token) => {
+  const decoded = verifyToken(token);
+  
+  if (decoded.type !== 'access') {
+    throw new Error('Invalid token');
+  }
+  
+  return decoded;
+};
+
+// Generate a short-lived access token that lets staff view the app as a customer.
+// It has no refresh token and carries the impersonator so every request can be audited.
+const generateImpersonationToken = (userId, impersonatorId, claims = {}) => {
+  return generateToken(
+    { ...claims, userId, impersonatorId, type: 'access' },
+    process.env.IMPERSONATION_EXPIRE || '15m'
+  );
+};
+
+// Generate the short-lived token that links both steps of a two-factor login
+const generateTwoFactorToken = (userId) => {
+  return generateToken({ userId, type: '2fa-challenge' }, '5m');
+};
+
+// Verify a two-factor login token
+const verifyTwoFactorToken = (token) => {
+  const decoded = verifyToken(token);
+  
+  if (decoded.type !== '2fa-challenge') {
+    throw new Error('Invalid token');
+  }
+  
+  return decoded;
+};
+
 // Decode JWT token without verification (for debugging)
 const decodeToken = (token) => {
   return jwt.decode(token);
 };
 
 // Generate token pair (access + refresh)
-const generateTokenPair = (userId) => {
-  const accessToken = generateAccessToken(userId);
-  const refreshToken = generateRefreshToken(userId);
+const generateTokenPair = (userId, accessClaims = {}, refreshClaims = {}) => {
+  const accessToken = generateAccessToken(userId, accessClaims);
+  const refreshToken = generateRefreshToken(userId, refreshClaims);
   
   return {
     accessToken,
@@ -113,6 +149,10 @@ module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyToken,
+  verifyAccessToken,
+  generateImpersonationToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
   decodeToken,
   generateTokenPair,
   extractTokenFromHeader,
@@ -0,0 +1,250 @@
+const Order = require('../models/Order');
+const Organization = require('../models/Organization');
+const { MAX_LINE_QUANTITY, priceItems, checkMinimumQuantities, pricingError } = require('./pricing');
+const { validateCoupon, reserveCoupon, reserveRedemption, releaseCoupon } = require('./coupons');
+const { calculateGST } = require('./tax');
+const { reserveStock, releaseReservedStock } = require('./stock');
+const { normalizeTransactionId } = require('./reconciliation');
+const { quoteShipping } = require('./shipping');
+
+// Builds and saves an Order from a checkout payload. Shared by
+// POST /api/orders (items sent by the browser) and cart checkout.
+// Errors meant for the client carry a statusCode.
+
+const orderError = pricingError;
+
+// Payment statuses a customer may submit with an order
+const CUSTOMER_PAYMENT_STATUSES = ['pending', 'processing'];
+
+// Resolve the organization an order is placed for, and its shared address if picked
+const resolveOrganization = async (user, organizationId, organizationAddressId) => {
+  const organization = await Organization.findOne({ _id: organizationId, isActive: true });
+
+  if (!organization || !organization.hasRole(user._id)) {
+    throw orderError('You are not a member of this organization', 403);
+  }
+
+  if (!organizationAddressId) {
+    return { organization, shippingAddress: null };
+  }
+
+  const address = organization.addresses.id(organizationAddressId);
+
+  if (!address) {
+    throw orderError('Organization address not found');
+  }
+
+  return {
+    organization,
+    shippingAddress: {
+      fullName: address.fullName,
+      email: address.email || user.email,
+      phone: address.phone,
+      address: address.street,
+      city: address.city,
+      state: address.state,
+      pincode: address.zipCode,
+      country: address.country
+    }
+  };
+};
+
+// Whole number of units on an order line (1 when left out), or null if invalid
+const parseQuantity = (quantity) => {
+  if (quantity === undefined || quantity === null) {
+    return 1;
+  }
+
+  const value = typeof quantity === 'string' && quantity.trim() !== '' ? Number(quantity) : quantity;
+
+  return Number.isInteger(value) && value >= 1 && value <= MAX_LINE_QUANTITY ? value : null;
+};
+
+// Create an order for `user`. `body` uses the checkout form shape:
+// { items, shippingAddress, paymentMethod, manualTransactionId, paymentStatus,
+//   paymentScreenshot, organization, organizationAddressId, couponCode }
+const createOrder = async (user, body, req) => {
+  const {
+    items,
+    paymentMethod,
+    manualTransactionId,
+    paymentStatus,
+    paymentScreenshot,
+    organization: organizationId,
+    organizationAddressId,
+    couponCode
+  } = body;
+  let { shippingAddress } = body;
+
+  // -------------------------
+  // ORGANIZATION (optional)
+  // -------------------------
+  let organization = null;
+
+  if (organizationId) {
+    const resolved = await resolveOrganization(user, organizationId, organizationAddressId);
+    organization = resolved.organization;
+    shippingAddress = resolved.shippingAddress || shippingAddress;
+  }
+
+  // -------------------------
+  // VALIDATION
+  // -------------------------
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw orderError('Order must contain at least one item');
+  }
+
+  const quantities = items.map(item => parseQuantity(item && item.quantity));
+
+  if (quantities.includes(null)) {
+    throw orderError(`Quantity must be between 1 and ${MAX_LINE_QUANTITY}`);
+  }
+
+  if (!shippingAddress || !shippingAddress.fullName) {
+    throw orderError('Full name is required');
+  }
+
+  if (!shippingAddress.email) {
+    throw orderError('Valid email is required');
+  }
+
+  if (!shippingAddress.phone) {
+    throw orderError('Valid phone number is required');
+  }
+
+  // -------------------------
+  // BUILD ORDER ITEMS (live prices)
+  // -------------------------
+  const { lines, subtotal } = await priceItems(items.map((item, index) => ({
+    product: item.product,
+    variant: item.variant || item.sku,
+    packageType: item.tier || item.packageType || 'base',
+    quantity: quantities[index],
+    customizations: item.customizations || item.customization,
+    requirements: item.requirements
+  })));
+
+  checkMinimumQuantities(lines);
+
+  // -------------------------
+  // COUPON (optional)
+  // -------------------------
+  let coupon = null;
+  let discount = 0;
+
+  if (couponCode) {
+    ({ coupon, discount } = await validateCoupon(couponCode, user, lines, subtotal));
+  }
+
+  // -------------------------
+  // GST
+  // -------------------------
+  const gst = calculateGST(lines, { discount, shippingState: shippingAddress.state });
+
+  // -------------------------
+  // SHIPPING (charged on top of the GST-inclusive total)
+  // -------------------------
+  const shipping = await quoteShipping(
+    shippingAddress.pincode,
+    lines.map(line => ({ product: line.product._id, quantity: line.quantity }))
+  );
+
+  const orderItems = lines.map((line, index) => ({
+    product: line.product._id,
+    variant: line.variant ? line.variant._id : undefined,
+    sku: line.variant ? line.variant.sku : undefined,
+    variantAttributes: line.variant ? line.variant.attributes : undefined,
+    packageType: line.packageType,
+    quantity: line.quantity,
+    price: line.unitPrice,
+    quantityBreak: line.quantityBreak || undefined,
+    customizations: line.customizations,
+    requirements: line.requirements,
+    tax: gst.lines[index]
+  }));
+
+  // -------------------------
+  // CREATE ORDER DOCUMENT
+  // -------------------------
+  const order = new Order({
+    customer: user._id,
+    organization: organization ? organization._id : undefined,
+    items: orderItems,
+    pricing: {
+      subtotal,
+      tax: gst.summary.totalTax,
+      discount,
+      shipping: shipping.cost,
+      total: Math.round((gst.summary.total + shipping.cost) * 100) / 100,
+      taxBreakdown: {
+        taxableValue: gst.summary.taxableValue,
+        cgst: gst.summary.cgst,
+        sgst: gst.summary.sgst,
+        igst: gst.summary.igst,
+        isInterState: gst.summary.isInterState,
+        pricesIncludeTax: gst.summary.pricesIncludeTax,
+        placeOfSupply: gst.summary.placeOfSupply
+      }
+    },
+    coupon: coupon ? coupon._id : undefined,
+    couponCode: coupon ? coupon.code : undefined,
+    shippingAddress: {
+      fullName: shippingAddress.fullName,
+      email: shippingAddress.email,
+      phone: shippingAddress.phone,
+      street: shippingAddress.address,
+      city: shippingAddress.city,
+      state: shippingAddress.state,
+      zipCode: shippingAddress.pincode,
+      country: shippingAddress.country || 'India'
+    },
+    // Online payments start pending and are settled by the gateway (utils/payments)
+    paymentInfo: paymentMethod === 'online' ? {
+      method: paymentMethod,
+      paymentStatus: 'pending'
+    } : {
+      method: paymentMethod,
+      manualTransactionId: manualTransactionId ? normalizeTransactionId(manualTransactionId) : null,
+      paymentScreenshot: paymentScreenshot || null,
+      // Customers can only say they've paid; staff or reconciliation confirm it
+      paymentStatus: CUSTOMER_PAYMENT_STATUSES.includes(paymentStatus) ? paymentStatus : 'pending'
+    },
+    status: 'pending',
+    metadata: req ? {
+      source: 'website',
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    } : undefined
+  });
+
+  // Claim stock and the coupon (the user's redemption, then one global use)
+  // before saving so none of them can be oversold
+  const reserved = await reserveStock(lines);
+  order.items.forEach((item, index) => {
+    if (reserved[index]) item.stockReserved = reserved[index];
+  });
+
+  let redemption = null;
+  let couponReserved = false;
+
+  try {
+    if (coupon) {
+      redemption = await reserveRedemption(coupon, user, order, discount);
+      await reserveCoupon(coupon);
+      couponReserved = true;
+    }
+
+    await order.save();
+  } catch (error) {
+    await releaseReservedStock(lines, reserved);
+    if (redemption) await redemption.deleteOne();
+    if (couponReserved) await releaseCoupon(coupon._id);
+    throw error;
+  }
+
+  return order;
+};
+
+module.exports = {
+  createOrder
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Helpers shared by the gateway providers in this folder.
+
+// Errors meant for the client carry a statusCode, as in utils/pricing.js.
+// Gateway failures default to 502 Bad Gateway.
+const paymentError = (message, statusCode = 502) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Gateways take amounts in paise
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const fromPaise = (paise) => Math.round(Number(paise)) / 100;
+
+const hmacHex = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Constant-time comparison of two signature strings
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// JSON request to a gateway API; non-2xx responses become 502 payment errors
+const requestJson = async (label, url, { method = 'GET', headers = {}, body } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  } catch (error) {
+    throw paymentError(`${label} could not be reached: ${error.message}`);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = (data.error && data.error.description) || data.message || response.statusText;
+    throw paymentError(`${label} error: ${reason}`);
+  }
+
+  return data;
+};
+
+module.exports = {
+  paymentError,
+  toPaise,
+  fromPaise,
+  hmacHex,
+  sha256Hex,
+  safeEqual,
+  requestJson
+};
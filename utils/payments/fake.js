@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { FAKE } = require('../../config/payments');
+const { paymentError, toPaise, fromPaise, hmacHex, safeEqual } = require('./common');
+
+// Local stand-in gateway for development and tests. Nothing is charged:
+// payments only change state when simulate() is called (see
+// POST /api/payments/fake/simulate), which produces a webhook signed the same
+// way the real gateways sign theirs (with FAKE_PAYMENT_SECRET, which must be
+// set). State lives in memory.
+
+const name = 'fake';
+
+const isConfigured = () => process.env.NODE_ENV !== 'production' && !!FAKE.secret;
+
+// providerOrderId -> { amount, status, providerPaymentId }
+const payments = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+const OUTCOME_TYPES = {
+  authorized: 'payment.authorized',
+  captured: 'payment.captured',
+  failed: 'payment.failed'
+};
+
+const createPayment = async ({ amount, currency }) => {
+  const providerOrderId = randomId('fake_order');
+  payments.set(providerOrderId, { amount: toPaise(amount), status: 'created' });
+
+  return {
+    providerOrderId,
+    checkout: {
+      provider: name,
+      providerOrderId,
+      amount: toPaise(amount),
+      currency
+    }
+  };
+};
+
+const capturePayment = async ({ providerPaymentId }) => {
+  const payment = [...payments.values()].find(entry => entry.providerPaymentId === providerPaymentId);
+
+  if (!payment || payment.status !== 'authorized') {
+    throw paymentError('Only authorized payments can be captured', 409);
+  }
+
+  payment.status = 'captured';
+  return { status: payment.status };
+};
+
+const refundPayment = async () => ({
+  providerRefundId: randomId('fake_refund'),
+  status: 'processed'
+});
+
+const getPaymentStatus = async ({ providerOrderId }) => {
+  const payment = payments.get(providerOrderId);
+
+  if (!payment || !OUTCOME_TYPES[payment.status]) {
+    return null;
+  }
+
+  return {
+    eventId: `status:${payment.providerPaymentId}:${payment.status}`,
+    type: OUTCOME_TYPES[payment.status],
+    providerOrderId,
+    providerPaymentId: payment.providerPaymentId,
+    amount: fromPaise(payment.amount)
+  };
+};
+
+// Signed webhook delivery for a payload: { rawBody, headers }
+const signWebhook = (payload) => {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: hmacHex(FAKE.secret, rawBody) }
+  };
+};
+
+// Move a payment to `outcome` (authorized | captured | failed) and return the
+// webhook the gateway would send. `amount` (rupees) overrides the order amount.
+const simulate = ({ providerOrderId, outcome, amount }) => {
+  const payment = payments.get(providerOrderId) || { amount: toPaise(amount || 0) };
+
+  if (!OUTCOME_TYPES[outcome]) {
+    throw paymentError(`Outcome must be one of: ${Object.keys(OUTCOME_TYPES).join(', ')}`, 400);
+  }
+
+  payment.providerPaymentId = payment.providerPaymentId || randomId('fake_pay');
+  payment.status = outcome;
+  payments.set(providerOrderId, payment);
+
+  return signWebhook({
+    id: randomId('fake_evt'),
+    event: `payment.${outcome}`,
+    order_id: providerOrderId,
+    payment_id: payment.providerPaymentId,
+    amount: amount === undefined ? payment.amount : toPaise(amount),
+    created_at: Math.floor(Date.now() / 1000)
+  });
+};
+
+const verifyWebhook = (rawBody, headers) => isConfigured()
+  && safeEqual(hmacHex(FAKE.secret, rawBody), headers[SIGNATURE_HEADER]);
+
+const parseWebhook = (rawBody) => {
+  const body = JSON.parse(rawBody.toString('utf8'));
+  const type = Object.values(OUTCOME_TYPES).includes(body.event) ? body.event : null;
+
+  if (!type) {
+    return null;
+  }
+
+  return {
+    eventId: body.id,
+    type,
+    providerOrderId: body.order_id,
+    providerPaymentId: body.payment_id,
+    amount: fromPaise(body.amount),
+    occurredAt: body.created_at ? new Date(body.created_at * 1000) : undefined
+  };
+};
+
+// Checkout callback: { providerOrderId, providerPaymentId, signature } where
+// signature is HMAC-SHA256 of "providerOrderId|providerPaymentId", as with Razorpay
+const parseCallback = (body) => {
+  const { providerOrderId, providerPaymentId, signature } = body;
+
+  if (!isConfigured() || !providerOrderId || !providerPaymentId
+    || !safeEqual(hmacHex(FAKE.secret, `${providerOrderId}|${providerPaymentId}`), signature)) {
+    throw paymentError('Invalid payment signature', 400);
+  }
+
+  return { providerOrderId, providerPaymentId };
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  createPayment,
+  capturePayment,
+  refundPayment,
+  getPaymentStatus,
+  verifyWebhook,
+  parseWebhook,
+  parseCallback,
+  signWebhook,
+  simulate
+};
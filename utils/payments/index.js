@@ -0,0 +1,347 @@
+const Order = require('../../models/Order');
+const PaymentEvent = require('../../models/PaymentEvent');
+const { PAYMENT_PROVIDER, CURRENCY } = require('../../config/payments');
+const { paymentError } = require('./common');
+
+// Online payments through a gateway. Orders placed with paymentMethod
+// "online" get a gateway order at checkout; the gateway then reports the
+// outcome by webhook (and the browser by callback), which moves
+// paymentInfo.paymentStatus: pending -> processing (authorized) -> completed,
+// or -> failed. Manual UPI and COD orders never come through here.
+//
+// Every provider module exports:
+//   name, isConfigured()
+//   createPayment({ amount, currency, receipt, orderId, customer }) -> { providerOrderId, checkout }
+//   refundPayment({ providerOrderId, providerPaymentId, amount, currency, receipt }) -> { providerRefundId, status }
+//   getPaymentStatus({ providerOrderId, providerPaymentId }) -> event | null
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(rawBody, headers) -> event | null (null = not an event we handle)
+//   parseCallback(body) -> { providerOrderId, providerPaymentId }
+//   capturePayment({ providerPaymentId, amount, currency }) - optional
+// Events look like { eventId, type, providerOrderId, providerPaymentId, amount, occurredAt }
+// with type payment.authorized | payment.captured | payment.failed | refund.processed.
+// Amounts are in rupees throughout; providers convert to paise.
+
+const PROVIDERS = {
+  razorpay: require('./razorpay'),
+  phonepe: require('./phonepe'),
+  fake: require('./fake')
+};
+
+// Rupees of difference still treated as the full amount
+const AMOUNT_TOLERANCE = 0.01;
+
+// How each event moves the order's payment status, and from where.
+// Statuses outside `from` are left alone, so repeats and late events are harmless.
+const EVENT_EFFECTS = {
+  'payment.authorized': { from: ['pending', 'failed'], to: 'processing', gatewayStatus: 'authorized' },
+  'payment.captured': { from: ['pending', 'processing', 'failed'], to: 'completed', gatewayStatus: 'captured' },
+  'payment.failed': { from: ['pending', 'processing'], to: 'failed', gatewayStatus: 'failed' }
+};
+
+// An event record left "processing" this long is assumed abandoned (crashed delivery)
+const STALE_EVENT_MS = 5 * 60 * 1000;
+
+const getProvider = (name = PAYMENT_PROVIDER) => {
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw paymentError(`Unknown payment provider "${name}"`, 404);
+  }
+
+  return provider;
+};
+
+const getOrderProvider = (order) => {
+  const gateway = order.paymentInfo.gateway;
+
+  if (order.paymentInfo.method !== 'online' || !gateway || !gateway.provider) {
+    throw paymentError('This order has no online payment', 409);
+  }
+
+  return getProvider(gateway.provider);
+};
+
+const belongsToOrder = (order, providerOrderId) => {
+  const attempts = (order.paymentInfo.gateway && order.paymentInfo.gateway.attempts) || [];
+  return attempts.some(attempt => attempt.providerOrderId === providerOrderId);
+};
+
+// Create a gateway order for an online order and return the checkout data
+// the frontend needs. Calling it again (e.g. after a failed payment) starts a
+// new gateway order.
+const startPayment = async (order) => {
+  if (order.paymentInfo.method !== 'online') {
+    throw paymentError('This order is not paid online', 409);
+  }
+
+  if (!['pending', 'failed'].includes(order.paymentInfo.paymentStatus)) {
+    throw paymentError(`Payment is already ${order.paymentInfo.paymentStatus}`, 409);
+  }
+
+  if (order.status === 'cancelled') {
+    throw paymentError('This order has been cancelled', 409);
+  }
+
+  const provider = getProvider();
+
+  if (!provider.isConfigured()) {
+    throw paymentError('Online payments are not available right now', 503);
+  }
+
+  const { providerOrderId, checkout } = await provider.createPayment({
+    amount: order.pricing.total,
+    currency: CURRENCY,
+    receipt: order.orderNumber,
+    orderId: order._id.toString(),
+    customer: {
+      id: (order.customer._id || order.customer).toString(),
+      name: order.shippingAddress.fullName,
+      email: order.shippingAddress.email,
+      phone: order.shippingAddress.phone
+    }
+  });
+
+  const now = new Date();
+  const attempts = order.paymentInfo.gateway ? order.paymentInfo.gateway.attempts : [];
+
+  order.paymentInfo.gateway = {
+    provider: provider.name,
+    providerOrderId,
+    status: 'created',
+    updatedAt: now,
+    attempts: [...attempts, { providerOrderId, createdAt: now }]
+  };
+  order.paymentInfo.paymentStatus = 'pending';
+  await order.save();
+
+  return { ...checkout, orderId: order._id, orderNumber: order.orderNumber };
+};
+
+// startPayment for a freshly placed order. The order already exists, so a
+// gateway failure is reported rather than thrown; checkout can be retried
+// with POST /api/payments/orders/:id/checkout.
+const tryStartPayment = async (order) => {
+  try {
+    return { checkout: await startPayment(order) };
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Start payment error:', error);
+    }
+    return { error: error.statusCode ? error.message : 'Could not start the online payment' };
+  }
+};
+
+// Apply an event to its order. Returns a short description of what happened.
+const applyPaymentEvent = async (order, event) => {
+  const effect = EVENT_EFFECTS[event.type];
+
+  if (!effect) {
+    return `recorded ${event.type}`;
+  }
+
+  if (event.type === 'payment.captured' && event.amount !== undefined
+    && Math.abs(event.amount - order.pricing.total) > AMOUNT_TOLERANCE) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'paymentInfo.gateway.status': 'amount-mismatch', 'paymentInfo.gateway.updatedAt': new Date() } }
+    );
+    return `ignored: captured ${event.amount} but order total is ${order.pricing.total}`;
+  }
+
+  const filter = { _id: order._id, 'paymentInfo.paymentStatus': { $in: effect.from } };
+
+  // Only the current gateway order may fail or re-authorise the payment;
+  // money captured on an earlier attempt still counts
+  if (event.type !== 'payment.captured') {
+    filter['paymentInfo.gateway.providerOrderId'] = event.providerOrderId;
+  }
+
+  const $set = {
+    'paymentInfo.paymentStatus': effect.to,
+    'paymentInfo.gateway.status': effect.gatewayStatus,
+    'paymentInfo.gateway.updatedAt': new Date()
+  };
+
+  if (event.providerPaymentId) {
+    $set['paymentInfo.gateway.providerPaymentId'] = event.providerPaymentId;
+  }
+
+  if (effect.to === 'completed') {
+    $set['paymentInfo.gateway.providerOrderId'] = event.providerOrderId;
+    $set['paymentInfo.paidAt'] = event.occurredAt || new Date();
+  }
+
+  const update = await Order.updateOne(filter, { $set });
+
+  return update.modifiedCount
+    ? `payment ${effect.to}`
+    : `ignored: payment is ${order.paymentInfo.paymentStatus}`;
+};
+
+// Claim an event so each one is applied once. Returns the PaymentEvent, or
+// null when it was already processed (or is being processed right now).
+const claimEvent = async (provider, event, details) => {
+  try {
+    return await PaymentEvent.create({
+      provider: provider.name,
+      eventId: event.eventId,
+      type: event.type,
+      providerOrderId: event.providerOrderId,
+      providerPaymentId: event.providerPaymentId,
+      amount: event.amount,
+      ...details
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Retry deliveries of events that failed or were abandoned mid-way
+  return PaymentEvent.findOneAndUpdate(
+    {
+      provider: provider.name,
+      eventId: event.eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_EVENT_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', error: null } },
+    { new: true }
+  );
+};
+
+// Record and apply a gateway event exactly once.
+// Resolves to { duplicate, result, order }.
+const processPaymentEvent = async (provider, event, { source = 'webhook', payload } = {}) => {
+  const record = await claimEvent(provider, event, { source, payload });
+
+  if (!record) {
+    return { duplicate: true, result: 'already processed' };
+  }
+
+  try {
+    const order = event.providerOrderId
+      ? await Order.findOne({
+        'paymentInfo.gateway.provider': provider.name,
+        'paymentInfo.gateway.attempts.providerOrderId': event.providerOrderId
+      })
+      : null;
+    const result = order ? await applyPaymentEvent(order, event) : 'ignored: no order for this payment';
+
+    record.set({
+      order: order ? order._id : undefined,
+      status: 'processed',
+      result,
+      processedAt: new Date()
+    });
+    await record.save();
+
+    return { duplicate: false, result, order };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+// Verify and process a webhook delivery
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+
+  // A gateway we don't take payments through has no business sending events
+  if (!provider.isConfigured()) {
+    throw paymentError(`Unknown payment provider "${providerName}"`, 404);
+  }
+
+  if (!rawBody || !provider.verifyWebhook(rawBody, headers)) {
+    throw paymentError('Invalid webhook signature', 401);
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook(rawBody, headers);
+  } catch (error) {
+    throw paymentError('Malformed webhook payload', 400);
+  }
+
+  if (!event) {
+    return { duplicate: false, result: 'ignored: unhandled event' };
+  }
+
+  return processPaymentEvent(provider, event, {
+    source: 'webhook',
+    payload: JSON.parse(rawBody.toString('utf8'))
+  });
+};
+
+// Ask the gateway for the payment's current state and apply it. Used for the
+// checkout callback (after verifying it) and to catch up on missed webhooks.
+const syncPayment = async (order, { providerOrderId, providerPaymentId } = {}, source = 'callback') => {
+  const provider = getOrderProvider(order);
+  const gatewayOrderId = providerOrderId || order.paymentInfo.gateway.providerOrderId;
+
+  if (!belongsToOrder(order, gatewayOrderId)) {
+    throw paymentError('Payment does not belong to this order', 400);
+  }
+
+  const event = await provider.getPaymentStatus({ providerOrderId: gatewayOrderId, providerPaymentId });
+
+  if (!event) {
+    return { duplicate: false, result: 'no payment yet' };
+  }
+
+  return processPaymentEvent(provider, { ...event, providerOrderId: event.providerOrderId || gatewayOrderId }, { source });
+};
+
+// Capture an authorized payment (providers that capture automatically don't support this)
+const capturePayment = async (order) => {
+  const provider = getOrderProvider(order);
+  const { providerOrderId, providerPaymentId } = order.paymentInfo.gateway;
+
+  if (!provider.capturePayment) {
+    throw paymentError(`${provider.name} captures payments automatically`, 400);
+  }
+
+  if (order.paymentInfo.paymentStatus !== 'processing' || !providerPaymentId) {
+    throw paymentError('Only authorized payments can be captured', 409);
+  }
+
+  await provider.capturePayment({ providerPaymentId, amount: order.pricing.total, currency: CURRENCY });
+
+  return processPaymentEvent(provider, {
+    eventId: `capture:${providerPaymentId}`,
+    type: 'payment.captured',
+    providerOrderId,
+    providerPaymentId,
+    amount: order.pricing.total
+  }, { source: 'callback' });
+};
+
+// Refund part or all of a captured online payment through its gateway
+const refundPayment = async (order, amount, receipt) => {
+  const provider = getOrderProvider(order);
+  const { providerOrderId, providerPaymentId } = order.paymentInfo.gateway;
+
+  if (!providerPaymentId) {
+    throw paymentError('There is no captured payment to refund', 409);
+  }
+
+  return provider.refundPayment({ providerOrderId, providerPaymentId, amount, currency: CURRENCY, receipt });
+};
+
+module.exports = {
+  paymentError,
+  getProvider,
+  getOrderProvider,
+  startPayment,
+  tryStartPayment,
+  processPaymentEvent,
+  handleWebhook,
+  syncPayment,
+  capturePayment,
+  refundPayment
+};
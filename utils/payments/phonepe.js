@@ -0,0 +1,163 @@
+const { PHONEPE } = require('../../config/payments');
+const { paymentError, toPaise, fromPaise, sha256Hex, safeEqual, requestJson } = require('./common');
+
+// PhonePe PG standard checkout (pay page redirect).
+// https://developer.phonepe.com/v1/reference/pay-api
+// PhonePe captures immediately, so there is no separate capture step. The
+// "order id" we keep is our merchantTransactionId.
+
+const name = 'phonepe';
+
+const isConfigured = () => !!(PHONEPE.merchantId && PHONEPE.saltKey);
+
+// X-VERIFY header: sha256(data + salt key) + "###" + salt index
+const checksum = (data) => `${sha256Hex(data + PHONEPE.saltKey)}###${PHONEPE.saltIndex}`;
+
+// Refund transaction ids carry this prefix so their callbacks can be told apart
+const REFUND_PREFIX = 'RF_';
+
+// merchantTransactionId: at most 38 characters, letters, digits, "_" and "-"
+const transactionId = (prefix, receipt) => `${prefix}${String(receipt).replace(/[^A-Za-z0-9_-]/g, '')}_${Date.now().toString(36)}`.slice(-38);
+
+// PhonePe response codes -> our event types
+const CODE_TYPES = {
+  PAYMENT_SUCCESS: 'payment.captured',
+  PAYMENT_ERROR: 'payment.failed',
+  PAYMENT_DECLINED: 'payment.failed',
+  TIMED_OUT: 'payment.failed'
+};
+
+const post = (path, payload) => {
+  const request = Buffer.from(JSON.stringify(payload)).toString('base64');
+  return requestJson('PhonePe', `${PHONEPE.baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'X-VERIFY': checksum(request + path) },
+    body: { request }
+  });
+};
+
+// Turn a PhonePe status/callback response into an event
+const toEvent = (response, eventIdPrefix) => {
+  const data = response.data || {};
+  const isRefund = String(data.merchantTransactionId || '').startsWith(REFUND_PREFIX);
+  const type = isRefund
+    ? (response.code === 'PAYMENT_SUCCESS' ? 'refund.processed' : null)
+    : CODE_TYPES[response.code];
+
+  if (!type) {
+    return null;
+  }
+
+  return {
+    eventId: `${eventIdPrefix}:${data.merchantTransactionId}:${response.code}`,
+    type,
+    providerOrderId: isRefund ? undefined : data.merchantTransactionId,
+    providerPaymentId: isRefund ? undefined : data.transactionId,
+    providerRefundId: isRefund ? data.merchantTransactionId : undefined,
+    amount: fromPaise(data.amount)
+  };
+};
+
+const createPayment = async ({ amount, receipt, customer = {} }) => {
+  const merchantTransactionId = transactionId('', receipt);
+
+  const response = await post('/pg/v1/pay', {
+    merchantId: PHONEPE.merchantId,
+    merchantTransactionId,
+    merchantUserId: String(customer.id || receipt),
+    amount: toPaise(amount),
+    redirectUrl: `${PHONEPE.redirectUrl}?transactionId=${merchantTransactionId}`,
+    redirectMode: 'POST',
+    callbackUrl: PHONEPE.callbackUrl,
+    mobileNumber: customer.phone,
+    paymentInstrument: { type: 'PAY_PAGE' }
+  });
+
+  const redirect = response.data && response.data.instrumentResponse
+    && response.data.instrumentResponse.redirectInfo;
+
+  if (!redirect) {
+    throw paymentError('PhonePe did not return a payment page');
+  }
+
+  return {
+    providerOrderId: merchantTransactionId,
+    checkout: {
+      provider: name,
+      providerOrderId: merchantTransactionId,
+      redirectUrl: redirect.url
+    }
+  };
+};
+
+const refundPayment = async ({ providerOrderId, amount, receipt }) => {
+  const merchantTransactionId = transactionId(REFUND_PREFIX, receipt || providerOrderId);
+
+  const response = await post('/pg/v1/refund', {
+    merchantId: PHONEPE.merchantId,
+    merchantUserId: 'refund',
+    originalTransactionId: providerOrderId,
+    merchantTransactionId,
+    amount: toPaise(amount),
+    callbackUrl: PHONEPE.callbackUrl
+  });
+
+  return {
+    providerRefundId: merchantTransactionId,
+    status: response.code
+  };
+};
+
+const getPaymentStatus = async ({ providerOrderId }) => {
+  const path = `/pg/v1/status/${PHONEPE.merchantId}/${providerOrderId}`;
+  const response = await requestJson('PhonePe', `${PHONEPE.baseUrl}${path}`, {
+    headers: {
+      'X-VERIFY': checksum(path),
+      'X-MERCHANT-ID': PHONEPE.merchantId
+    }
+  });
+
+  return toEvent(response, 'status');
+};
+
+// Server-to-server callbacks: { response: base64 JSON } signed in X-VERIFY
+const verifyWebhook = (rawBody, headers) => {
+  if (!isConfigured()) {
+    return false;
+  }
+
+  try {
+    const { response } = JSON.parse(rawBody.toString('utf8'));
+    return !!response && safeEqual(checksum(response), headers['x-verify']);
+  } catch (error) {
+    return false;
+  }
+};
+
+const parseWebhook = (rawBody) => {
+  const { response } = JSON.parse(rawBody.toString('utf8'));
+  return toEvent(JSON.parse(Buffer.from(response, 'base64').toString('utf8')), 'callback');
+};
+
+// The redirect back from the pay page isn't trusted; it only names the
+// transaction, whose status is then fetched from PhonePe
+const parseCallback = (body) => {
+  const providerOrderId = body.transactionId || body.merchantTransactionId;
+
+  if (!providerOrderId) {
+    throw paymentError('Transaction ID is required', 400);
+  }
+
+  return { providerOrderId };
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  createPayment,
+  refundPayment,
+  getPaymentStatus,
+  verifyWebhook,
+  parseWebhook,
+  parseCallback
+};
@@ -0,0 +1,154 @@
+const { RAZORPAY } = require('../../config/payments');
+const { paymentError, toPaise, fromPaise, hmacHex, safeEqual, requestJson } = require('./common');
+
+// Razorpay Orders API with Checkout.js on the frontend.
+// https://razorpay.com/docs/api/orders/ and /docs/webhooks/
+
+const name = 'razorpay';
+
+const isConfigured = () => !!(RAZORPAY.keyId && RAZORPAY.keySecret);
+
+const request = (method, path, body) => requestJson('Razorpay', `${RAZORPAY.baseUrl}${path}`, {
+  method,
+  body,
+  headers: {
+    Authorization: `Basic ${Buffer.from(`${RAZORPAY.keyId}:${RAZORPAY.keySecret}`).toString('base64')}`
+  }
+});
+
+// Razorpay webhook events -> our event types
+const EVENT_TYPES = {
+  'payment.authorized': 'payment.authorized',
+  'payment.captured': 'payment.captured',
+  'order.paid': 'payment.captured',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'refund.processed'
+};
+
+// Razorpay payment statuses -> our event types (refunded payments were captured first)
+const STATUS_TYPES = {
+  authorized: 'payment.authorized',
+  captured: 'payment.captured',
+  failed: 'payment.failed'
+};
+
+const createPayment = async ({ amount, currency, receipt, orderId }) => {
+  const order = await request('POST', '/orders', {
+    amount: toPaise(amount),
+    currency,
+    receipt,
+    // Capture as soon as the customer authorises the payment
+    payment_capture: 1,
+    notes: { orderId }
+  });
+
+  return {
+    providerOrderId: order.id,
+    // Options for the Checkout.js modal
+    checkout: {
+      provider: name,
+      keyId: RAZORPAY.keyId,
+      providerOrderId: order.id,
+      amount: order.amount,
+      currency: order.currency
+    }
+  };
+};
+
+const capturePayment = async ({ providerPaymentId, amount, currency }) => {
+  const payment = await request('POST', `/payments/${providerPaymentId}/capture`, {
+    amount: toPaise(amount),
+    currency
+  });
+  return { status: payment.status };
+};
+
+const refundPayment = async ({ providerPaymentId, amount, receipt }) => {
+  const refund = await request('POST', `/payments/${providerPaymentId}/refund`, {
+    amount: toPaise(amount),
+    receipt
+  });
+  return { providerRefundId: refund.id, status: refund.status };
+};
+
+// Latest state of the payment, as an event (null when there's nothing to apply)
+const getPaymentStatus = async ({ providerOrderId, providerPaymentId }) => {
+  let payment;
+
+  if (providerPaymentId) {
+    payment = await request('GET', `/payments/${providerPaymentId}`);
+  } else {
+    const { items = [] } = await request('GET', `/orders/${providerOrderId}/payments`);
+    payment = items.find(item => item.status === 'captured')
+      || items.find(item => item.status === 'authorized')
+      || items[0];
+  }
+
+  if (!payment || !STATUS_TYPES[payment.status]) {
+    return null;
+  }
+
+  return {
+    eventId: `status:${payment.id}:${payment.status}`,
+    type: STATUS_TYPES[payment.status],
+    providerOrderId: payment.order_id,
+    providerPaymentId: payment.id,
+    amount: fromPaise(payment.amount)
+  };
+};
+
+// Webhooks are signed with HMAC-SHA256 of the raw body using the webhook secret
+const verifyWebhook = (rawBody, headers) => {
+  if (!RAZORPAY.webhookSecret) {
+    return false;
+  }
+  return safeEqual(hmacHex(RAZORPAY.webhookSecret, rawBody), headers['x-razorpay-signature']);
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const body = JSON.parse(rawBody.toString('utf8'));
+  const type = EVENT_TYPES[body.event];
+
+  if (!type) {
+    return null;
+  }
+
+  const payload = body.payload || {};
+  const payment = payload.payment ? payload.payment.entity : null;
+  const refund = payload.refund ? payload.refund.entity : null;
+  const entity = refund || payment;
+
+  return {
+    eventId: headers['x-razorpay-event-id'] || `${body.event}:${entity.id}`,
+    type,
+    providerOrderId: payment ? payment.order_id : undefined,
+    providerPaymentId: payment ? payment.id : refund.payment_id,
+    providerRefundId: refund ? refund.id : undefined,
+    amount: fromPaise(entity.amount),
+    occurredAt: body.created_at ? new Date(body.created_at * 1000) : undefined
+  };
+};
+
+// Checkout.js success handler fields, signed with the key secret
+const parseCallback = (body) => {
+  const { razorpay_order_id: providerOrderId, razorpay_payment_id: providerPaymentId, razorpay_signature: signature } = body;
+
+  if (!providerOrderId || !providerPaymentId
+    || !safeEqual(hmacHex(RAZORPAY.keySecret, `${providerOrderId}|${providerPaymentId}`), signature)) {
+    throw paymentError('Invalid payment signature', 400);
+  }
+
+  return { providerOrderId, providerPaymentId };
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  createPayment,
+  capturePayment,
+  refundPayment,
+  getPaymentStatus,
+  verifyWebhook,
+  parseWebhook,
+  parseCallback
+};
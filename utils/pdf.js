@@ -0,0 +1,256 @@
+const zlib = require('zlib');
+
+// Minimal PDF 1.4 writer for simple business documents (invoices, slips).
+// Supports text in the standard Helvetica / Helvetica-Bold fonts (no font
+// embedding, WinAnsi characters only), lines and rectangles. Coordinates are
+// in points from the top-left corner of the page.
+
+const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 }
+};
+
+// Advance widths (1/1000 em) of characters 32-126 from the standard Adobe AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+// Reduce text to printable ASCII (the standard fonts have no rupee sign etc.)
+const toPdfText = (value) => {
+  return String(value ?? '')
+    .replace(/₹/g, 'Rs.')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .normalize('NFKD')
+    .replace(/[^\x20-\x7e]/g, '');
+};
+
+const escapeText = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+// Width of a string in points
+const measureText = (text, size = 10, font = 'regular') => {
+  const widths = FONTS[font].widths;
+  let total = 0;
+
+  for (const char of toPdfText(text)) {
+    total += widths[char.charCodeAt(0) - 32] || 556;
+  }
+
+  return (total * size) / 1000;
+};
+
+// Break text into lines no wider than maxWidth (long words are split)
+const wrapText = (text, maxWidth, size = 10, font = 'regular') => {
+  const lines = [];
+
+  for (const paragraph of toPdfText(text).split(/\n/)) {
+    let current = '';
+
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = current ? `${current} ${word}` : word;
+
+      if (measureText(candidate, size, font) <= maxWidth) {
+        current = candidate;
+        continue;
+      }
+
+      if (current) {
+        lines.push(current);
+      }
+
+      // Hard-split words wider than the column
+      let rest = word;
+      while (measureText(rest, size, font) > maxWidth && rest.length > 1) {
+        let cut = rest.length - 1;
+        while (cut > 1 && measureText(rest.slice(0, cut), size, font) > maxWidth) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      current = rest;
+    }
+
+    lines.push(current);
+  }
+
+  return lines;
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const colorOperands = (color) => {
+  const [r, g, b] = color.map(channel => formatNumber(channel / 255));
+  return `${r} ${g} ${b}`;
+};
+
+class PdfDocument {
+  constructor({ size = 'A4', info = {} } = {}) {
+    const { width, height } = PAGE_SIZES[size] || size;
+    this.width = width;
+    this.height = height;
+    this.info = info;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  // Draw text with its top at (x, y). align: left | right | center within `width`
+  text(value, x, y, { size = 10, font = 'regular', color = [0, 0, 0], align = 'left', width } = {}) {
+    const text = toPdfText(value);
+    let left = x;
+
+    if (align !== 'left' && width) {
+      const textWidth = measureText(text, size, font);
+      left = align === 'right' ? x + width - textWidth : x + (width - textWidth) / 2;
+    }
+
+    // PDF positions text by its baseline; approximate the ascent as 0.8 em
+    const baseline = this.height - y - size * 0.8;
+
+    this.current.push(
+      `BT /${FONTS[font].resource} ${formatNumber(size)} Tf ${colorOperands(color)} rg ` +
+      `${formatNumber(left)} ${formatNumber(baseline)} Td (${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  // Draw wrapped text; returns the height used
+  paragraph(value, x, y, width, { size = 10, font = 'regular', color, align, lineGap = 2 } = {}) {
+    const lines = wrapText(value, width, size, font);
+    const lineHeight = size + lineGap;
+
+    lines.forEach((line, index) => {
+      this.text(line, x, y + index * lineHeight, { size, font, color, align, width });
+    });
+
+    return lines.length * lineHeight;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+    this.current.push(
+      `${formatNumber(width)} w ${colorOperands(color)} RG ` +
+      `${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  rect(x, y, width, height, { fill, stroke, lineWidth = 0.5 } = {}) {
+    const box = `${formatNumber(x)} ${formatNumber(this.height - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`;
+    const ops = [];
+
+    if (fill) ops.push(`${colorOperands(fill)} rg`);
+    if (stroke) ops.push(`${formatNumber(lineWidth)} w ${colorOperands(stroke)} RG`);
+    ops.push(`${box} ${fill && stroke ? 'B' : fill ? 'f' : 'S'}`);
+
+    this.current.push(ops.join(' '));
+    return this;
+  }
+
+  // Serialize the document
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = {};
+
+    Object.entries(FONTS).forEach(([key, font]) => {
+      fontIds[key] = addObject(
+        Buffer.from(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+      );
+    });
+
+    const fontResources = Object.entries(FONTS)
+      .map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`)
+      .join(' ');
+
+    const pageIds = this.pages.map(operations => {
+      const content = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+      const contentId = addObject(Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+        content,
+        Buffer.from('\nendstream')
+      ]));
+
+      return addObject(Buffer.from(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      ));
+    });
+
+    objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    objects[pagesId - 1] = Buffer.from(
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+    );
+
+    const infoEntries = Object.entries(this.info)
+      .map(([key, value]) => `/${key} (${escapeText(toPdfText(value))})`)
+      .join(' ');
+    const infoId = addObject(Buffer.from(`<< ${infoEntries} >>`));
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`),
+        body,
+        Buffer.from('\nendobj\n')
+      ]);
+      offsets.push(length);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+
+    chunks.push(Buffer.from(`${xref}\n`));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  measureText,
+  wrapText,
+  toPdfText
+};
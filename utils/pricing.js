@@ -0,0 +1,249 @@
+const Product = require('../models/Product');
+
+// Live product pricing shared by the cart and order creation.
+// A line's unit price is the tier price plus the additionalCost of every
+// selected customization option; prices always come from the current Product.
+// The tier price drops at the product's quantity breaks, based on the volume:
+// the units of that product across the whole order or cart.
+
+const TIERS = ['base', 'premium', 'enterprise'];
+
+// Most units of a product a single cart, quote or order line may have
+const MAX_LINE_QUANTITY = 10000;
+
+const pricingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Normalize { optionName: value } or [{ optionName, selectedValue }] to an array
+const normalizeCustomizations = (customization) => {
+  if (!customization) {
+    return [];
+  }
+
+  if (Array.isArray(customization)) {
+    return customization
+      .filter(entry => entry && entry.optionName)
+      .map(entry => ({ optionName: entry.optionName, selectedValue: String(entry.selectedValue ?? '') }));
+  }
+
+  return Object.entries(customization).map(([optionName, value]) => ({
+    optionName,
+    selectedValue: String(value ?? '')
+  }));
+};
+
+// Find the configured option a customer picked (matched by value or label)
+const findSelectedOption = (product, optionName, selectedValue) => {
+  const config = (product.customizationOptions || []).find(option => option.name === optionName);
+
+  if (!config) {
+    return { config: null, option: null };
+  }
+
+  const option = (config.options || []).find(
+    choice => choice.value === selectedValue || choice.label === selectedValue
+  );
+
+  return { config, option: option || null };
+};
+
+// Reject customizations that don't exist on the product or skip a required option
+const validateCustomizations = (product, customizations) => {
+  for (const { optionName, selectedValue } of customizations) {
+    const { config, option } = findSelectedOption(product, optionName, selectedValue);
+
+    if (!config) {
+      throw pricingError(`Customization '${optionName}' is not available for ${product.name}`);
+    }
+
+    if (config.options && config.options.length > 0 && !option) {
+      throw pricingError(`'${selectedValue}' is not a valid choice for ${optionName}`);
+    }
+  }
+
+  const missing = (product.customizationOptions || []).find(config =>
+    config.required && !customizations.some(entry => entry.optionName === config.name && entry.selectedValue)
+  );
+
+  if (missing) {
+    throw pricingError(`Customization '${missing.name}' is required for ${product.name}`);
+  }
+};
+
+const hasPrice = (value) => value !== undefined && value !== null;
+
+// The quantity break in force for a tier at `volume` units, or null
+const findQuantityBreak = (product, packageType, volume) => {
+  const breaks = (product.quantityBreaks || [])
+    .filter(entry => entry.minQuantity <= volume && entry.price && hasPrice(entry.price[packageType]))
+    .sort((a, b) => b.minQuantity - a.minQuantity);
+
+  return breaks[0] || null;
+};
+
+// The next break that would lower a tier's price above `volume` units, or null
+const findNextQuantityBreak = (product, packageType, volume, currentPrice) => {
+  const next = (product.quantityBreaks || [])
+    .filter(entry => entry.minQuantity > volume && entry.price && hasPrice(entry.price[packageType])
+      && entry.price[packageType] < currentPrice)
+    .sort((a, b) => a.minQuantity - b.minQuantity)[0];
+
+  return next ? { minQuantity: next.minQuantity, tierPrice: next.price[packageType] } : null;
+};
+
+// Units of each product across a list of { product, quantity } items
+const productVolumes = (items) => {
+  const volumes = new Map();
+
+  items.forEach(item => {
+    const key = String(item.product._id || item.product);
+    volumes.set(key, (volumes.get(key) || 0) + (Number(item.quantity) || 1));
+  });
+
+  return volumes;
+};
+
+// Throws if an order would have fewer units of a product than its minimum
+const checkMinimumQuantities = (lines) => {
+  const volumes = productVolumes(lines);
+
+  lines.forEach(({ product }) => {
+    const volume = volumes.get(product._id.toString());
+
+    if (product.minimumOrderQuantity && volume < product.minimumOrderQuantity) {
+      throw pricingError(
+        `${product.name} has a minimum order quantity of ${product.minimumOrderQuantity} (ordered ${volume})`
+      );
+    }
+  });
+};
+
+// Active variants a line of this product must choose from
+const activeVariants = (product) => (product.variants || []).filter(variant => variant.isActive !== false);
+
+// Resolve the variant a line refers to, by variant _id or SKU. Returns null for
+// products without variants; throws if one is needed but missing or unknown.
+const findVariant = (product, ref) => {
+  const variants = activeVariants(product);
+
+  if (variants.length === 0) {
+    return null;
+  }
+
+  if (!ref) {
+    throw pricingError(`Choose an option (e.g. size or colour) for ${product.name}`);
+  }
+
+  const key = String(ref._id || ref);
+  const variant = variants.find(entry => entry._id.toString() === key || entry.sku === key.toUpperCase());
+
+  if (!variant) {
+    throw pricingError(`That option of ${product.name} is not available`);
+  }
+
+  return variant;
+};
+
+// Price one line against a loaded product. `volume` is the product's total
+// units in the order (defaults to this line's quantity); `variant` is a
+// variant from findVariant, whose priceDelta is added to the unit price.
+const priceLine = (product, { packageType = 'base', quantity = 1, volume, variant = null, customizations = [] }) => {
+  const listPrice = product.price ? product.price[packageType] : undefined;
+
+  if (!hasPrice(listPrice)) {
+    throw pricingError(`Pricing tier '${packageType}' not found for ${product.name}`);
+  }
+
+  const quantityBreak = findQuantityBreak(product, packageType, volume || quantity);
+  const tierPrice = quantityBreak ? quantityBreak.price[packageType] : listPrice;
+
+  const pricedCustomizations = customizations.map(({ optionName, selectedValue }) => {
+    const { option } = findSelectedOption(product, optionName, selectedValue);
+
+    return {
+      optionName,
+      selectedValue,
+      additionalCost: option ? option.additionalCost || 0 : 0
+    };
+  });
+
+  const customizationCost = pricedCustomizations.reduce((sum, entry) => sum + entry.additionalCost, 0);
+  const priceDelta = variant ? variant.priceDelta || 0 : 0;
+  const unitPrice = Math.max(0, tierPrice + priceDelta + customizationCost);
+
+  return {
+    listPrice,
+    tierPrice,
+    quantityBreak: quantityBreak ? quantityBreak.minQuantity : null,
+    priceDelta,
+    customizationCost,
+    unitPrice,
+    lineTotal: unitPrice * quantity,
+    customizations: pricedCustomizations
+  };
+};
+
+// Price a list of { product, variant, packageType, quantity, customizations } items.
+// Products are loaded in one query; inactive or missing products are rejected,
+// as are customizations the cart would refuse (see validateCustomizations).
+// Minimum order quantities are not checked here (see checkMinimumQuantities).
+const priceItems = async (items) => {
+  const ids = [...new Set(items.map(item => String(item.product._id || item.product)))];
+  const products = await Product.find({ _id: { $in: ids } });
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  const volumes = productVolumes(items);
+
+  let subtotal = 0;
+
+  const lines = items.map(item => {
+    const product = byId.get(String(item.product._id || item.product));
+
+    if (!product || !product.isActive) {
+      throw pricingError(`Product ${item.product._id || item.product} not found`);
+    }
+
+    const quantity = item.quantity || 1;
+    const variant = findVariant(product, item.variant);
+    const customizations = normalizeCustomizations(item.customizations);
+
+    validateCustomizations(product, customizations);
+
+    const priced = priceLine(product, {
+      packageType: item.packageType || 'base',
+      quantity,
+      volume: volumes.get(product._id.toString()),
+      variant,
+      customizations
+    });
+
+    subtotal += priced.lineTotal;
+
+    return {
+      product,
+      variant,
+      packageType: item.packageType || 'base',
+      quantity,
+      requirements: item.requirements,
+      ...priced
+    };
+  });
+
+  return { lines, subtotal };
+};
+
+module.exports = {
+  TIERS,
+  MAX_LINE_QUANTITY,
+  pricingError,
+  normalizeCustomizations,
+  validateCustomizations,
+  productVolumes,
+  findNextQuantityBreak,
+  checkMinimumQuantities,
+  findVariant,
+  priceLine,
+  priceItems
+};
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const InventoryItem = require('../models/InventoryItem');
+const Product = require('../models/Product');
+const { findVariant } = require('./pricing');
+const { receiveStock } = require('./stock');
+const { recordMovement, resolveWarehouse } = require('./inventory');
+
+// Purchase orders to suppliers. Lines are products we sell (stock on the
+// product or variant, as orders use it) or inventory items production uses
+// (stock per warehouse, see utils/inventory.js); receiving raises either.
+
+// Errors for the client carry the HTTP status to respond with
+const purchasingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+// Turn requested lines into purchase order items:
+// [{ product, variant|sku } or { inventoryItem }, quantity, unitCost, expectedDate }]
+const buildPurchaseItems = async (requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw purchasingError('At least one item is required');
+  }
+
+  const items = [];
+
+  for (const entry of requested) {
+    const quantity = roundQuantity(Number(entry.quantity));
+    const unitCost = Number(entry.unitCost);
+
+    if (!(quantity > 0)) {
+      throw purchasingError('Each item needs a positive quantity');
+    }
+    if (!(unitCost >= 0)) {
+      throw purchasingError('Each item needs a unit cost');
+    }
+    if (!entry.product === !entry.inventoryItem) {
+      throw purchasingError('Each item needs either a product or an inventory item');
+    }
+
+    const ref = entry.product || entry.inventoryItem;
+    if (!mongoose.Types.ObjectId.isValid(ref)) {
+      throw purchasingError(`Invalid ${entry.product ? 'product' : 'inventory item'} ID`);
+    }
+
+    let line;
+
+    if (entry.product) {
+      const product = await Product.findById(entry.product);
+
+      if (!product) {
+        throw purchasingError('Product not found', 404);
+      }
+      if (!Number.isInteger(quantity)) {
+        throw purchasingError(`Quantity of ${product.name} must be a whole number`);
+      }
+
+      // Products with variants keep stock per variant, so one must be named
+      const variant = findVariant(product, entry.variant || entry.sku);
+
+      line = {
+        product: product._id,
+        variant: variant ? variant._id : undefined,
+        sku: variant ? variant.sku : undefined,
+        description: variant ? `${product.name} (${variant.sku})` : product.name
+      };
+    } else {
+      const item = await InventoryItem.findById(entry.inventoryItem).select('sku name');
+
+      if (!item) {
+        throw purchasingError('Inventory item not found', 404);
+      }
+
+      line = { inventoryItem: item._id, sku: item.sku, description: item.name };
+    }
+
+    items.push({
+      ...line,
+      quantity,
+      unitCost,
+      lineTotal: roundCurrency(quantity * unitCost),
+      expectedDate: entry.expectedDate || undefined
+    });
+  }
+
+  return items;
+};
+
+// Recalculate subtotal and total from the lines and charges
+const applyPurchaseTotals = (purchaseOrder) => {
+  const { pricing } = purchaseOrder;
+
+  pricing.subtotal = roundCurrency(purchaseOrder.items.reduce((sum, item) => sum + item.lineTotal, 0));
+  pricing.total = roundCurrency(pricing.subtotal + (pricing.shippingCost || 0) + (pricing.tax || 0));
+
+  return purchaseOrder;
+};
+
+// Record a delivery: `items` is [{ line, quantity }] with line the _id of a
+// purchase order item. The order becomes partially received, or closed once
+// every line is in, and the received units are added to stock.
+// Resolves to { receipt, warnings }.
+const receivePurchaseOrder = async (purchaseOrder, { items, warehouse, reference, note, actor }) => {
+  if (!['sent', 'partially-received'].includes(purchaseOrder.status)) {
+    throw purchasingError(`Cannot receive against a ${purchaseOrder.status} purchase order`, 409);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw purchasingError('Nothing to receive');
+  }
+
+  const received = [];
+
+  for (const entry of items) {
+    const line = mongoose.Types.ObjectId.isValid(entry.line) ? purchaseOrder.items.id(entry.line) : null;
+    const quantity = roundQuantity(Number(entry.quantity));
+
+    if (!line) {
+      throw purchasingError('Purchase order line not found');
+    }
+    if (!(quantity > 0)) {
+      throw purchasingError(`Quantity received of ${line.description} must be positive`);
+    }
+    if (line.product && !Number.isInteger(quantity)) {
+      throw purchasingError(`Quantity received of ${line.description} must be a whole number`);
+    }
+
+    const outstanding = roundQuantity(line.quantity - line.receivedQuantity);
+    if (quantity > outstanding) {
+      throw purchasingError(`Only ${outstanding} of ${line.description} is still to be received`);
+    }
+
+    line.receivedQuantity = roundQuantity(line.receivedQuantity + quantity);
+    received.push({ line, quantity });
+  }
+
+  const warehouseId = received.some(({ line }) => line.inventoryItem)
+    ? (await resolveWarehouse(warehouse || purchaseOrder.warehouse))._id
+    : undefined;
+
+  purchaseOrder.receipts.push({
+    receivedBy: actor,
+    reference,
+    note,
+    warehouse: warehouseId,
+    items: received.map(({ line, quantity }) => ({ line: line._id, quantity }))
+  });
+  const receipt = purchaseOrder.receipts[purchaseOrder.receipts.length - 1];
+
+  const complete = purchaseOrder.items.every(item => item.receivedQuantity >= item.quantity);
+  purchaseOrder.transitionTo(complete ? 'closed' : 'partially-received', {
+    actor,
+    note: reference ? `Received (${reference})` : 'Received'
+  });
+
+  try {
+    await purchaseOrder.save();
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      throw purchasingError('This purchase order was changed by someone else. Please reload it and try again.', 409);
+    }
+    throw error;
+  }
+
+  // The receipt is recorded; a line whose stock can't be raised is reported
+  // rather than undoing the delivery
+  const warnings = [];
+
+  for (const { line, quantity } of received) {
+    try {
+      if (line.product) {
+        if (!(await receiveStock(line.product, line.variant, quantity))) {
+          warnings.push(`${line.description} no longer exists; its stock was not updated`);
+        }
+      } else {
+        await recordMovement({
+          item: line.inventoryItem,
+          warehouse: warehouseId,
+          type: 'purchase',
+          quantity,
+          unitCost: line.unitCost,
+          reference: { kind: 'PurchaseOrder', id: purchaseOrder._id, number: purchaseOrder.poNumber },
+          note: reference ? `Supplier ref ${reference}` : undefined,
+          actor
+        });
+      }
+    } catch (error) {
+      console.error('Purchase receipt stock error:', error);
+      warnings.push(`Stock of ${line.description} was not updated: ${error.message}`);
+    }
+  }
+
+  return { receipt, warnings };
+};
+
+module.exports = {
+  purchasingError,
+  buildPurchaseItems,
+  applyPurchaseTotals,
+  receivePurchaseOrder
+};
@@ -0,0 +1,162 @@
+// Pluggable stores for attempt counting (login, register, contact form, ...).
+// Every store exposes the same async interface:
+//   increment(key, windowMs) -> { count, resetAt }
+//   reset(key)
+// Pick one with RATE_LIMIT_STORE=memory|redis|mongo (default: memory).
+
+// In-process store. Counts reset on restart and aren't shared between
+// instances, so it is meant for local development and tests.
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += 1;
+
+      // Drop expired windows occasionally so the map doesn't grow unbounded
+      if (windows.size > 10000) {
+        for (const [k, value] of windows) {
+          if (value.resetAt <= now) windows.delete(k);
+        }
+      }
+
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+};
+
+// Redis store. Takes a connected node-redis client (or anything with the same
+// incr / pExpire / pTTL / del methods).
+const createRedisStore = (client, prefix = 'rl:') => {
+  return {
+    name: 'redis',
+
+    async increment(key, windowMs) {
+      const redisKey = prefix + key;
+      const count = await client.incr(redisKey);
+
+      if (count === 1) {
+        await client.pExpire(redisKey, windowMs);
+      }
+
+      let ttl = await client.pTTL(redisKey);
+
+      // Key lost its expiry (e.g. crash between INCR and PEXPIRE)
+      if (ttl < 0) {
+        await client.pExpire(redisKey, windowMs);
+        ttl = windowMs;
+      }
+
+      return { count, resetAt: Date.now() + ttl };
+    },
+
+    async reset(key) {
+      await client.del(prefix + key);
+    }
+  };
+};
+
+// MongoDB store backed by the RateLimit collection
+const createMongoStore = (RateLimit = require('../models/RateLimit')) => {
+  return {
+    name: 'mongo',
+
+    async increment(key, windowMs) {
+      const now = new Date();
+
+      let entry = await RateLimit.findOneAndUpdate(
+        { key, expiresAt: { $gt: now } },
+        { $inc: { count: 1 } },
+        { new: true }
+      );
+
+      if (!entry) {
+        try {
+          entry = await RateLimit.findOneAndUpdate(
+            { key, expiresAt: { $lte: now } },
+            { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMs) } },
+            { new: true, upsert: true }
+          );
+        } catch (error) {
+          // Another request opened the window first
+          if (error.code !== 11000) throw error;
+          entry = await RateLimit.findOneAndUpdate(
+            { key },
+            { $inc: { count: 1 } },
+            { new: true }
+          );
+        }
+      }
+
+      return { count: entry.count, resetAt: entry.expiresAt.getTime() };
+    },
+
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+let activeStore = null;
+
+// Build the store named by RATE_LIMIT_STORE
+const createConfiguredStore = () => {
+  const type = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+  if (type === 'mongo') {
+    return createMongoStore();
+  }
+
+  if (type === 'redis') {
+    const { createClient } = require('redis');
+    // Commands fail at once while Redis is down or reconnecting instead of
+    // queueing, so limiters fail open rather than hang the request
+    const client = createClient({ url: process.env.REDIS_URL, disableOfflineQueue: true });
+
+    client.on('error', (error) => {
+      console.error('Rate limit Redis error:', error.message);
+    });
+    client.connect().catch((error) => {
+      console.error('Rate limit Redis connection failed:', error.message);
+    });
+
+    return createRedisStore(client);
+  }
+
+  return createMemoryStore();
+};
+
+// Store shared by all limiters
+const getLimiterStore = () => {
+  if (!activeStore) {
+    activeStore = createConfiguredStore();
+  }
+  return activeStore;
+};
+
+// Replace the shared store (e.g. with an in-memory stand-in)
+const setLimiterStore = (store) => {
+  activeStore = store;
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createMongoStore,
+  getLimiterStore,
+  setLimiterStore
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const StatementImport = require('../models/StatementImport');
+
+// Match bank statement credits (see utils/bankStatement.js) to UPI orders by
+// the transaction ID the customer entered at checkout (or the order number
+// written in the payment remark), then mark them paid.
+
+// Rupees of difference still treated as the same amount (bank rounding)
+const AMOUNT_TOLERANCE = 0.5;
+
+const UNPAID_STATUSES = ['pending', 'processing', 'failed'];
+
+// Transaction IDs are compared without spaces, in upper case
+const normalizeTransactionId = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches a stored value equal to `value` apart from case and surrounding spaces
+const exactIgnoringCase = (value) => new RegExp(`^\\s*${escapeRegex(value)}\\s*$`, 'i');
+
+// Words of a credit's reference and narration that could be an order number
+// (letters and digits, e.g. "sgd20260012"), normalised like transaction IDs
+const orderNumberCandidates = (entry) => [...new Set(
+  `${entry.reference || ''} ${entry.description || ''}`
+    .split(/[\s/|,;:]+/)
+    .map(normalizeTransactionId)
+    .filter(word => word.length >= 6 && /[A-Z]/.test(word) && /\d/.test(word))
+)];
+
+const fingerprintEntry = (entry) => crypto
+  .createHash('sha1')
+  .update([entry.date.toISOString().slice(0, 10), entry.amount.toFixed(2), [...entry.references].sort().join(',')].join('|'))
+  .digest('hex');
+
+// Classify each credit. Returns entries ready to store on a StatementImport.
+const matchStatementEntries = async (entries) => {
+  const withFingerprints = entries.map(entry => ({ ...entry, fingerprint: fingerprintEntry(entry) }));
+
+  // Credits an earlier import already paid an order with. Ones that didn't
+  // match (or were never applied) can match on a later import.
+  const previous = await StatementImport.find(
+    {
+      entries: {
+        $elemMatch: { fingerprint: { $in: withFingerprints.map(entry => entry.fingerprint) }, status: 'applied' }
+      }
+    },
+    { 'entries.fingerprint': 1, 'entries.status': 1 }
+  ).lean();
+  const importedBefore = new Set(previous.flatMap(doc => doc.entries
+    .filter(entry => entry.status === 'applied')
+    .map(entry => entry.fingerprint)));
+
+  // Orders carrying any of the references as their transaction ID, or named
+  // by order number in the narration. Stored values may predate normalisation,
+  // so both are matched trimmed and case-insensitively.
+  const keysByEntry = withFingerprints.map(entry => [...new Set([...entry.references, ...orderNumberCandidates(entry)])]);
+  const references = [...new Set(withFingerprints.flatMap(entry => entry.references))];
+  const orderNumbers = [...new Set(withFingerprints.flatMap(orderNumberCandidates))];
+  const orders = await Order.find({
+    $or: [
+      { 'paymentInfo.manualTransactionId': { $in: references.map(exactIgnoringCase) } },
+      { orderNumber: { $in: orderNumbers.map(exactIgnoringCase) } }
+    ]
+  }).select('orderNumber status pricing.total paymentInfo.paymentStatus paymentInfo.manualTransactionId');
+
+  const ordersByReference = new Map();
+  const addOrder = (key, order) => {
+    const list = ordersByReference.get(key) || [];
+    if (!list.includes(order)) {
+      ordersByReference.set(key, [...list, order]);
+    }
+  };
+  orders.forEach(order => {
+    if (order.paymentInfo.manualTransactionId) {
+      addOrder(normalizeTransactionId(order.paymentInfo.manualTransactionId), order);
+    }
+    addOrder(normalizeTransactionId(order.orderNumber), order);
+  });
+
+  const seenFingerprints = new Set();
+  const claimedOrders = new Map();
+
+  return withFingerprints.map((entry, index) => {
+    const result = { ...entry };
+
+    if (importedBefore.has(entry.fingerprint) || seenFingerprints.has(entry.fingerprint)) {
+      return { ...result, status: 'duplicate', note: 'This credit was already applied to an order' };
+    }
+    seenFingerprints.add(entry.fingerprint);
+
+    const matchedReference = keysByEntry[index].find(ref => ordersByReference.has(ref));
+
+    if (!matchedReference) {
+      return { ...result, status: 'unmatched' };
+    }
+
+    const candidates = ordersByReference.get(matchedReference);
+    const order = candidates[0];
+    Object.assign(result, {
+      matchedReference,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      orderTotal: order.pricing.total
+    });
+
+    if (candidates.length > 1) {
+      return {
+        ...result,
+        status: 'duplicate',
+        note: `Transaction ID is used by ${candidates.length} orders: ${candidates.map(o => o.orderNumber).join(', ')}`
+      };
+    }
+
+    if (!UNPAID_STATUSES.includes(order.paymentInfo.paymentStatus)) {
+      return { ...result, status: 'already-paid', note: `Payment status is ${order.paymentInfo.paymentStatus}` };
+    }
+
+    if (order.status === 'cancelled') {
+      return { ...result, status: 'unmatched', note: `Order ${order.orderNumber} is cancelled` };
+    }
+
+    const claimedBy = claimedOrders.get(order._id.toString());
+    if (claimedBy) {
+      return { ...result, status: 'duplicate', note: `Order already matched by row ${claimedBy}` };
+    }
+
+    if (Math.abs(entry.amount - order.pricing.total) > AMOUNT_TOLERANCE) {
+      return {
+        ...result,
+        status: 'amount-mismatch',
+        note: `Credit of ${entry.amount} but order total is ${order.pricing.total}`
+      };
+    }
+
+    claimedOrders.set(order._id.toString(), entry.row);
+    return { ...result, status: 'matched' };
+  });
+};
+
+// Mark the orders of matched entries paid. `entryIds` limits it to some entries.
+// Orders paid some other way since the import was made are left alone.
+const applyStatementImport = async (statementImport, { actor, entryIds } = {}) => {
+  const selected = entryIds ? new Set(entryIds.map(String)) : null;
+  const reconciledAt = new Date();
+  const results = { applied: 0, skipped: 0 };
+
+  for (const entry of statementImport.entries) {
+    if (entry.status !== 'matched' || (selected && !selected.has(entry._id.toString()))) {
+      continue;
+    }
+
+    const update = await Order.updateOne(
+      { _id: entry.order, 'paymentInfo.paymentStatus': { $in: UNPAID_STATUSES } },
+      {
+        $set: {
+          'paymentInfo.paymentStatus': 'completed',
+          'paymentInfo.paidAt': entry.date,
+          'paymentInfo.reconciliation': {
+            statementImport: statementImport._id,
+            reference: entry.matchedReference,
+            amount: entry.amount,
+            reconciledBy: actor,
+            reconciledAt
+          }
+        }
+      }
+    );
+
+    if (update.modifiedCount) {
+      entry.status = 'applied';
+      results.applied += 1;
+    } else {
+      entry.status = 'already-paid';
+      entry.note = 'Order was marked paid before this import was applied';
+      results.skipped += 1;
+    }
+  }
+
+  statementImport.summarize();
+  statementImport.status = 'applied';
+  statementImport.appliedBy = actor;
+  statementImport.appliedAt = reconciledAt;
+  await statementImport.save();
+
+  return results;
+};
+
+module.exports = {
+  normalizeTransactionId,
+  matchStatementEntries,
+  applyStatementImport
+};
@@ -0,0 +1,235 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const ReturnRequest = require('../models/ReturnRequest');
+const { RETURN_WINDOW_DAYS } = require('../config/returns');
+const { refundPayment } = require('./payments');
+const { returnStock } = require('./stock');
+
+// Return (RMA) and refund rules shared by routes/returns.js.
+// Errors meant for the client carry a statusCode, as in utils/pricing.js.
+
+const returnError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Return requests that still hold on to their items
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'refunded'];
+
+// What the customer paid per unit of an order line: after the order discount
+// and including GST when the line has a tax breakdown
+const unitRefundValue = (item) => {
+  if (item.tax && item.tax.taxableValue !== undefined) {
+    return roundCurrency((item.tax.taxableValue + item.tax.totalTax) / item.quantity);
+  }
+  return item.price;
+};
+
+// Throws unless the order can take a new return request
+const checkReturnEligibility = (order, now = new Date()) => {
+  if (order.status !== 'completed') {
+    throw returnError('Only delivered orders can be returned', 409);
+  }
+
+  if (order.paymentInfo.paymentStatus !== 'completed') {
+    throw returnError('Only paid orders can be returned', 409);
+  }
+
+  const deliveredAt = order.actualDelivery || order.updatedAt;
+  const windowEnds = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  if (now > windowEnds) {
+    throw returnError(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`, 409);
+  }
+};
+
+// Quantity of each order line already covered by open return requests
+const getReturnedQuantities = async (orderId) => {
+  const requests = await ReturnRequest.find({ order: orderId, status: { $in: OPEN_RETURN_STATUSES } })
+    .select('items')
+    .lean();
+  const quantities = new Map();
+
+  requests.forEach(request => {
+    request.items.forEach(item => {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return quantities;
+};
+
+// Validate the lines a customer wants to return against an order whose
+// items.product is populated. Returns return-request items.
+const buildReturnItems = async (order, requestedItems) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw returnError('Select at least one item to return');
+  }
+
+  const returned = await getReturnedQuantities(order._id);
+  const seen = new Set();
+
+  return requestedItems.map(requested => {
+    const item = order.items.id(requested.itemId);
+
+    if (!item) {
+      throw returnError(`Order item ${requested.itemId} not found`);
+    }
+    if (seen.has(item._id.toString())) {
+      throw returnError('Each order item can only be listed once');
+    }
+    seen.add(item._id.toString());
+
+    const product = item.product;
+    const name = product && product.name ? product.name : 'This item';
+
+    if (!product || product.isReturnable === false) {
+      throw returnError(`${name} is made to order and can't be returned`, 422);
+    }
+
+    const quantity = parseInt(requested.quantity, 10);
+    const available = item.quantity - (returned.get(item._id.toString()) || 0);
+
+    if (!quantity || quantity < 1) {
+      throw returnError(`Invalid quantity for ${name}`);
+    }
+    if (quantity > available) {
+      throw returnError(`Only ${available} of ${name} can still be returned`, 422);
+    }
+
+    return {
+      orderItem: item._id,
+      product: product._id,
+      productName: product.name,
+      variant: item.variant,
+      sku: item.sku,
+      quantity,
+      unitRefund: unitRefundValue(item),
+      reason: requested.reason,
+      comment: requested.comment
+    };
+  });
+};
+
+// Put a claimed return back to approved after its refund failed
+const releaseRefundClaim = (returnRequest) => ReturnRequest.updateOne(
+  { _id: returnRequest._id, status: 'refunded', refund: null },
+  { $set: { status: 'approved' } }
+);
+
+// Pay out an approved return: record it in the refunds ledger, update the
+// order's payment info (and status once fully refunded) and restock items.
+// `amount` defaults to the value of the returned items and can't exceed it.
+const issueRefund = async (returnRequest, { amount, restock = true, reference, note, actor }) => {
+  if (!returnRequest.canTransitionTo('refunded')) {
+    throw returnError(`A ${returnRequest.status} return can't be refunded`, 409);
+  }
+
+  const refundAmount = roundCurrency(amount === undefined ? returnRequest.itemsValue : Number(amount));
+
+  if (!(refundAmount > 0)) {
+    throw returnError('Refund amount must be positive');
+  }
+
+  if (refundAmount > returnRequest.itemsValue) {
+    throw returnError(`Refund can't be more than the value of the returned items (₹${returnRequest.itemsValue})`, 422);
+  }
+
+  // Claim the return atomically so it is refunded once, however many
+  // requests race for it. The status history is written with the final save.
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: 'approved' },
+    { $set: { status: 'refunded' } }
+  );
+
+  if (!claimed) {
+    throw returnError('This return is no longer waiting for a refund', 409);
+  }
+
+  let order;
+  let gatewayRefund = null;
+  try {
+    // Reserve the amount atomically so refunds can't exceed the order total
+    order = await Order.findOneAndUpdate(
+      {
+        _id: returnRequest.order,
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$paymentInfo.refundAmount', 0] }, refundAmount] }, '$pricing.total'] }
+      },
+      {
+        $inc: { 'paymentInfo.refundAmount': refundAmount },
+        $set: { 'paymentInfo.refundedAt': new Date() }
+      },
+      { new: true }
+    );
+
+    if (!order) {
+      throw returnError('Refund exceeds the amount left to refund on this order', 422);
+    }
+
+    // Online payments are refunded through their gateway; undo the reservation if that fails
+    if (order.paymentInfo.method === 'online') {
+      try {
+        gatewayRefund = await refundPayment(order, refundAmount, returnRequest.returnNumber);
+      } catch (error) {
+        await Order.updateOne({ _id: order._id }, { $inc: { 'paymentInfo.refundAmount': -refundAmount } });
+        throw error;
+      }
+    }
+  } catch (error) {
+    await releaseRefundClaim(returnRequest);
+    throw error;
+  }
+
+  const fullyRefunded = order.paymentInfo.refundAmount >= order.pricing.total - 0.005;
+
+  const refund = await Refund.create({
+    order: order._id,
+    returnRequest: returnRequest._id,
+    customer: order.customer,
+    amount: refundAmount,
+    type: fullyRefunded ? 'full' : 'partial',
+    method: order.paymentInfo.method,
+    reference: reference || (gatewayRefund ? gatewayRefund.providerRefundId : undefined),
+    items: returnRequest.items.map(item => ({
+      product: item.product,
+      quantity: item.quantity,
+      amount: roundCurrency(item.unitRefund * item.quantity)
+    })),
+    restocked: !!restock,
+    note,
+    processedBy: actor
+  });
+
+  if (fullyRefunded) {
+    order.paymentInfo.paymentStatus = 'refunded';
+    if (order.canTransitionTo('refunded')) {
+      order.transitionTo('refunded', { actor, note: `Refund ${refund.refundNumber}` });
+    }
+    await order.save();
+  }
+
+  // Only stock-tracked products are restocked
+  if (restock) {
+    await Promise.all(returnRequest.items.map(item => returnStock(item.product, item.variant, item.quantity)));
+  }
+
+  returnRequest.refund = refund._id;
+  returnRequest.refundAmount = refundAmount;
+  returnRequest.transitionTo('refunded', { actor, note });
+  await returnRequest.save();
+
+  return { refund, order };
+};
+
+module.exports = {
+  returnError,
+  unitRefundValue,
+  checkReturnEligibility,
+  getReturnedQuantities,
+  buildReturnItems,
+  issueRefund
+};
@@ -0,0 +1,13 @@
+// Helpers shared by the shipping module and its carriers.
+
+// Errors meant for the client carry a statusCode, as in utils/pricing.js.
+// Carrier failures default to 502 Bad Gateway.
+const shippingError = (message, statusCode = 502) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = {
+  shippingError
+};
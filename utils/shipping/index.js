@@ -0,0 +1,412 @@
+const CustomDesignOrder = require('../../models/CustomDesignOrder');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const Shipment = require('../../models/Shipment');
+const { SHIPPING_CARRIER, TRACKING_STATUSES, FINAL_TRACKING_STATUSES } = require('../../config/shipping');
+const { shippingError } = require('./common');
+const { isValidPincode, getItemsWeight, calculateRate } = require('./rates');
+
+// Shipping for both store orders and custom design orders: rates from the
+// weight/zone table, shipments booked with a carrier, and tracking events
+// from carrier webhooks, carrier lookups or staff. The order's `shipping`
+// fields mirror its shipment, and delivery completes the order.
+//
+// Every carrier module exports:
+//   name, isConfigured()
+//   createShipment({ reference, address, weightGrams }) -> { trackingNumber, carrierShipmentId, labelUrl }
+//   cancelShipment({ trackingNumber, carrierShipmentId })
+//   getTracking({ trackingNumber, carrierShipmentId }) -> { events } | null (null = carrier can't be asked)
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(rawBody, headers) -> { trackingNumber, events } | null (null = not tracking)
+//   getRate({ pincode, weightGrams }) - optional; the rate table is used otherwise
+// Events look like { eventId, status, description, location, occurredAt } with
+// status one of TRACKING_STATUSES.
+
+const CARRIERS = {
+  local: require('./local')
+};
+
+const getCarrier = (name = SHIPPING_CARRIER) => {
+  const carrier = CARRIERS[name];
+
+  if (!carrier) {
+    throw shippingError(`Unknown carrier "${name}"`, 404);
+  }
+  if (!carrier.isConfigured()) {
+    throw shippingError(`Carrier "${name}" is not configured`, 503);
+  }
+
+  return carrier;
+};
+
+// How each kind of order is shipped. `type` names are what the API takes.
+const ORDER_TYPES = {
+  order: {
+    modelName: 'Order',
+    load: (id) => Order.findById(id).populate('items.product', 'name shippingWeight'),
+    checkShippable: (order) => (['confirmed', 'in-progress'].includes(order.status)
+      ? null
+      : `A ${order.status} order cannot be shipped`),
+    getAddress: (order) => ({
+      fullName: order.shippingAddress.fullName,
+      phone: order.shippingAddress.phone,
+      street: order.shippingAddress.street,
+      city: order.shippingAddress.city,
+      state: order.shippingAddress.state,
+      zipCode: order.shippingAddress.zipCode
+    }),
+    getItems: (order) => order.items.map(item => ({ product: item.product, quantity: item.quantity })),
+    onShipped: (order, shipment) => {
+      order.estimatedDelivery = shipment.estimatedDelivery || order.estimatedDelivery;
+    },
+    onDelivered: (order, shipment) => {
+      order.actualDelivery = shipment.deliveredAt;
+      if (order.canTransitionTo('completed')) {
+        order.transitionTo('completed', { note: `Delivered (${shipment.trackingNumber})` });
+      }
+    },
+    onCancelled: () => {}
+  },
+  'custom-design-order': {
+    modelName: 'CustomDesignOrder',
+    load: (id) => CustomDesignOrder.findById(id)
+      .populate('product', 'name shippingWeight')
+      .populate('customer', 'name phone'),
+    checkShippable: (order) => (['quality-check', 'shipped'].includes(order.status)
+      ? null
+      : 'Custom design orders can be shipped once they pass quality check'),
+    getAddress: (order) => {
+      const address = order.deliveryOptions.address || {};
+      return {
+        fullName: order.customer && order.customer.name,
+        phone: order.customer && order.customer.phone,
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        zipCode: address.zipCode
+      };
+    },
+    getItems: (order) => [{ product: order.product, quantity: order.quantity }],
+    onShipped: (order, shipment, actor) => {
+      if (order.status === 'quality-check') {
+        order.updateStatus('shipped', actor);
+      }
+    },
+    onDelivered: (order) => {
+      if (order.canTransitionTo('delivered')) {
+        order.updateStatus('delivered');
+      }
+    },
+    // Back to quality check, ready to be shipped again
+    onCancelled: (order, shipment, actor) => {
+      if (order.status === 'shipped') {
+        order.updateStatus('quality-check', actor);
+      }
+    }
+  }
+};
+
+const getOrderType = (type) => {
+  const orderType = ORDER_TYPES[type];
+
+  if (!orderType) {
+    throw shippingError(`Order type must be one of: ${Object.keys(ORDER_TYPES).join(', ')}`, 400);
+  }
+
+  return orderType;
+};
+
+const typeOfShipment = (shipment) => Object.values(ORDER_TYPES).find(type => type.modelName === shipment.orderModel);
+
+// Copy the shipment onto the order's `shipping` fields
+const mirrorShipment = (order, shipment) => {
+  order.shipping.shipment = shipment._id;
+  order.shipping.carrier = shipment.carrier;
+  order.shipping.trackingNumber = shipment.trackingNumber;
+  order.shipping.shippedAt = shipment.shippedAt;
+  order.shipping.deliveredAt = shipment.deliveredAt;
+  order.shipping.shippingCost = shipment.cost;
+};
+
+// Clear the shipment from the order's `shipping` fields
+const unlinkShipment = (order) => {
+  order.shipping.shipment = undefined;
+  order.shipping.carrier = undefined;
+  order.shipping.trackingNumber = undefined;
+  order.shipping.shippedAt = undefined;
+  order.shipping.deliveredAt = undefined;
+  order.shipping.shippingCost = 0;
+};
+
+// Rate for a parcel from the carrier, or the rate table
+const getShippingRate = async ({ pincode, weightGrams, carrier = getCarrier() }) => {
+  if (!isValidPincode(pincode)) {
+    throw shippingError('Please enter a valid 6-digit pincode', 400);
+  }
+
+  return carrier.getRate
+    ? carrier.getRate({ pincode: String(pincode).trim(), weightGrams })
+    : calculateRate(String(pincode).trim(), weightGrams);
+};
+
+// Rate quote for [{ product, quantity }] going to `pincode`
+const quoteShipping = async (pincode, items) => {
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } }).select('shippingWeight');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+  const weightGrams = getItemsWeight(items.map(item => ({
+    product: byId.get(String(item.product)),
+    quantity: Number(item.quantity) || 1
+  })));
+
+  return getShippingRate({ pincode, weightGrams });
+};
+
+// Book a shipment for an order (type is a key of ORDER_TYPES). An order has
+// one active shipment at a time. Resolves to the shipment.
+const createShipment = async (type, orderId, { carrier: carrierName, weightGrams, actor } = {}) => {
+  const orderType = getOrderType(type);
+  const order = await orderType.load(orderId);
+
+  if (!order) {
+    throw shippingError('Order not found', 404);
+  }
+
+  const reason = orderType.checkShippable(order);
+  if (reason) {
+    throw shippingError(reason, 409);
+  }
+
+  const address = orderType.getAddress(order);
+  if (!isValidPincode(address.zipCode)) {
+    throw shippingError('The delivery address has no valid pincode', 400);
+  }
+
+  if (await Shipment.exists({ order: order._id, isActive: true })) {
+    throw shippingError('This order already has a shipment', 409);
+  }
+
+  const carrier = getCarrier(carrierName);
+  const weight = weightGrams || getItemsWeight(orderType.getItems(order));
+  const rate = await getShippingRate({ pincode: address.zipCode, weightGrams: weight, carrier });
+  const booked = await carrier.createShipment({ reference: order.orderNumber, address, weightGrams: weight });
+  const now = new Date();
+
+  let shipment;
+  try {
+    shipment = await Shipment.create({
+      orderModel: orderType.modelName,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      carrier: carrier.name,
+      trackingNumber: booked.trackingNumber,
+      carrierShipmentId: booked.carrierShipmentId,
+      labelUrl: booked.labelUrl || undefined,
+      address,
+      zone: rate.zone,
+      weightGrams: weight,
+      cost: rate.cost,
+      estimatedDelivery: rate.estimatedDelivery,
+      shippedAt: now,
+      events: [{
+        eventId: 'created',
+        status: 'created',
+        description: 'Shipment created',
+        occurredAt: now,
+        source: 'manual',
+        recordedBy: actor
+      }],
+      createdBy: actor
+    });
+  } catch (error) {
+    await Promise.resolve(carrier.cancelShipment(booked))
+      .catch(cancelError => console.error('Carrier cancel error:', cancelError.message));
+    if (error.code === 11000) {
+      throw shippingError('This order already has a shipment', 409);
+    }
+    throw error;
+  }
+
+  try {
+    orderType.onShipped(order, shipment, actor);
+    mirrorShipment(order, shipment);
+    await order.save();
+  } catch (error) {
+    await Shipment.updateOne({ _id: shipment._id }, { $set: { status: 'cancelled', isActive: false } });
+    throw error;
+  }
+
+  return shipment;
+};
+
+// Status a shipment is in after its events: the first final one (delivered,
+// returned, cancelled) if any, otherwise the latest. Carriers send events
+// late and out of order, so this is worked out from all of them.
+const deriveStatus = (events) => {
+  const sorted = [...events].sort((a, b) => a.occurredAt - b.occurredAt);
+  const final = sorted.find(event => FINAL_TRACKING_STATUSES.includes(event.status));
+  return final || sorted[sorted.length - 1];
+};
+
+// Add tracking events to a shipment. Events already recorded (same eventId)
+// and unknown statuses are skipped. Resolves to { shipment, added }.
+const recordTrackingEvents = async (shipment, events, { source = 'carrier', actor } = {}) => {
+  let added = 0;
+
+  for (const event of events) {
+    if (!TRACKING_STATUSES.includes(event.status)) {
+      continue;
+    }
+
+    const time = event.occurredAt ? new Date(event.occurredAt) : null;
+    const occurredAt = time && !isNaN(time) ? time : new Date();
+    const entry = {
+      eventId: event.eventId || `${event.status}:${occurredAt.toISOString()}`,
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt,
+      source,
+      recordedBy: actor
+    };
+
+    const update = await Shipment.updateOne(
+      { _id: shipment._id, 'events.eventId': { $ne: entry.eventId } },
+      { $push: { events: entry } }
+    );
+    added += update.modifiedCount;
+  }
+
+  if (added === 0) {
+    return { shipment, added };
+  }
+
+  const current = await Shipment.findById(shipment._id);
+  const latest = deriveStatus(current.events);
+  const wasDelivered = current.status === 'delivered';
+
+  current.status = latest.status;
+  current.isActive = !['returned', 'cancelled'].includes(latest.status);
+  if (latest.status === 'delivered') {
+    current.deliveredAt = latest.occurredAt;
+  }
+  await current.save();
+
+  // Keep the order in step
+  const orderType = typeOfShipment(current);
+  const order = await orderType.load(current.order);
+
+  if (order && order.shipping.shipment && order.shipping.shipment.equals(current._id)) {
+    if (current.status === 'delivered' && !wasDelivered) {
+      orderType.onDelivered(order, current);
+    }
+    mirrorShipment(order, current);
+    await order.save();
+  }
+
+  return { shipment: current, added };
+};
+
+// Ask the carrier for the latest tracking
+const syncTracking = async (shipment) => {
+  const tracking = await getCarrier(shipment.carrier).getTracking({
+    trackingNumber: shipment.trackingNumber,
+    carrierShipmentId: shipment.carrierShipmentId
+  });
+
+  if (!tracking) {
+    throw shippingError('This carrier does not report tracking; add events by hand', 409);
+  }
+
+  return recordTrackingEvents(shipment, tracking.events);
+};
+
+// Handle a verified tracking webhook. Events for shipments we don't know are
+// acknowledged and ignored.
+const handleTrackingWebhook = async (carrierName, rawBody, headers) => {
+  const carrier = getCarrier(carrierName);
+
+  if (!rawBody || !carrier.verifyWebhook(rawBody, headers)) {
+    throw shippingError('Invalid webhook signature', 401);
+  }
+
+  const update = carrier.parseWebhook(rawBody, headers);
+
+  if (!update) {
+    return { ignored: true };
+  }
+
+  const shipment = await Shipment.findOne({ carrier: carrier.name, trackingNumber: update.trackingNumber });
+
+  if (!shipment) {
+    return { ignored: true };
+  }
+
+  const { added } = await recordTrackingEvents(shipment, update.events);
+  return { shipment: shipment._id, added };
+};
+
+// Cancel a shipment that hasn't been picked up; the order can then be shipped again
+const cancelShipment = async (shipment, { actor, note } = {}) => {
+  if (shipment.status !== 'created') {
+    throw shippingError('Only shipments not yet picked up can be cancelled', 409);
+  }
+
+  await getCarrier(shipment.carrier).cancelShipment({
+    trackingNumber: shipment.trackingNumber,
+    carrierShipmentId: shipment.carrierShipmentId
+  });
+
+  await recordTrackingEvents(shipment, [{
+    eventId: 'cancelled',
+    status: 'cancelled',
+    description: note || 'Shipment cancelled'
+  }], { source: 'manual', actor });
+
+  // The order no longer has a parcel on its way
+  const orderType = typeOfShipment(shipment);
+  const order = await orderType.load(shipment.order);
+
+  if (order && order.shipping.shipment && order.shipping.shipment.equals(shipment._id)) {
+    unlinkShipment(order);
+    orderType.onCancelled(order, shipment, actor);
+    await order.save();
+  }
+
+  return Shipment.findById(shipment._id);
+};
+
+// Tracking as shown to customers: the order's current (or last) shipment
+const getOrderTracking = async (order) => {
+  const shipment = await Shipment.findOne({ order: order._id }).sort({ isActive: -1, createdAt: -1 });
+
+  if (!shipment) {
+    return null;
+  }
+
+  return {
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    status: shipment.status,
+    estimatedDelivery: shipment.estimatedDelivery,
+    shippedAt: shipment.shippedAt,
+    deliveredAt: shipment.deliveredAt,
+    events: [...shipment.events]
+      .sort((a, b) => b.occurredAt - a.occurredAt)
+      .map(({ status, description, location, occurredAt }) => ({ status, description, location, occurredAt }))
+  };
+};
+
+module.exports = {
+  shippingError,
+  ORDER_TYPES,
+  getCarrier,
+  getShippingRate,
+  quoteShipping,
+  createShipment,
+  recordTrackingEvents,
+  syncTracking,
+  handleTrackingWebhook,
+  cancelShipment,
+  getOrderTracking
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { LOCAL_CARRIER } = require('../../config/shipping');
+const { hmacHex, safeEqual } = require('../payments/common');
+
+// Parcels we deliver or hand to a courier counter ourselves. Tracking numbers
+// are issued here; tracking events are added by staff (POST
+// /api/shipping/shipments/:id/events) or pushed by a webhook signed with
+// LOCAL_CARRIER_WEBHOOK_SECRET, e.g. from a delivery partner's app.
+// Rates come from the rate table.
+
+const name = 'local';
+
+const isConfigured = () => true;
+
+const SIGNATURE_HEADER = 'x-local-signature';
+
+const createShipment = async () => {
+  const trackingNumber = `SGD${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+  return {
+    trackingNumber,
+    carrierShipmentId: trackingNumber,
+    labelUrl: null
+  };
+};
+
+const cancelShipment = async () => ({ cancelled: true });
+
+// Events are pushed to us; there is nothing to ask
+const getTracking = async () => null;
+
+// Signed webhook delivery for a payload: { rawBody, headers }
+const signWebhook = (payload) => {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: hmacHex(LOCAL_CARRIER.webhookSecret, rawBody) }
+  };
+};
+
+// Unsigned deliveries are never accepted, so no secret means no webhooks
+const verifyWebhook = (rawBody, headers) => !!LOCAL_CARRIER.webhookSecret
+  && safeEqual(hmacHex(LOCAL_CARRIER.webhookSecret, rawBody), headers[SIGNATURE_HEADER]);
+
+// { trackingNumber, events: [{ id, status, description, location, time }] }
+const parseWebhook = (rawBody) => {
+  const body = JSON.parse(rawBody.toString('utf8'));
+
+  if (!body.trackingNumber || !Array.isArray(body.events)) {
+    return null;
+  }
+
+  return {
+    trackingNumber: body.trackingNumber,
+    events: body.events.map(event => ({
+      eventId: event.id,
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt: event.time ? new Date(event.time) : undefined
+    }))
+  };
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  createShipment,
+  cancelShipment,
+  getTracking,
+  signWebhook,
+  verifyWebhook,
+  parseWebhook
+};
@@ -0,0 +1,65 @@
+const {
+  ORIGIN_PINCODE,
+  REMOTE_PINCODE_PREFIXES,
+  SLAB_GRAMS,
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  RATE_TABLE
+} = require('../../config/shipping');
+const { shippingError } = require('./common');
+
+// Weight/zone rate table lookups (rates are in config/shipping.js)
+
+const isValidPincode = (pincode) => /^[1-9][0-9]{5}$/.test(String(pincode || '').trim());
+
+// Zone of a destination pincode, as seen from the origin pincode
+const getZone = (pincode, origin = ORIGIN_PINCODE) => {
+  const destination = String(pincode).trim();
+
+  if (origin && destination.slice(0, 3) === origin.slice(0, 3)) {
+    return 'local';
+  }
+  if (origin && destination.slice(0, 2) === origin.slice(0, 2)) {
+    return 'regional';
+  }
+  if (REMOTE_PINCODE_PREFIXES.some(prefix => destination.startsWith(prefix))) {
+    return 'remote';
+  }
+  return 'national';
+};
+
+// Packed weight in grams of [{ product, quantity }] (products loaded with shippingWeight)
+const getItemsWeight = (items) => items.reduce((sum, { product, quantity }) => {
+  const unitWeight = (product && product.shippingWeight) || DEFAULT_ITEM_WEIGHT_GRAMS;
+  return sum + unitWeight * quantity;
+}, 0);
+
+// Rate for sending `weightGrams` to `pincode`:
+// { zone, weightGrams, slabs, cost, transitDays, estimatedDelivery }
+const calculateRate = (pincode, weightGrams, { from = new Date() } = {}) => {
+  if (!isValidPincode(pincode)) {
+    throw shippingError('Please enter a valid 6-digit pincode', 400);
+  }
+
+  const zone = getZone(pincode);
+  const rate = RATE_TABLE[zone];
+  const slabs = Math.max(1, Math.ceil(weightGrams / SLAB_GRAMS));
+
+  const estimatedDelivery = new Date(from);
+  estimatedDelivery.setDate(estimatedDelivery.getDate() + rate.transitDays);
+
+  return {
+    zone,
+    weightGrams,
+    slabs,
+    cost: rate.firstSlab + (slabs - 1) * rate.additionalSlab,
+    transitDays: rate.transitDays,
+    estimatedDelivery
+  };
+};
+
+module.exports = {
+  isValidPincode,
+  getZone,
+  getItemsWeight,
+  calculateRate
+};
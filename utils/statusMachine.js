@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const { sendOrderStatusUpdateEmail } = require('./email');
+
+// Declarative status state machine, applied to a schema as a plugin:
+//
+//   schema.plugin(statusMachine, {
+//     transitions: { pending: ['confirmed', 'cancelled'], ... },
+//     guards: { cancelled: (doc, context) => 'reason it is not allowed' | null },
+//     effects: { completed: (doc, context) => { doc.actualDelivery = new Date(); } },
+//     notify: async (doc, change) => { ... } // after the change is saved
+//   });
+//
+// Documents gain `transitionTo(status, { actor, note })`, `canTransitionTo()`,
+// `allowedTransitions()` and a `statusHistory` array. Changing the status any
+// other way is rejected on save unless the transition is allowed.
+
+// Errors thrown for invalid transitions carry the HTTP status to respond with
+const statusError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const statusMachine = (schema, { field = 'status', transitions, guards = {}, effects = {}, notify } = {}) => {
+  schema.add({ statusHistory: [statusHistorySchema] });
+
+  const allowedFrom = (from) => transitions[from] || [];
+
+  // Reason a transition is not allowed, or null
+  const checkTransition = (doc, from, to, context = {}) => {
+    if (!schema.path(field).enumValues.includes(to)) {
+      return statusError(`Invalid status: ${to}`, 400);
+    }
+    if (!allowedFrom(from).includes(to)) {
+      return statusError(`Cannot change status from ${from} to ${to}`);
+    }
+    const reason = guards[to] ? guards[to](doc, context) : null;
+    return reason ? statusError(reason) : null;
+  };
+
+  schema.statics.statusTransitions = transitions;
+
+  schema.methods.allowedTransitions = function () {
+    return allowedFrom(this.get(field)).filter(to => !checkTransition(this, this.get(field), to));
+  };
+
+  schema.methods.canTransitionTo = function (to, context) {
+    return !checkTransition(this, this.get(field), to, context);
+  };
+
+  // Move to a new status, applying its side effects. Throws if not allowed.
+  // Returns the change, or null when the document already has that status.
+  schema.methods.transitionTo = function (to, { actor, note } = {}) {
+    const from = this.get(field);
+
+    if (from === to) {
+      return null;
+    }
+
+    const context = { actor, note, from };
+    const error = checkTransition(this, from, to, context);
+    if (error) {
+      throw error;
+    }
+
+    this.set(field, to);
+    if (effects[to]) {
+      effects[to](this, context);
+    }
+
+    const change = {
+      from,
+      to,
+      changedBy: actor ? actor._id || actor : undefined,
+      note: note ? String(note).slice(0, 500) : undefined,
+      changedAt: new Date()
+    };
+
+    this.statusHistory.push(change);
+    this.$locals.statusChanges = [...(this.$locals.statusChanges || []), change];
+    return change;
+  };
+
+  // Remember the stored status so direct assignments can be checked on save
+  schema.post('init', function () {
+    this.$locals.persistedStatus = this.get(field);
+  });
+
+  schema.pre('validate', function (next) {
+    if (this.isNew) {
+      if (this.statusHistory.length === 0) {
+        this.statusHistory.push({ to: this.get(field), changedAt: new Date() });
+      }
+      return next();
+    }
+
+    const from = this.$locals.persistedStatus;
+    const to = this.get(field);
+    const recorded = (this.$locals.statusChanges || []).some(change => change.to === to);
+
+    if (from !== undefined && from !== to && !recorded) {
+      const error = checkTransition(this, from, to);
+      if (error) {
+        return next(error);
+      }
+      this.statusHistory.push({ from, to, changedAt: new Date() });
+    }
+
+    next();
+  });
+
+  schema.post('save', function (doc) {
+    const changes = doc.$locals.statusChanges || [];
+    doc.$locals.persistedStatus = doc.get(field);
+    doc.$locals.statusChanges = [];
+
+    if (!notify) {
+      return;
+    }
+
+    // Notifications must never fail the request that changed the status
+    changes.forEach(change => {
+      Promise.resolve()
+        .then(() => notify(doc, change))
+        .catch(error => console.error(`Status notification error (${change.from} -> ${change.to}):`, error.message));
+    });
+  });
+};
+
+// `notify` handler that emails the document's owner about each change
+const emailStatusUpdate = ({ userField, numberField }) => async (doc, change) => {
+  const userId = doc.get(userField);
+  const user = await mongoose.model('User').findById(userId && userId._id ? userId._id : userId).select('name email deletedAt');
+
+  if (!user || user.deletedAt) {
+    return;
+  }
+
+  await sendOrderStatusUpdateEmail(user.email, user.name, doc.get(numberField) || doc._id, change.from, change.to, change.note);
+};
+
+module.exports = {
+  statusMachine,
+  emailStatusUpdate,
+  statusError
+};
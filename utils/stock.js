@@ -0,0 +1,153 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { pricingError } = require('./pricing');
+
+// Stock for stock-tracked products and variants. Tracking is opt-in: a
+// product or variant with no stock number is made to order and never runs
+// out. Products with variants are tracked per variant.
+// Orders take stock when placed and give it back when cancelled; returns
+// give it back when refunded with restock; purchase orders add it when received.
+
+const isTracked = (entry) => !!entry && typeof entry.stock === 'number';
+
+const isInStock = (entry, quantity = 1) => !isTracked(entry) || entry.stock >= quantity;
+
+// Take units if enough are left (atomic); resolves to true when taken
+const takeStock = async (productId, variantId, quantity) => {
+  const update = variantId
+    ? await Product.updateOne(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+      { $inc: { 'variants.$.stock': -quantity } }
+    )
+    : await Product.updateOne(
+      { _id: productId, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } }
+    );
+
+  return update.modifiedCount > 0;
+};
+
+// Put units back, if the product or variant is (still) stock-tracked
+const returnStock = (productId, variantId, quantity) => (variantId
+  ? Product.updateOne(
+    { _id: productId, variants: { $elemMatch: { _id: variantId, stock: { $type: 'number' } } } },
+    { $inc: { 'variants.$.stock': quantity } }
+  )
+  : Product.updateOne(
+    { _id: productId, stock: { $type: 'number' } },
+    { $inc: { stock: quantity } }
+  ));
+
+// Add units bought in (see utils/purchasing.js). A made-to-order product or
+// variant becomes stock-tracked once stock is received for it.
+const receiveStock = async (productId, variantId, quantity) => {
+  const update = variantId
+    ? await Product.updateOne({ _id: productId, 'variants._id': variantId }, { $inc: { 'variants.$.stock': quantity } })
+    : await Product.updateOne({ _id: productId }, { $inc: { stock: quantity } });
+
+  return update.modifiedCount > 0;
+};
+
+// Give back the units reserveStock took for `lines` (e.g. the order then failed to save)
+const releaseReservedStock = (lines, taken) => Promise.all(taken.map((quantity, index) => quantity && returnStock(
+  lines[index].product._id,
+  lines[index].variant ? lines[index].variant._id : null,
+  quantity
+)));
+
+// Take stock for priced lines (see utils/pricing.js priceItems). Returns the
+// units taken per line (0 for untracked lines). Nothing is kept if any line is
+// short.
+const reserveStock = async (lines) => {
+  const taken = [];
+
+  try {
+    for (const line of lines) {
+      const tracked = line.variant ? isTracked(line.variant) : isTracked(line.product);
+
+      if (!tracked) {
+        taken.push(0);
+        continue;
+      }
+
+      const variantId = line.variant ? line.variant._id : null;
+
+      if (!(await takeStock(line.product._id, variantId, line.quantity))) {
+        const label = line.variant ? `${line.product.name} (${line.variant.sku})` : line.product.name;
+        throw pricingError(`Not enough stock for ${label}`, 409);
+      }
+
+      taken.push(line.quantity);
+    }
+  } catch (error) {
+    await releaseReservedStock(lines, taken);
+    throw error;
+  }
+
+  return taken;
+};
+
+// Give back the stock an order took. Safe to call more than once.
+const releaseOrderStock = async (order) => {
+  const reserved = order.items.filter(item => item.stockReserved > 0);
+
+  if (reserved.length === 0) {
+    return;
+  }
+
+  const claim = await Order.updateOne(
+    { _id: order._id, stockReleasedAt: null },
+    { $set: { stockReleasedAt: new Date() } }
+  );
+
+  if (!claim.modifiedCount) {
+    return;
+  }
+
+  await Promise.all(reserved.map(item => returnStock(
+    item.product._id || item.product,
+    item.variant,
+    item.stockReserved
+  )));
+};
+
+// Stock flags for a product in API output (a plain object). Inactive
+// variants are dropped; out-of-stock ones are flagged, or dropped with
+// hideOutOfStock.
+const withStockStatus = (product, { hideOutOfStock = false } = {}) => {
+  const variants = (product.variants || [])
+    .filter(variant => variant.isActive !== false)
+    .map(variant => ({ ...variant, inStock: isInStock(variant) }));
+
+  return {
+    ...product,
+    variants: hideOutOfStock ? variants.filter(variant => variant.inStock) : variants,
+    inStock: variants.length > 0 ? variants.some(variant => variant.inStock) : isInStock(product)
+  };
+};
+
+// Query matching products with something left to sell
+const IN_STOCK_QUERY = {
+  $or: [
+    { 'variants.isActive': { $ne: true }, $or: [{ stock: { $not: { $type: 'number' } } }, { stock: { $gt: 0 } }] },
+    {
+      variants: {
+        $elemMatch: {
+          isActive: true,
+          $or: [{ stock: { $not: { $type: 'number' } } }, { stock: { $gt: 0 } }]
+        }
+      }
+    }
+  ]
+};
+
+module.exports = {
+  isInStock,
+  reserveStock,
+  releaseReservedStock,
+  returnStock,
+  receiveStock,
+  releaseOrderStock,
+  withStockStatus,
+  IN_STOCK_QUERY
+};
@@ -0,0 +1,146 @@
+const taxConfig = require('../config/tax');
+
+// GST calculation for priced order lines (see utils/pricing.js priceItems).
+// Order-level discounts are spread over the lines in proportion to their value
+// before tax, as GST is charged on the discounted transaction value.
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Lowercase, collapse whitespace and resolve known aliases
+const normalizeState = (state) => {
+  const name = String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return taxConfig.STATE_ALIASES[name] || name;
+};
+
+// Two-digit GST state code for a state name (or a code passed straight through)
+const getStateCode = (state) => {
+  const value = String(state || '').trim();
+  if (/^\d{2}$/.test(value)) {
+    return value;
+  }
+  return taxConfig.STATE_CODES[normalizeState(value)] || null;
+};
+
+// Sales outside the seller's state are inter-state and attract IGST.
+// If the seller state isn't configured, every sale is treated as intra-state.
+const isInterStateSupply = (shippingState, sellerState = taxConfig.SELLER_STATE) => {
+  if (!sellerState || !shippingState) {
+    return false;
+  }
+  return normalizeState(shippingState) !== normalizeState(sellerState);
+};
+
+// Tax rule for a product: product override > subcategory > category > default
+const getTaxRule = (product) => {
+  const rule = taxConfig.SUBCATEGORY_RULES[product.subcategory]
+    || taxConfig.CATEGORY_RULES[product.category]
+    || taxConfig.DEFAULT_RULE;
+
+  const override = product.tax || {};
+
+  if (override.gstRate !== undefined && override.gstRate !== null) {
+    return {
+      ...rule,
+      hsnCode: override.hsnCode || rule.hsnCode,
+      slabs: [{ rate: override.gstRate }]
+    };
+  }
+
+  return override.hsnCode ? { ...rule, hsnCode: override.hsnCode } : rule;
+};
+
+// Pick the slab rate for a per-unit amount. For tax-inclusive amounts the
+// threshold is compared with the value net of that slab's own rate.
+const getSlabRate = (slabs, unitAmount, amountIncludesTax) => {
+  for (const slab of slabs) {
+    if (slab.upTo === undefined) {
+      return slab.rate;
+    }
+    const unitTaxable = amountIncludesTax ? unitAmount / (1 + slab.rate / 100) : unitAmount;
+    if (unitTaxable <= slab.upTo) {
+      return slab.rate;
+    }
+  }
+  return slabs[slabs.length - 1].rate;
+};
+
+// Compute GST for lines of { product, quantity, lineTotal }.
+// Returns per-line breakdowns (same order as `lines`) and order totals.
+const calculateGST = (lines, {
+  discount = 0,
+  shippingState,
+  pricesIncludeTax = taxConfig.PRICES_INCLUDE_TAX,
+  sellerState = taxConfig.SELLER_STATE
+} = {}) => {
+  const interState = isInterStateSupply(shippingState, sellerState);
+  const grossTotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+
+  const summary = {
+    taxableValue: 0,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+    totalTax: 0,
+    isInterState: interState,
+    pricesIncludeTax,
+    placeOfSupply: getStateCode(shippingState)
+  };
+
+  const breakdown = lines.map(line => {
+    const rule = getTaxRule(line.product);
+    const lineDiscount = grossTotal > 0 ? discount * (line.lineTotal / grossTotal) : 0;
+    const amount = line.lineTotal - lineDiscount;
+    const rate = getSlabRate(rule.slabs, amount / line.quantity, pricesIncludeTax);
+
+    const baseValue = pricesIncludeTax ? amount / (1 + rate / 100) : amount;
+    let cgst = 0;
+    let sgst = 0;
+    let igst = 0;
+
+    if (interState) {
+      igst = roundCurrency(baseValue * rate / 100);
+    } else {
+      cgst = roundCurrency(baseValue * rate / 200);
+      sgst = cgst;
+    }
+
+    const totalTax = roundCurrency(cgst + sgst + igst);
+    // Inclusive prices: taxable value is whatever is left after the tax, so the line still adds up
+    const taxableValue = roundCurrency(pricesIncludeTax ? amount - totalTax : amount);
+
+    summary.taxableValue += taxableValue;
+    summary.cgst += cgst;
+    summary.sgst += sgst;
+    summary.igst += igst;
+    summary.totalTax += totalTax;
+
+    return {
+      hsnCode: rule.hsnCode,
+      isService: !!rule.isService,
+      rate,
+      discount: roundCurrency(lineDiscount),
+      taxableValue,
+      cgst,
+      sgst,
+      igst,
+      totalTax
+    };
+  });
+
+  ['taxableValue', 'cgst', 'sgst', 'igst', 'totalTax'].forEach(key => {
+    summary[key] = roundCurrency(summary[key]);
+  });
+
+  // What the customer pays: inclusive prices already contain the tax
+  summary.total = roundCurrency(summary.taxableValue + summary.totalTax);
+
+  return { lines: breakdown, summary };
+};
+
+module.exports = {
+  normalizeState,
+  getStateCode,
+  isInterStateSupply,
+  getTaxRule,
+  calculateGST
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateTokenPair, verifyToken, getTokenExpiration } = require('./jwt');
+
+// Build an error carrying the HTTP status the route should respond with
+const tokenError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Issue an access token and a server-tracked refresh token for a session.
+// The session id is the refresh token family and the access token's `sid`.
+const issueTokens = async (user, req, sessionId) => {
+  const jti = crypto.randomUUID();
+  const family = sessionId.toString();
+  const tokens = generateTokenPair(user._id.toString(), { sid: family }, { sid: family, jti, family });
+
+  await RefreshToken.create({
+    user: user._id,
+    jti,
+    family,
+    expiresAt: getTokenExpiration(tokens.refreshToken),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    ...tokens,
+    jti,
+    family,
+    sessionId: family
+  };
+};
+
+// Start a new device session for a login and issue its first token pair
+const startSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const tokens = await issueTokens(user, req, sessionId);
+
+  await Session.start(user, req, {
+    _id: sessionId,
+    expiresAt: getTokenExpiration(tokens.refreshToken)
+  });
+
+  return tokens;
+};
+
+// Revoke a session along with every live refresh token in its family
+const revokeFamily = async (family, reason) => {
+  const revokedAt = new Date();
+
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt, revokedReason: reason } }
+  );
+
+  if (mongoose.Types.ObjectId.isValid(family)) {
+    await Session.updateOne(
+      { _id: family, revokedAt: null },
+      { $set: { revokedAt, revokedReason: reason } }
+    );
+  }
+};
+
+// Exchange a refresh token for a new pair. The presented token is revoked;
+// presenting an already-rotated token again revokes its whole family.
+const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    throw tokenError('Invalid or expired refresh token');
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.jti) {
+    throw tokenError('Invalid or expired refresh token');
+  }
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const stored = await RefreshToken.findOneAndUpdate(
+    { jti: decoded.jti, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+    if (existing && existing.revokedReason === 'rotated') {
+      console.warn(`Refresh token reuse detected for user ${existing.user}, revoking family ${existing.family}`);
+      await revokeFamily(existing.family, 'reuse-detected');
+    }
+
+    throw tokenError('Invalid or expired refresh token');
+  }
+
+  const session = await Session.findById(stored.family);
+
+  if (!session || session.revokedAt) {
+    throw tokenError('Session has been revoked. Please login again.');
+  }
+
+  const user = await User.findById(stored.user);
+
+  if (!user || !user.isActive) {
+    await revokeFamily(stored.family, 'admin');
+    throw tokenError('User account is deactivated');
+  }
+
+  const tokens = await issueTokens(user, req, session._id);
+  await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: tokens.jti } });
+
+  session.lastActivity = new Date();
+  session.lastIp = req.ip;
+  session.expiresAt = getTokenExpiration(tokens.refreshToken);
+  await session.save();
+
+  return { user, tokens };
+};
+
+// Revoke the session a refresh token belongs to (logout from one device)
+const revokeRefreshToken = async (refreshToken, reason = 'logout') => {
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken);
+  } catch (error) {
+    return;
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.family) {
+    return;
+  }
+
+  await revokeFamily(decoded.family, reason);
+};
+
+// Revoke one of a user's sessions; returns false if it isn't theirs or is already gone
+const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+
+  if (!session) {
+    return false;
+  }
+
+  await revokeFamily(session._id.toString(), reason);
+  return true;
+};
+
+// Revoke every session and refresh token a user holds
+// (log out everywhere, password change, account lockdown)
+const revokeUserTokens = async (userId, reason) => {
+  const revokedAt = new Date();
+
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt, revokedReason: reason } }
+  );
+
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt, revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  issueTokens,
+  startSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserTokens
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s step),
+// compatible with Google Authenticator, Authy, Microsoft Authenticator, etc.
+// Every function that depends on the clock accepts a `time` (ms) so it can be
+// exercised with a fixed clock.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP = 30; // seconds
+const DEFAULT_DIGITS = 6;
+
+// Encode a buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string (case-insensitive, spaces and padding ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bits by default, as RFC 4226 recommends)
+const generateSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+// Time step counter for a given time
+const getTimeStep = (time = Date.now(), step = DEFAULT_STEP) => {
+  return Math.floor(time / 1000 / step);
+};
+
+// RFC 4226 HOTP value for a counter
+const generateHOTP = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (code % 10 ** digits).toString().padStart(digits, '0');
+};
+
+// TOTP code for a given time
+const generateTOTP = (secret, { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = {}) => {
+  return generateHOTP(secret, getTimeStep(time, step), digits);
+};
+
+// Verify a TOTP code, allowing `window` steps of clock drift either way.
+// Returns the matched time step (for replay protection) or null.
+const verifyTOTP = (token, secret, { time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS, window = 1 } = {}) => {
+  const normalized = String(token || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== digits) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time, step);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateHOTP(secret, currentStep + drift, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return currentStep + drift;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const buildOtpAuthUrl = (secret, accountName, issuer = 'Shree Graphics Design') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Hash a backup code for storage
+const hashBackupCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toUpperCase())
+    .digest('hex');
+};
+
+// Generate one-time backup codes like "A1B2-C3D4"; returns plain codes and their hashes
+const generateBackupCodes = (count = 10) => {
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(4).toString('hex').toUpperCase();
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(hashBackupCode)
+  };
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUrl,
+  hashBackupCode,
+  generateBackupCodes
+};
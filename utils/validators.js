@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const { ROLES } = require('../config/permissions');
 
 // Common validation rules
 const validationRules = {
@@ -29,8 +30,8 @@ const validationRules = {
     
     role: body('role')
       .optional()
-      .isIn(['user', 'admin'])
-      .withMessage('Role must be either user or admin')
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
   },
   
   // Product validation rules